@@ -0,0 +1,43 @@
+#!/usr/bin/env node
+/**
+ * One-off backfill of a user's historical notes into the posts table
+ * Usage: node scripts/backfill-posts.js <user_id> [days]
+ */
+
+const db = require('../src/db');
+const relayClient = require('../src/relay-client');
+const postTracker = require('../src/post-tracker');
+const { npubToPubkey } = require('../src/network-scanner');
+
+async function backfill(userId, days) {
+  try {
+    const result = await db.query('SELECT id, npub FROM users WHERE id = $1', [userId]);
+    
+    if (result.rows.length === 0) {
+      throw new Error(`User ${userId} not found`);
+    }
+    
+    const summary = await postTracker.backfillUserPosts(userId, npubToPubkey(result.rows[0].npub), days);
+    
+    console.log('\n✅ Backfill complete\n');
+    console.log(`Posts found:        ${summary.posts_found}`);
+    console.log(`Engagement stored:  ${summary.engagement_events_stored}`);
+    console.log(`Since:              ${summary.since}`);
+  } catch (error) {
+    console.error('❌ Backfill failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    relayClient.closeAll();
+    await db.pool.end();
+  }
+}
+
+const userId = parseInt(process.argv[2]);
+const days = parseInt(process.argv[3]) || 30;
+
+if (!userId) {
+  console.error('Usage: node backfill-posts.js <user_id> [days]');
+  process.exit(1);
+}
+
+backfill(userId, days);
@@ -0,0 +1,101 @@
+#!/usr/bin/env node
+
+/**
+ * Benchmark event routing through the pubkey index
+ * Usage: node scripts/bench-pubkey-index.js [users] [events]
+ */
+
+const crypto = require('crypto');
+const { createPubkeyIndex } = require('../src/pubkey-index');
+
+const USER_COUNT = parseInt(process.argv[2], 10) || 10000;
+const EVENT_COUNT = parseInt(process.argv[3], 10) || 100000;
+
+function randomPubkey() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+function ms(start) {
+  return Number(process.hrtime.bigint() - start) / 1e6;
+}
+
+function run() {
+  console.log(`Routing ${EVENT_COUNT} events across ${USER_COUNT} users...`);
+
+  const users = [];
+  for (let i = 1; i <= USER_COUNT; i++) {
+    users.push({ id: i, pubkey: randomPubkey() });
+  }
+  // A few pubkeys registered by more than one account
+  for (let i = 0; i < 10; i++) {
+    users.push({ id: USER_COUNT + i + 1, pubkey: users[i].pubkey });
+  }
+
+  // Expected fan-out, built independently of the index
+  const idsByPubkey = {};
+  for (const user of users) {
+    (idsByPubkey[user.pubkey] = idsByPubkey[user.pubkey] || []).push(user.id);
+  }
+
+  const index = createPubkeyIndex();
+
+  let start = process.hrtime.bigint();
+  index.replace(users);
+  console.log(`  Index build: ${ms(start).toFixed(1)}ms (${index.size} users)`);
+
+  // Events tag 0-4 registered users plus some strangers
+  const events = [];
+  const expected = [];
+  for (let i = 0; i < EVENT_COUNT; i++) {
+    const tagged = new Set();
+    const tags = [];
+
+    const registeredCount = i % 5;
+    for (let j = 0; j < registeredCount; j++) {
+      const user = users[Math.floor(Math.random() * users.length)];
+      tags.push(['p', user.pubkey]);
+      idsByPubkey[user.pubkey].forEach(id => tagged.add(id));
+    }
+    for (let j = 0; j < 3; j++) {
+      tags.push(['p', randomPubkey()]);
+    }
+    tags.push(['e', randomPubkey()]);
+
+    events.push({ tags });
+    expected.push(tagged);
+  }
+
+  start = process.hrtime.bigint();
+  let routed = 0;
+  const results = new Array(events.length);
+  for (let i = 0; i < events.length; i++) {
+    results[i] = index.usersTaggedIn(events[i]);
+    routed += results[i].length;
+  }
+  const routeMs = ms(start);
+
+  let failures = 0;
+  for (let i = 0; i < events.length; i++) {
+    const got = new Set(results[i].map(match => match.userId));
+    const want = expected[i];
+    if (got.size !== want.size || [...want].some(id => !got.has(id))) failures++;
+  }
+
+  start = process.hrtime.bigint();
+  for (let i = 0; i < EVENT_COUNT; i++) {
+    index.usersForPubkey(users[i % users.length].pubkey);
+  }
+  const lookupMs = ms(start);
+
+  console.log(`  Routing: ${routeMs.toFixed(1)}ms total, ${(routeMs * 1000 / EVENT_COUNT).toFixed(2)}µs/event, ${routed} deliveries`);
+  console.log(`  Author lookups: ${(lookupMs * 1000 / EVENT_COUNT).toFixed(2)}µs/lookup`);
+
+  if (failures > 0) {
+    console.error(`❌ ${failures} events routed to the wrong users`);
+    process.exit(1);
+  }
+
+  console.log('✅ All events routed to the expected users');
+}
+
+run();
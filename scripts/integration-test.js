@@ -0,0 +1,474 @@
+#!/usr/bin/env node
+/**
+ * Offline integration test
+ * Drives the real relay modules against in-process mock relays seeded from scripts/fixtures/network.json
+ *
+ * Usage: npm run test:integration
+ *
+ * Relay-only checks always run. Checks that need Postgres (scanUserNetwork, the relay listener)
+ * run when DATABASE_URL points at a migrated database, and are skipped otherwise.
+ */
+
+const assert = require('assert');
+const http = require('http');
+const path = require('path');
+const crypto = require('crypto');
+const { startFixtureRelays, fixtureKey, signEvent } = require('../src/mock-relay');
+const config = require('../src/config');
+const webhookSignature = require('../src/webhook-signature');
+
+const FIXTURE = path.join(__dirname, 'fixtures', 'network.json');
+
+const results = { passed: 0, failed: 0, skipped: 0 };
+
+async function check(name, fn) {
+  try {
+    await fn();
+    results.passed++;
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    results.failed++;
+    console.error(`❌ ${name}`);
+    console.error(`   ${error.message}`);
+  }
+}
+
+function skip(name, reason) {
+  results.skipped++;
+  console.log(`⏭️  ${name} (${reason})`);
+}
+
+/**
+ * Poll until fn() returns something truthy
+ */
+async function waitFor(fn, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    const value = await fn();
+    if (value) return value;
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  throw new Error(`Timed out after ${timeoutMs}ms`);
+}
+
+/**
+ * Call an express handler with a fake req/res and return the JSON body
+ */
+async function callHandler(handler, query) {
+  let status = 200;
+  let body = null;
+
+  const res = {
+    status(code) {
+      status = code;
+      return res;
+    },
+    json(data) {
+      body = data;
+      return res;
+    }
+  };
+
+  await handler({ query }, res);
+  return { status, body };
+}
+
+/**
+ * Local HTTP endpoint that records webhook deliveries
+ */
+function startWebhookReceiver() {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let data = '';
+    req.on('data', chunk => { data += chunk; });
+    req.on('end', () => {
+      received.push({ headers: req.headers, raw: data, body: JSON.parse(data) });
+      res.writeHead(200);
+      res.end('ok');
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}/webhook`,
+        received,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+async function databaseAvailable(db) {
+  try {
+    await db.query('SELECT 1 FROM users, relay_lists, relay_health_stats, webhook_subscriptions LIMIT 1');
+    return true;
+  } catch (error) {
+    console.log(`ℹ️  Database unavailable: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Remove rows the run wrote for mock relays and fixture accounts
+ */
+async function cleanupDatabase(db, pubkeys) {
+  const mockRelays = 'ws://127.0.0.1:%';
+  await db.query('DELETE FROM relay_cursors WHERE relay LIKE $1', [mockRelays]);
+  await db.query('DELETE FROM relay_rejections WHERE relay LIKE $1', [mockRelays]);
+  await db.query('DELETE FROM relay_health_stats WHERE relay LIKE $1', [mockRelays]);
+  await db.query('DELETE FROM relay_lists WHERE pubkey = ANY($1)', [pubkeys]);
+  await db.query('DELETE FROM profiles WHERE pubkey = ANY($1)', [pubkeys]);
+}
+
+async function run() {
+  const fixture = await startFixtureRelays(FIXTURE);
+  const { relays, urls, keys, refs } = fixture;
+  const pubkeyOf = name => keys[name].pubkey;
+  const now = Math.floor(Date.now() / 1000);
+
+  console.log(`🦞 Mock relays: ${Object.entries(urls).map(([name, url]) => `${name}=${url}`).join(', ')}`);
+
+  // Point every default/indexer lookup at the main mock relay; dave is only reachable via his NIP-65 list
+  config.nostr.relays = [urls.main];
+  // The mock relays are ws:// on loopback, which relay lists may not point at in production
+  config.nostr.outbox.allowInsecureRelays = true;
+  config.nostr.indexerRelays = [urls.main];
+
+  const db = require('../src/db');
+  const relayClient = require('../src/relay-client');
+  const relayCursors = require('../src/relay-cursors');
+  const networkScanner = require('../src/network-scanner');
+  const hashtagAnalytics = require('../src/hashtag-analytics');
+  const webhookSubscriptions = require('../src/webhook-subscriptions');
+
+  const aliceNpub = networkScanner.pubkeyToNpub(pubkeyOf('alice'));
+
+  await check('REQ returns matching stored events newest first, honoring limit', async () => {
+    const events = await relayClient.query(urls.main, { kinds: [1], authors: [pubkeyOf('carol')], limit: 1 }, 3000);
+    assert.strictEqual(events.length, 1);
+    assert.ok(events[0].content.startsWith('Coffee and code'));
+  });
+
+  await check('Tag filters match on #p', async () => {
+    const events = await relayClient.query(urls.main, { kinds: [3], '#p': [pubkeyOf('alice')] }, 3000);
+    assert.deepStrictEqual(events.map(e => e.pubkey).sort(), [pubkeyOf('bob'), pubkeyOf('carol')].sort());
+  });
+
+  await check('Events with bad signatures are dropped by the relay client', async () => {
+    const events = await relayClient.query(urls.main, { kinds: [1], authors: [pubkeyOf('bob')], since: now - 86400 }, 3000);
+    assert.strictEqual(events.length, 2);
+    assert.ok(events.every(e => !e.content.includes('#forged')));
+  });
+
+  await check('quickScanNetwork follows outbox relays and counts both directions', async () => {
+    const result = await networkScanner.quickScanNetwork(aliceNpub, '7d', 'both');
+    assert.strictEqual(result.following.count, 3);
+    // bob 3 (the forged and month-old notes excluded) + carol 2 + dave 2 from his own relay
+    assert.strictEqual(result.following.posts_analyzed, 7);
+    assert.strictEqual(result.followers.count, 2);
+    assert.strictEqual(result.followers.posts_analyzed, 5);
+    assert.strictEqual(result.combined.posts_analyzed, 12);
+  });
+
+  await check('getPersonalHashtags summarizes the user\'s own notes', async () => {
+    const { status, body } = await callHandler(hashtagAnalytics.getPersonalHashtags, { npub: aliceNpub, days: '30' });
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.overview.totalPosts, 3);
+    assert.strictEqual(body.overview.postsWithHashtags, 2);
+    const nostr = body.hashtagsUsed.find(h => h.hashtag === 'nostr');
+    assert.ok(nostr, 'expected #nostr in hashtagsUsed');
+    assert.strictEqual(nostr.timesUsed, 2);
+  });
+
+  await check('getTrendingHashtags ranks hashtags from the default relays', async () => {
+    const { status, body } = await callHandler(hashtagAnalytics.getTrendingHashtags, { period: '7d' });
+    assert.strictEqual(status, 200);
+    // alice 3 + bob 3 + carol 2; the forged note is dropped
+    assert.strictEqual(body.totalPostsScanned, 8);
+    assert.strictEqual(body.trending[0].hashtag, 'nostr');
+    assert.strictEqual(body.trending[0].postCount, 7);
+    assert.ok(!body.trending.some(t => t.hashtag === 'forged'));
+  });
+
+  await check('Relay lists can\'t point us at plain ws:// or private-network hosts', async () => {
+    const relayDiscovery = require('../src/relay-discovery');
+    config.nostr.outbox.allowInsecureRelays = false;
+
+    try {
+      assert.strictEqual(relayDiscovery.normalizeRelayUrl('wss://Relay.Example.com/'), 'wss://relay.example.com');
+      for (const url of [
+        'ws://relay.example.com', 'wss://127.0.0.1:7777', 'wss://2130706433', 'wss://localhost',
+        'wss://10.1.2.3', 'wss://192.168.1.1', 'wss://169.254.169.254/latest', 'wss://[::1]',
+        'wss://[::ffff:127.0.0.1]', 'wss://[fd00::1]', 'wss://metadata.google.internal', 'wss://router'
+      ]) {
+        assert.strictEqual(relayDiscovery.normalizeRelayUrl(url), null, url);
+      }
+    } finally {
+      config.nostr.outbox.allowInsecureRelays = true;
+    }
+  });
+
+  await check('Open subscriptions receive live events until CLOSE', async () => {
+    // Someone outside the fixture network, so later scans aren't affected
+    const erin = fixtureKey('erin');
+    const received = [];
+    let eose = false;
+    const sub = relayClient.subscribe(urls.main, [{ kinds: [1], authors: [erin.pubkey], since: now }], {
+      onevent: event => received.push(event),
+      oneose: () => { eose = true; }
+    });
+
+    await waitFor(() => eose);
+    relays.main.addEvent(signEvent({
+      pubkey: erin.pubkey, created_at: now + 1, kind: 1, tags: [], content: 'live one'
+    }, erin.secret));
+    await waitFor(() => received.length === 1);
+
+    const open = relays.main.openSubscriptions();
+    sub.close();
+    await waitFor(() => relays.main.openSubscriptions() === open - 1);
+
+    relays.main.addEvent(signEvent({
+      pubkey: erin.pubkey, created_at: now + 2, kind: 1, tags: [], content: 'after close'
+    }, erin.secret));
+    await new Promise(resolve => setTimeout(resolve, 200));
+    assert.deepStrictEqual(received.map(e => e.content), ['live one']);
+  });
+
+  await check('Live streams don\'t starve one-shot queries of REQ slots', async () => {
+    const { maxStreams } = config.nostr.subscriptions;
+    const open = relays.main.openSubscriptions();
+    const streams = Array.from({ length: maxStreams }, (_, i) =>
+      relayClient.subscribe(urls.main, [{ kinds: [1], authors: [fixtureKey(`stream-${i}`).pubkey] }], { persistent: true })
+    );
+
+    try {
+      await waitFor(() => relays.main.openSubscriptions() === open + maxStreams);
+
+      const events = await relayClient.query(urls.main, { kinds: [1], authors: [pubkeyOf('carol')], limit: 1 }, 2000);
+      assert.strictEqual(events.length, 1);
+    } finally {
+      streams.forEach(stream => stream.close());
+    }
+    await waitFor(() => relays.main.openSubscriptions() === open);
+  });
+
+  await check('An event that fails to handle holds its relay cursor below it', async () => {
+    const relay = 'wss://cursor-hold.example';
+    relayCursors.advanceCursor(relay, 'mentions', now - 100);
+    relayCursors.holdCursor(relay, 'mentions', now - 50);
+    relayCursors.advanceCursor(relay, 'mentions', now - 10);
+
+    assert.strictEqual(relayCursors.sinceFor(relay, 'mentions', 3600), now - 51 - config.nostr.cursors.overlapSeconds);
+  });
+
+  await check('Test webhooks send a verifiable sample of every event type', async () => {
+    const testWebhook = require('../src/test-webhook');
+    const receiver = await startWebhookReceiver();
+    const secret = crypto.randomBytes(16).toString('hex');
+
+    try {
+      const results = await testWebhook.sendTestWebhooks(receiver.url, secret);
+
+      assert.deepStrictEqual(results.map(r => r.event_type), webhookSubscriptions.EVENT_TYPES);
+      assert.ok(results.every(r => r.ok && r.response_code === 200 && r.latency_ms >= 0));
+      assert.strictEqual(receiver.received.length, results.length);
+
+      for (const delivery of receiver.received) {
+        assert.ok(webhookSignature.verifyRequest(delivery.headers, delivery.raw, secret).valid);
+        assert.strictEqual(delivery.body.test, true);
+      }
+    } finally {
+      await receiver.close();
+    }
+  });
+
+  await check('Slack, Discord and CloudEvents formats render every event type with names and note links', async () => {
+    const testWebhook = require('../src/test-webhook');
+    const receiver = await startWebhookReceiver();
+    const secret = crypto.randomBytes(16).toString('hex');
+    const eventTypes = [...webhookSubscriptions.EVENT_TYPES, 'batch'];
+
+    try {
+      const received = {};
+      for (const format of ['slack', 'discord', 'cloudevents']) {
+        const results = await testWebhook.sendTestWebhooks(receiver.url, secret, eventTypes, format);
+        assert.ok(results.every(r => r.ok), `${format} samples rejected`);
+        received[format] = receiver.received.splice(0);
+      }
+
+      for (const delivery of Object.values(received).flat()) {
+        assert.ok(webhookSignature.verifyRequest(delivery.headers, delivery.raw, secret).valid);
+      }
+
+      const zap = eventTypes.indexOf('zap');
+      const slackZap = received.slack[zap].body;
+      assert.ok(slackZap.text.includes('Sample Zapper zapped you 21 sats'));
+      assert.ok(slackZap.blocks[0].text.text.includes('https://njump.me/note1'));
+      assert.ok(received.slack.every(d => d.body.blocks.length > 0));
+
+      const discordZap = received.discord[zap].body.embeds[0];
+      assert.strictEqual(discordZap.author.name, 'Sample Zapper');
+      assert.ok(discordZap.author.url.startsWith('https://njump.me/npub1'));
+      assert.ok(discordZap.url.startsWith('https://njump.me/note1'));
+      assert.ok(received.discord.every(d => d.body.embeds.length > 0));
+
+      const cloudZap = received.cloudevents[zap];
+      assert.ok(cloudZap.headers['content-type'].startsWith('application/cloudevents+json'));
+      assert.strictEqual(cloudZap.body.specversion, '1.0');
+      assert.strictEqual(cloudZap.body.type, 'io.deepclaw.analytics.zap');
+      assert.strictEqual(cloudZap.body.id, cloudZap.headers['x-deep-claw-delivery']);
+      assert.strictEqual(cloudZap.body.data.amount_sats, 21);
+      assert.ok(Array.isArray(received.cloudevents[eventTypes.indexOf('batch')].body));
+    } finally {
+      await receiver.close();
+    }
+  });
+
+  await check('Notifications reach the user as NIP-17 gift-wrapped and NIP-04 DMs', async () => {
+    const nostrDm = require('../src/nostr-dm');
+    const payload = JSON.stringify({ event_type: 'mention', timestamp: now, content: 'hello from the service' });
+    config.nostr.serviceKey = fixtureKey('deep-claw-service').secret.toString('hex');
+
+    // alice reads DMs on the main relay (kind 10050)
+    relays.main.addEvent(signEvent({
+      pubkey: pubkeyOf('alice'), created_at: now, kind: 10050, tags: [['relay', urls.main]], content: ''
+    }, keys.alice.secret));
+
+    const nip17 = await nostrDm.sendDirectMessage(pubkeyOf('alice'), payload);
+    assert.strictEqual(nip17.protocol, 'nip17');
+    assert.deepStrictEqual(nip17.accepted, [urls.main]);
+
+    const [wrap] = await relayClient.query(urls.main, { kinds: [1059], '#p': [pubkeyOf('alice')] }, 3000);
+    const rumor = nostrDm.unwrapGiftWrap(wrap, keys.alice.secret);
+    assert.strictEqual(rumor.pubkey, nostrDm.servicePubkey());
+    assert.strictEqual(rumor.content, payload);
+
+    const nip04 = await nostrDm.sendDirectMessage(pubkeyOf('alice'), payload, 'nip04');
+    assert.strictEqual(nip04.protocol, 'nip04');
+    assert.ok(nip04.accepted.length > 0);
+
+    const [dm] = await relayClient.query(urls.main, { kinds: [4], authors: [nostrDm.servicePubkey()] }, 3000);
+    assert.strictEqual(nostrDm.nip04Decrypt(dm.content, keys.alice.secret, dm.pubkey), payload);
+
+    // The wrap encrypts the seal, which carries the encrypted rumor as base64: ~48 KB is the limit
+    const large = JSON.stringify({ event_type: 'mention', timestamp: now, content: 'x'.repeat(50000) });
+    const fallback = await nostrDm.sendDirectMessage(pubkeyOf('alice'), large);
+    assert.strictEqual(fallback.protocol, 'nip04');
+    await assert.rejects(
+      nostrDm.sendDirectMessage(pubkeyOf('alice'), large, 'nip17'),
+      error => error.code === nostrDm.PAYLOAD_SIZE_ERROR
+    );
+  });
+
+  await check('Registration challenges only verify when signed by the npub being registered', async () => {
+    const registrationChallenge = require('../src/registration-challenge');
+    const nip19 = require('../src/nip19');
+    const challenge = crypto.randomBytes(32).toString('hex');
+    const origin = 'https://analytics.example';
+    const signChallenge = (key, fields = {}) => signEvent({
+      pubkey: key.pubkey, created_at: Math.floor(Date.now() / 1000), kind: 22242,
+      tags: [['challenge', challenge], ['u', origin]], content: '', ...fields
+    }, key.secret);
+
+    assert.strictEqual(nip19.normalizePubkey(aliceNpub), pubkeyOf('alice'));
+    assert.throws(() => nip19.normalizePubkey(aliceNpub.slice(0, -1) + (aliceNpub.endsWith('q') ? 'p' : 'q')), /checksum/);
+
+    const ok = registrationChallenge.checkChallengeEvent(signChallenge(keys.alice), pubkeyOf('alice'), origin + '/');
+    assert.deepStrictEqual(ok, { valid: true, challenge });
+
+    const cases = [
+      [signChallenge(keys.bob), /not signed by this npub/],
+      [signChallenge(keys.alice, { kind: 27235 }), /kind 22242/],
+      [signChallenge(keys.alice, { created_at: now - 3600 }), /too far/],
+      [signChallenge(keys.alice, { tags: [] }), /no challenge tag/],
+      // What a signer sends a relay asking for NIP-42 AUTH with our challenge
+      [signChallenge(keys.alice, { tags: [['relay', 'wss://relay.example'], ['challenge', challenge]] }), /\["u"/],
+      [signChallenge(keys.alice, { tags: [['challenge', challenge], ['u', 'https://elsewhere.example']] }), /\["u"/],
+      [{ ...signChallenge(keys.alice), tags: [['challenge', 'swapped']] }, /id mismatch/]
+    ];
+
+    for (const [event, reason] of cases) {
+      const result = registrationChallenge.checkChallengeEvent(event, pubkeyOf('alice'), origin);
+      assert.strictEqual(result.valid, false);
+      assert.match(result.reason, reason);
+    }
+  });
+
+  const fixturePubkeys = Object.values(keys).map(key => key.pubkey);
+
+  if (!(await databaseAvailable(db))) {
+    skip('scanUserNetwork stores post activity', 'no database');
+    skip('Relay listener delivers a live reply as a webhook', 'no database');
+  } else {
+    const receiver = await startWebhookReceiver();
+    const webhookSecret = crypto.randomBytes(16).toString('hex');
+
+    await cleanupDatabase(db, fixturePubkeys);
+    await db.query('DELETE FROM users WHERE npub = $1', [aliceNpub]);
+    const user = await db.query(
+      `INSERT INTO users (npub, webhook_url, webhook_secret, api_token)
+       VALUES ($1, $2, $3, $4) RETURNING id`,
+      [aliceNpub, receiver.url, webhookSecret, `dc_itest_${crypto.randomBytes(8).toString('hex')}`]
+    );
+    const userId = user.rows[0].id;
+    await webhookSubscriptions.upsertPrimary(userId, receiver.url, webhookSecret);
+
+    try {
+      await check('scanUserNetwork stores post activity', async () => {
+        const result = await networkScanner.scanUserNetwork(userId, aliceNpub, '7d');
+        assert.strictEqual(result.success, true);
+        assert.strictEqual(result.following_count, 3);
+        assert.strictEqual(result.posts_found, 7);
+
+        const stored = await db.query('SELECT COUNT(*)::int AS count FROM post_activity WHERE user_id = $1', [userId]);
+        assert.strictEqual(stored.rows[0].count, 7);
+      });
+
+      await check('Relay listener delivers a live reply as a webhook', async () => {
+        const relayListener = require('../src/relay-listener');
+        await relayListener.start();
+
+        try {
+          const reply = signEvent({
+            pubkey: pubkeyOf('carol'),
+            created_at: Math.floor(Date.now() / 1000),
+            kind: 1,
+            tags: [['e', refs['alice-1'].id, '', 'root'], ['p', pubkeyOf('alice')]],
+            content: 'Congrats on the launch!'
+          }, keys.carol.secret);
+          relays.main.addEvent(reply);
+
+          const delivery = await waitFor(() => receiver.received.find(d => d.body.note_id === reply.id), 10000);
+          assert.strictEqual(delivery.body.event_type, 'reply');
+          assert.ok(webhookSignature.verifyRequest(delivery.headers, delivery.raw, webhookSecret).valid);
+
+          const stored = await db.query(
+            'SELECT event_type FROM events WHERE user_id = $1 AND event_id = $2',
+            [userId, reply.id]
+          );
+          assert.strictEqual(stored.rows[0].event_type, 'reply');
+        } finally {
+          await relayListener.stop();
+        }
+      });
+    } finally {
+      await db.query('DELETE FROM users WHERE id = $1', [userId]);
+      await cleanupDatabase(db, fixturePubkeys);
+      await receiver.close();
+    }
+  }
+
+  relayClient.closeAll();
+  await fixture.stop();
+  await db.pool.end();
+
+  console.log(`\n${results.passed} passed, ${results.failed} failed, ${results.skipped} skipped`);
+  process.exit(results.failed > 0 ? 1 : 0);
+}
+
+run().catch((error) => {
+  console.error('❌ Integration test crashed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,18 @@
+-- Migration: Profile metadata cache (kind 0)
+-- Date: 2026-10-19
+
+CREATE TABLE IF NOT EXISTS profiles (
+  pubkey TEXT PRIMARY KEY, -- hex pubkey
+  name TEXT,
+  display_name TEXT,
+  picture TEXT,
+  nip05 TEXT,
+  about TEXT,
+  lud16 TEXT,
+  event_created_at TIMESTAMP, -- created_at of the kind 0 event we hold (NULL = none found)
+  fetched_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_profiles_fetched_at ON profiles(fetched_at);
+
+COMMENT ON TABLE profiles IS 'Cached kind 0 profile metadata, refreshed after PROFILE_CACHE_TTL_HOURS';
@@ -0,0 +1,23 @@
+-- Migration: Unfollow detection via contact list diffing
+-- Date: 2026-10-19
+
+-- Followers who later drop the user keep their row with unfollowed_at set
+ALTER TABLE followers ADD COLUMN IF NOT EXISTS unfollowed_at TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_followers_unfollowed_at ON followers(unfollowed_at DESC) WHERE unfollowed_at IS NOT NULL;
+
+-- Last known contact list (kind 3) per follower, reduced to the registered users it includes
+CREATE TABLE IF NOT EXISTS contact_list_state (
+  follower_npub TEXT PRIMARY KEY, -- hex pubkey of the contact list author
+  event_id TEXT NOT NULL,
+  list_created_at TIMESTAMP NOT NULL,
+  followed_user_ids INTEGER[] NOT NULL DEFAULT '{}',
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Allow unfollow events
+ALTER TABLE events DROP CONSTRAINT IF EXISTS events_event_type_check;
+ALTER TABLE events ADD CONSTRAINT events_event_type_check
+  CHECK (event_type IN ('mention', 'reply', 'follow', 'unfollow', 'zap', 'repost', 'like'));
+
+COMMENT ON TABLE contact_list_state IS 'Latest kind 3 seen per follower, used to detect unfollows';
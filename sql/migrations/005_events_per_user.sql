@@ -0,0 +1,21 @@
+-- Migration: Store one row per (user, event)
+-- Date: 2026-10-19
+
+-- A single note can tag several registered users, so event ids are only unique per user
+ALTER TABLE events DROP CONSTRAINT IF EXISTS events_event_id_key;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint WHERE conname = 'events_user_event_key'
+  ) THEN
+    ALTER TABLE events ADD CONSTRAINT events_user_event_key UNIQUE (user_id, event_id);
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_events_event_id ON events(event_id);
+
+-- Follow/unfollow rows used to be stored as "<event id>:<user id>"
+UPDATE events
+SET event_id = split_part(event_id, ':', 1)
+WHERE event_type IN ('follow', 'unfollow') AND event_id LIKE '%:%';
@@ -0,0 +1,14 @@
+-- Migration: Durable relay subscription cursors
+-- Date: 2026-10-19
+
+-- Newest event created_at seen per relay and subscription filter,
+-- so the listener can resume where it left off after a restart
+CREATE TABLE IF NOT EXISTS relay_cursors (
+  relay TEXT NOT NULL,
+  filter_key TEXT NOT NULL, -- subscription name, e.g. 'mentions', 'zaps'
+  last_created_at BIGINT NOT NULL, -- unix seconds
+  updated_at TIMESTAMP DEFAULT NOW(),
+  PRIMARY KEY (relay, filter_key)
+);
+
+COMMENT ON TABLE relay_cursors IS 'Last seen event timestamp per relay/filter, used as the since for resubscribing';
@@ -0,0 +1,13 @@
+-- Migration: Per-relay counts of events that failed id/signature validation
+-- Date: 2026-10-19
+
+CREATE TABLE IF NOT EXISTS relay_rejections (
+  relay TEXT NOT NULL,
+  reason TEXT NOT NULL, -- e.g. 'invalid signature', 'id mismatch', 'bad tags'
+  rejected_count BIGINT NOT NULL DEFAULT 0,
+  last_event_id TEXT,
+  last_rejected_at TIMESTAMP DEFAULT NOW(),
+  PRIMARY KEY (relay, reason)
+);
+
+COMMENT ON TABLE relay_rejections IS 'Malformed or forged events dropped per relay';
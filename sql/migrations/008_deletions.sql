@@ -0,0 +1,20 @@
+-- Migration: NIP-09 deletion tombstones
+-- Date: 2026-10-19
+
+-- Event ids their author asked to delete (kind 5). Rows for these ids are removed from
+-- events/posts/post_activity and never re-stored, even if a relay sends them again.
+CREATE TABLE IF NOT EXISTS event_tombstones (
+  event_id TEXT NOT NULL,
+  pubkey TEXT NOT NULL, -- author that requested the deletion; only matches events they signed
+  deletion_event_id TEXT NOT NULL,
+  reason TEXT,
+  deleted_at TIMESTAMP NOT NULL, -- created_at of the kind 5 event
+  recorded_at TIMESTAMP DEFAULT NOW(),
+  PRIMARY KEY (event_id, pubkey)
+);
+
+-- Deletions are matched against the signer of the stored event
+CREATE INDEX IF NOT EXISTS idx_events_signer ON events((metadata->>'pubkey'));
+CREATE INDEX IF NOT EXISTS idx_post_activity_note_id ON post_activity(note_id);
+
+COMMENT ON TABLE event_tombstones IS 'NIP-09 deletion requests honored for stored events';
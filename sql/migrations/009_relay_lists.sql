@@ -0,0 +1,14 @@
+-- Migration: NIP-65 relay lists for outbox-model relay discovery
+-- Date: 2026-10-19
+
+CREATE TABLE IF NOT EXISTS relay_lists (
+  pubkey TEXT PRIMARY KEY, -- hex pubkey
+  read_relays TEXT[] NOT NULL DEFAULT '{}', -- where they read mentions (inbox)
+  write_relays TEXT[] NOT NULL DEFAULT '{}', -- where they publish (outbox)
+  event_created_at TIMESTAMP, -- NULL when no kind 10002 was found
+  fetched_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_relay_lists_fetched_at ON relay_lists(fetched_at);
+
+COMMENT ON TABLE relay_lists IS 'Cached kind 10002 relay lists, re-fetched after RELAY_LIST_TTL_HOURS';
@@ -0,0 +1,23 @@
+-- Migration: Per-relay health stats recorded by the relay client
+-- Date: 2026-10-19
+
+-- Hourly counters per relay; each process adds its own numbers
+CREATE TABLE IF NOT EXISTS relay_health_stats (
+  relay TEXT NOT NULL,
+  bucket TIMESTAMP NOT NULL, -- start of the hour (UTC)
+  connect_attempts INTEGER NOT NULL DEFAULT 0,
+  connect_failures INTEGER NOT NULL DEFAULT 0,
+  connect_ms_total BIGINT NOT NULL DEFAULT 0, -- successful connects only
+  subscriptions INTEGER NOT NULL DEFAULT 0, -- REQs sent
+  eose_count INTEGER NOT NULL DEFAULT 0,
+  eose_ms_total BIGINT NOT NULL DEFAULT 0, -- REQ -> EOSE
+  timeouts INTEGER NOT NULL DEFAULT 0, -- queries that never reached EOSE
+  errors INTEGER NOT NULL DEFAULT 0, -- CLOSED by the relay, dropped connections
+  events INTEGER NOT NULL DEFAULT 0,
+  duplicates INTEGER NOT NULL DEFAULT 0, -- events another relay already sent us
+  PRIMARY KEY (relay, bucket)
+);
+
+CREATE INDEX IF NOT EXISTS idx_relay_health_stats_bucket ON relay_health_stats(bucket DESC);
+
+COMMENT ON TABLE relay_health_stats IS 'Relay latency, EOSE time, errors, yield and duplicates per hour';
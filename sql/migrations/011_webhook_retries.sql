@@ -0,0 +1,26 @@
+-- Migration: Durable webhook delivery queue with retries
+-- Date: 2026-10-19
+
+-- Each webhook_logs row is now one delivery, updated in place across attempts.
+-- 'pending' rows are waiting for their next attempt; 'sent' and 'failed' are final.
+DO $$
+BEGIN
+  IF EXISTS (SELECT 1 FROM information_schema.columns
+             WHERE table_name = 'webhook_logs' AND column_name = 'retry_count') THEN
+    ALTER TABLE webhook_logs RENAME COLUMN retry_count TO attempts;
+    UPDATE webhook_logs SET attempts = attempts + 1 WHERE status IN ('sent', 'failed');
+  END IF;
+END $$;
+
+ALTER TABLE webhook_logs
+  ADD COLUMN IF NOT EXISTS next_attempt_at TIMESTAMP, -- NULL once the delivery is final
+  ADD COLUMN IF NOT EXISTS last_attempt_at TIMESTAMP,
+  ADD COLUMN IF NOT EXISTS created_at TIMESTAMP DEFAULT NOW();
+
+UPDATE webhook_logs SET created_at = sent_at, last_attempt_at = sent_at WHERE last_attempt_at IS NULL;
+
+-- The retry worker polls for due pending deliveries
+CREATE INDEX IF NOT EXISTS idx_webhook_logs_due ON webhook_logs(next_attempt_at)
+  WHERE status = 'pending';
+
+COMMENT ON COLUMN webhook_logs.attempts IS 'Delivery attempts made so far, at most WEBHOOK_RETRY_COUNT + 1';
@@ -0,0 +1,21 @@
+-- Migration: Webhook dead-letter queue
+-- Date: 2026-10-19
+
+-- Deliveries that ran out of retries move to 'dead' and stay there until the user redelivers them.
+-- delivery_id identifies a delivery across every attempt and redelivery.
+ALTER TABLE webhook_logs
+  ADD COLUMN IF NOT EXISTS delivery_id UUID NOT NULL DEFAULT gen_random_uuid(),
+  ADD COLUMN IF NOT EXISTS response_body TEXT, -- truncated body of the last response
+  ADD COLUMN IF NOT EXISTS dead_at TIMESTAMP,
+  ADD COLUMN IF NOT EXISTS redeliveries INTEGER NOT NULL DEFAULT 0;
+
+ALTER TABLE webhook_logs DROP CONSTRAINT IF EXISTS webhook_logs_status_check;
+UPDATE webhook_logs SET status = 'dead', dead_at = sent_at WHERE status = 'failed';
+ALTER TABLE webhook_logs ADD CONSTRAINT webhook_logs_status_check
+  CHECK (status IN ('pending', 'sent', 'dead'));
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_webhook_logs_delivery_id ON webhook_logs(delivery_id);
+CREATE INDEX IF NOT EXISTS idx_webhook_logs_dead ON webhook_logs(user_id, id)
+  WHERE status = 'dead';
+
+COMMENT ON COLUMN webhook_logs.delivery_id IS 'Stable id for a delivery across attempts and redeliveries';
@@ -0,0 +1,39 @@
+-- Migration: Multiple webhook endpoints per user
+-- Date: 2026-10-19
+
+-- Each subscription is an endpoint with its own secret and the event types it wants.
+-- The primary subscription mirrors users.webhook_url / webhook_secret (set at registration
+-- and by PUT /auth/webhook); others are managed through /webhooks/subscriptions.
+CREATE TABLE IF NOT EXISTS webhook_subscriptions (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  url TEXT NOT NULL,
+  secret TEXT NOT NULL,
+  event_types TEXT[] NOT NULL DEFAULT '{}', -- empty = every event type
+  enabled BOOLEAN NOT NULL DEFAULT TRUE,
+  is_primary BOOLEAN NOT NULL DEFAULT FALSE,
+  description TEXT,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_subscriptions_user ON webhook_subscriptions(user_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_webhook_subscriptions_primary ON webhook_subscriptions(user_id)
+  WHERE is_primary;
+
+-- Existing users keep receiving everything at their current webhook_url
+INSERT INTO webhook_subscriptions (user_id, url, secret, is_primary)
+SELECT id, webhook_url, webhook_secret, TRUE FROM users
+ON CONFLICT (user_id) WHERE is_primary DO NOTHING;
+
+-- Deliveries now belong to one subscription
+ALTER TABLE webhook_logs
+  ADD COLUMN IF NOT EXISTS subscription_id INTEGER REFERENCES webhook_subscriptions(id) ON DELETE CASCADE;
+
+UPDATE webhook_logs l SET subscription_id = s.id
+FROM webhook_subscriptions s
+WHERE s.user_id = l.user_id AND s.is_primary AND l.subscription_id IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_webhook_logs_subscription ON webhook_logs(subscription_id);
+
+COMMENT ON TABLE webhook_subscriptions IS 'Webhook endpoints per user, each receiving a chosen set of event types';
@@ -0,0 +1,30 @@
+-- Migration: Circuit breaker per webhook endpoint
+-- Date: 2026-10-19
+
+-- closed: deliver normally
+-- open: endpoint keeps failing; new deliveries are held as 'paused' until the next probe
+-- half_open: one probe delivery is in flight; success closes the circuit and flushes the backlog
+-- disabled: open for too long; deliveries stay paused until the user re-enables the endpoint
+ALTER TABLE webhook_subscriptions
+  ADD COLUMN IF NOT EXISTS circuit_state TEXT NOT NULL DEFAULT 'closed'
+    CHECK (circuit_state IN ('closed', 'open', 'half_open', 'disabled')),
+  ADD COLUMN IF NOT EXISTS consecutive_failures INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS window_started_at TIMESTAMP, -- failure-rate window
+  ADD COLUMN IF NOT EXISTS window_attempts INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS window_failures INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS circuit_opened_at TIMESTAMP,
+  ADD COLUMN IF NOT EXISTS circuit_retry_at TIMESTAMP, -- next half-open probe
+  ADD COLUMN IF NOT EXISTS disabled_at TIMESTAMP,
+  ADD COLUMN IF NOT EXISTS last_error TEXT,
+  ADD COLUMN IF NOT EXISTS last_success_at TIMESTAMP,
+  ADD COLUMN IF NOT EXISTS last_failure_at TIMESTAMP;
+
+-- Deliveries held back while an endpoint's circuit isn't closed
+ALTER TABLE webhook_logs DROP CONSTRAINT IF EXISTS webhook_logs_status_check;
+ALTER TABLE webhook_logs ADD CONSTRAINT webhook_logs_status_check
+  CHECK (status IN ('pending', 'paused', 'sent', 'dead'));
+
+CREATE INDEX IF NOT EXISTS idx_webhook_logs_paused ON webhook_logs(subscription_id, id)
+  WHERE status = 'paused';
+CREATE INDEX IF NOT EXISTS idx_webhook_subscriptions_probe ON webhook_subscriptions(circuit_retry_at)
+  WHERE circuit_state = 'open';
@@ -0,0 +1,17 @@
+-- Migration: Per-user daily summary and weekly digest schedule
+-- Date: 2026-10-19
+
+-- Summaries go out at summary_hour in the user's own timezone (the old fixed time was 8 AM Pacific)
+ALTER TABLE users
+  ADD COLUMN IF NOT EXISTS timezone TEXT NOT NULL DEFAULT 'America/Los_Angeles',
+  ADD COLUMN IF NOT EXISTS daily_summary_enabled BOOLEAN NOT NULL DEFAULT TRUE,
+  ADD COLUMN IF NOT EXISTS weekly_digest_enabled BOOLEAN NOT NULL DEFAULT TRUE,
+  ADD COLUMN IF NOT EXISTS summary_hour SMALLINT NOT NULL DEFAULT 8
+    CHECK (summary_hour BETWEEN 0 AND 23),
+  ADD COLUMN IF NOT EXISTS weekly_digest_day SMALLINT NOT NULL DEFAULT 1 -- 0 = Sunday
+    CHECK (weekly_digest_day BETWEEN 0 AND 6),
+  -- Local dates of the last run, so each is sent once per day/week even across restarts
+  ADD COLUMN IF NOT EXISTS last_daily_summary_on DATE,
+  ADD COLUMN IF NOT EXISTS last_weekly_digest_on DATE;
+
+COMMENT ON COLUMN users.timezone IS 'IANA timezone used to schedule summaries';
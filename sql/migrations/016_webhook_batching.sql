@@ -0,0 +1,27 @@
+-- Migration: Batched and digest webhook delivery
+-- Date: 2026-10-19
+
+-- immediate: one request per event
+-- batched: events are grouped and sent every batch_window_seconds, or sooner once batch_max_events are waiting
+-- digest: events are grouped and sent once an hour
+ALTER TABLE webhook_subscriptions
+  ADD COLUMN IF NOT EXISTS delivery_mode TEXT NOT NULL DEFAULT 'immediate'
+    CHECK (delivery_mode IN ('immediate', 'batched', 'digest')),
+  ADD COLUMN IF NOT EXISTS batch_window_seconds INTEGER NOT NULL DEFAULT 60
+    CHECK (batch_window_seconds BETWEEN 10 AND 3600),
+  ADD COLUMN IF NOT EXISTS batch_max_events INTEGER NOT NULL DEFAULT 50
+    CHECK (batch_max_events BETWEEN 2 AND 500);
+
+-- Grouped events keep their own row ('queued' until grouped, then 'batched') pointing at the
+-- 'batch' delivery that carried them; the batch row goes through retries/dead-letter as usual
+ALTER TABLE webhook_logs
+  ADD COLUMN IF NOT EXISTS batch_id INTEGER REFERENCES webhook_logs(id) ON DELETE SET NULL;
+
+ALTER TABLE webhook_logs DROP CONSTRAINT IF EXISTS webhook_logs_status_check;
+ALTER TABLE webhook_logs ADD CONSTRAINT webhook_logs_status_check
+  CHECK (status IN ('queued', 'batched', 'pending', 'paused', 'sent', 'dead'));
+
+CREATE INDEX IF NOT EXISTS idx_webhook_logs_queued ON webhook_logs(subscription_id, id)
+  WHERE status = 'queued';
+CREATE INDEX IF NOT EXISTS idx_webhook_logs_batch ON webhook_logs(batch_id)
+  WHERE batch_id IS NOT NULL;
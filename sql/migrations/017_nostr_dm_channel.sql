@@ -0,0 +1,21 @@
+-- Migration: Nostr DM delivery channel
+-- Date: 2026-10-19
+
+-- webhook: signed HTTP POST to url
+-- nostr_dm: encrypted DM from the service key (NOSTR_SERVICE_KEY) to dm_pubkey, published to
+-- the recipient's inbox relays; dm_protocol picks NIP-17 gift wraps, NIP-04, or auto
+ALTER TABLE webhook_subscriptions
+  ADD COLUMN IF NOT EXISTS channel TEXT NOT NULL DEFAULT 'webhook'
+    CHECK (channel IN ('webhook', 'nostr_dm')),
+  ADD COLUMN IF NOT EXISTS dm_pubkey TEXT
+    CHECK (dm_pubkey ~ '^[0-9a-f]{64}$'),
+  ADD COLUMN IF NOT EXISTS dm_protocol TEXT NOT NULL DEFAULT 'auto'
+    CHECK (dm_protocol IN ('auto', 'nip17', 'nip04'));
+
+-- DM subscriptions (and users who only registered for DMs) have no URL
+ALTER TABLE webhook_subscriptions ALTER COLUMN url DROP NOT NULL;
+ALTER TABLE users ALTER COLUMN webhook_url DROP NOT NULL;
+
+ALTER TABLE webhook_subscriptions DROP CONSTRAINT IF EXISTS webhook_subscriptions_channel_target_check;
+ALTER TABLE webhook_subscriptions ADD CONSTRAINT webhook_subscriptions_channel_target_check
+  CHECK ((channel = 'webhook' AND url IS NOT NULL) OR (channel = 'nostr_dm' AND dm_pubkey IS NOT NULL));
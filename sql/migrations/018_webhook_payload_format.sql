@@ -0,0 +1,9 @@
+-- Migration: Payload format per webhook subscription
+-- Date: 2026-10-19
+
+-- native: our own JSON with event_type; cloudevents: CloudEvents 1.0 structured JSON;
+-- slack: incoming-webhook blocks; discord: webhook embeds.
+-- webhook_logs keeps the native payload, rendered into the subscription's format on each attempt.
+ALTER TABLE webhook_subscriptions
+  ADD COLUMN IF NOT EXISTS payload_format TEXT NOT NULL DEFAULT 'native'
+    CHECK (payload_format IN ('native', 'cloudevents', 'slack', 'discord'));
@@ -0,0 +1,17 @@
+-- Migration: Prove npub ownership at registration
+-- Date: 2026-10-19
+
+-- POST /auth/challenge issues a nonce for a pubkey; POST /auth/register must return it in a
+-- kind 22242 event signed by that pubkey. Each challenge can be used once.
+CREATE TABLE IF NOT EXISTS registration_challenges (
+  challenge TEXT PRIMARY KEY,
+  pubkey TEXT NOT NULL CHECK (pubkey ~ '^[0-9a-f]{64}$'),
+  created_at TIMESTAMP DEFAULT NOW(),
+  expires_at TIMESTAMP NOT NULL,
+  used_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_registration_challenges_expires ON registration_challenges(expires_at);
+
+-- New users are stored by hex pubkey; older rows may still hold an npub, and every reader accepts both
+COMMENT ON COLUMN users.npub IS 'Hex pubkey (older rows: bech32 npub)';
@@ -0,0 +1,7 @@
+-- Migration: One probe at a time for half-open webhook circuits
+-- Date: 2026-10-19
+
+-- Set when a delivery claims the half-open probe, cleared when its outcome is recorded.
+-- Other deliveries are held meanwhile; a claim older than a few minutes (crashed worker) is ignored.
+ALTER TABLE webhook_subscriptions
+  ADD COLUMN IF NOT EXISTS probe_started_at TIMESTAMP;
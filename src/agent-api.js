@@ -21,12 +21,13 @@ async function getActivity(req, res) {
       SELECT 
         e.id,
         e.event_type as type,
-        e.event_id as post_id,
+        COALESCE(e.metadata->>'note_id', e.event_id) as post_id,
         e.content as post_content,
         e.author_npub as from_user,
         e.author_name as from_user_name,
         e.metadata->>'emoji' as emoji,
         e.metadata->>'reply_content' as reply_content,
+        e.metadata->>'parent_content' as parent_content,
         e.metadata->>'amount_sats' as amount_sats,
         e.metadata->>'message' as message,
         e.created_at as timestamp
@@ -55,7 +56,7 @@ async function getActivity(req, res) {
         event.postContent = row.post_content;
         event.emoji = row.emoji;
       } else if (row.type === 'reply') {
-        event.postContent = row.post_content;
+        event.postContent = row.parent_content;
         event.replyContent = row.reply_content;
       } else if (row.type === 'zap') {
         event.postId = row.post_id;
@@ -108,7 +109,7 @@ async function getPostsPerformance(req, res) {
           COALESCE(SUM(CASE WHEN e.event_type = 'zap' THEN (e.metadata->>'amount_sats')::int ELSE 0 END), 0) as total_sats,
           p.impressions
         FROM posts p
-        LEFT JOIN events e ON e.event_id = p.note_id AND e.user_id = p.user_id
+        LEFT JOIN events e ON e.metadata->>'note_id' = p.note_id AND e.user_id = p.user_id
         WHERE p.user_id = $1
         GROUP BY p.note_id, p.content, p.posted_at, p.image_url, p.impressions
         ORDER BY p.posted_at DESC
@@ -161,7 +162,7 @@ async function getPostsPerformance(req, res) {
             END as value
           FROM events e
           WHERE e.user_id = $1 
-            AND e.event_id = $2
+            AND e.metadata->>'note_id' = $2
             AND e.event_type IN ('like', 'reply', 'zap', 'repost')
           ORDER BY e.created_at DESC
           LIMIT 5
@@ -232,16 +233,20 @@ async function getTopEngagers(req, res) {
       )
       SELECT 
         es.*,
+        COALESCE(p.display_name, p.name, es.name) as display_name,
+        p.picture,
         CASE WHEN f.following_npub IS NOT NULL THEN true ELSE false END as following
       FROM engager_stats es
       LEFT JOIN following f ON f.following_npub = es.npub AND f.user_id = $1
+      LEFT JOIN profiles p ON p.pubkey = es.npub
     `;
     
     const result = await db.query(query, [userId, since, minInteractions]);
     
     const topEngagers = result.rows.map(row => ({
       npub: row.npub,
-      name: row.name,
+      name: row.display_name,
+      picture: row.picture,
       followerCount: parseInt(row.follower_count) || 0,
       interactions: {
         total: parseInt(row.total_interactions) || 0,
@@ -279,13 +284,15 @@ async function getShouldEngage(req, res) {
       SELECT 
         e.id,
         e.author_npub as npub,
-        e.author_name as name,
+        COALESCE(p.display_name, p.name, e.author_name) as name,
+        p.picture,
         e.event_id as post_id,
         e.content as reply_content,
         e.metadata->>'reply_id' as reply_id,
         e.metadata->>'follower_count' as follower_count,
         e.created_at
       FROM events e
+      LEFT JOIN profiles p ON p.pubkey = e.author_npub
       WHERE e.user_id = $1
         AND e.event_type = 'reply'
         AND e.processed = false
@@ -299,11 +306,13 @@ async function getShouldEngage(req, res) {
       SELECT 
         e.id,
         e.author_npub as npub,
-        e.author_name as name,
+        COALESCE(p.display_name, p.name, e.author_name) as name,
+        p.picture,
         e.metadata->>'follower_count' as follower_count,
-        e.metadata->>'bio' as bio,
+        COALESCE(p.about, e.metadata->>'bio') as bio,
         e.created_at
       FROM events e
+      LEFT JOIN profiles p ON p.pubkey = e.author_npub
       WHERE e.user_id = $1
         AND e.event_type = 'follow'
         AND e.processed = false
@@ -324,6 +333,7 @@ async function getShouldEngage(req, res) {
       recommendations.push({
         npub: row.npub,
         name: row.name,
+        picture: row.picture,
         reason: `Replied to your post`,
         replyContent: row.reply_content,
         replyId: row.reply_id,
@@ -342,6 +352,7 @@ async function getShouldEngage(req, res) {
       recommendations.push({
         npub: row.npub,
         name: row.name,
+        picture: row.picture,
         reason: followerCount > 500 
           ? `Influential user (${followerCount} followers) started following you`
           : 'Started following you',
@@ -6,6 +6,7 @@ const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
 const db = require('./db');
 const config = require('./config');
+const webhookSignature = require('./webhook-signature');
 
 /**
  * Generate API token
@@ -22,20 +23,14 @@ function generateWebhookSecret() {
 }
 
 /**
- * Verify HMAC signature
+ * Verify a webhook signature over the raw body, timestamp and delivery id
+ * @param {string|Buffer} rawBody - Body exactly as sent, not a re-serialized object
+ * @param {string} signature - X-Deep-Claw-Signature header
+ * @param {string} secret - Webhook secret
+ * @param {object} options - { timestamp, deliveryId, toleranceSeconds }
  */
-function verifySignature(payload, signature, secret) {
-  const hmac = crypto.createHmac('sha256', secret);
-  const digest = hmac.update(JSON.stringify(payload)).digest('hex');
-  
-  try {
-    return crypto.timingSafeEqual(
-      Buffer.from(signature),
-      Buffer.from(digest)
-    );
-  } catch {
-    return false;
-  }
+function verifySignature(rawBody, signature, secret, options = {}) {
+  return webhookSignature.verify({ ...options, rawBody, signature, secret }).valid;
 }
 
 /**
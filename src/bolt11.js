@@ -0,0 +1,206 @@
+/**
+ * BOLT11 Invoice Decoder
+ * Minimal decoder for the parts of a Lightning invoice we need for zaps:
+ * amount, timestamp, payment hash and description / description hash
+ */
+
+const CHARSET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
+const GENERATOR = [0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3];
+
+// Multipliers relative to 1 BTC, expressed in millisatoshis
+const MSATS_PER_BTC = 100000000000n;
+const MULTIPLIERS = {
+  m: { num: MSATS_PER_BTC, den: 1000n },
+  u: { num: MSATS_PER_BTC, den: 1000000n },
+  n: { num: MSATS_PER_BTC, den: 1000000000n },
+  p: { num: MSATS_PER_BTC, den: 1000000000000n }
+};
+
+// Tagged field types (BOLT11 "Tagged Fields")
+const TAG_PAYMENT_HASH = 1;
+const TAG_DESCRIPTION = 13;
+const TAG_DESCRIPTION_HASH = 23;
+
+// Signature is 65 bytes = 104 five-bit words
+const SIGNATURE_WORDS = 104;
+const TIMESTAMP_WORDS = 7;
+
+/**
+ * bech32 checksum polymod
+ */
+function polymod(values) {
+  let chk = 1;
+  for (const v of values) {
+    const top = chk >> 25;
+    chk = ((chk & 0x1ffffff) << 5) ^ v;
+    for (let i = 0; i < 5; i++) {
+      if ((top >> i) & 1) chk ^= GENERATOR[i];
+    }
+  }
+  return chk;
+}
+
+/**
+ * Expand the human-readable part for checksum calculation
+ */
+function hrpExpand(hrp) {
+  const result = [];
+  for (let i = 0; i < hrp.length; i++) result.push(hrp.charCodeAt(i) >> 5);
+  result.push(0);
+  for (let i = 0; i < hrp.length; i++) result.push(hrp.charCodeAt(i) & 31);
+  return result;
+}
+
+/**
+ * Convert 5-bit words to bytes, dropping incomplete trailing bits
+ */
+function wordsToBytes(words) {
+  let bits = 0;
+  let value = 0;
+  const result = [];
+
+  for (const word of words) {
+    value = (value << 5) | word;
+    bits += 5;
+    while (bits >= 8) {
+      bits -= 8;
+      result.push((value >> bits) & 0xff);
+    }
+  }
+
+  return Buffer.from(result);
+}
+
+/**
+ * Read a big-endian integer from 5-bit words
+ */
+function wordsToInt(words) {
+  return words.reduce((acc, word) => acc * 32 + word, 0);
+}
+
+/**
+ * Parse the amount portion of the human-readable part into millisatoshis
+ * Returns null for "any amount" invoices
+ */
+function parseAmount(amountStr) {
+  if (!amountStr) return null;
+
+  const match = amountStr.match(/^(\d+)([munp]?)$/);
+  if (!match) {
+    throw new Error(`Invalid invoice amount: ${amountStr}`);
+  }
+
+  const value = BigInt(match[1]);
+  const multiplier = match[2];
+
+  if (!multiplier) {
+    return value * MSATS_PER_BTC;
+  }
+
+  const { num, den } = MULTIPLIERS[multiplier];
+  const scaled = value * num;
+
+  // Pico-BTC amounts must land on a whole millisatoshi
+  if (scaled % den !== 0n) {
+    throw new Error(`Invoice amount is not a whole millisatoshi: ${amountStr}`);
+  }
+
+  return scaled / den;
+}
+
+/**
+ * Decode a BOLT11 payment request
+ * @param {string} invoice - bech32 encoded invoice (lnbc..., lntb..., lnbcrt...)
+ * @returns {object} - { network, amountMsats, amountSats, timestamp, paymentHash, description, descriptionHash }
+ */
+function decodeBolt11(invoice) {
+  if (typeof invoice !== 'string') {
+    throw new Error('Invoice must be a string');
+  }
+
+  let str = invoice.trim();
+  if (str.toLowerCase().startsWith('lightning:')) {
+    str = str.slice('lightning:'.length);
+  }
+
+  if (str !== str.toLowerCase() && str !== str.toUpperCase()) {
+    throw new Error('Invoice has mixed case');
+  }
+  str = str.toLowerCase();
+
+  const separator = str.lastIndexOf('1');
+  if (separator < 1 || separator + 7 > str.length) {
+    throw new Error('Invoice is missing bech32 separator');
+  }
+
+  const hrp = str.slice(0, separator);
+  const words = [];
+  for (const char of str.slice(separator + 1)) {
+    const idx = CHARSET.indexOf(char);
+    if (idx === -1) throw new Error(`Invalid invoice character: ${char}`);
+    words.push(idx);
+  }
+
+  if (polymod([...hrpExpand(hrp), ...words]) !== 1) {
+    throw new Error('Invalid invoice checksum');
+  }
+
+  // hrp = "ln" + currency prefix + optional amount
+  const hrpMatch = hrp.match(/^ln(bcrt|bc|tbs|tb|sb)(\d*[munp]?)$/);
+  if (!hrpMatch) {
+    throw new Error(`Unsupported invoice prefix: ${hrp}`);
+  }
+
+  const amountMsats = parseAmount(hrpMatch[2]);
+
+  const data = words.slice(0, -6);
+  if (data.length < TIMESTAMP_WORDS + SIGNATURE_WORDS) {
+    throw new Error('Invoice is too short');
+  }
+
+  const result = {
+    network: hrpMatch[1],
+    amountMsats: amountMsats === null ? null : Number(amountMsats),
+    amountSats: amountMsats === null ? null : Number(amountMsats / 1000n),
+    timestamp: wordsToInt(data.slice(0, TIMESTAMP_WORDS)),
+    paymentHash: null,
+    description: null,
+    descriptionHash: null
+  };
+
+  // Walk tagged fields between the timestamp and the signature
+  const tagged = data.slice(TIMESTAMP_WORDS, -SIGNATURE_WORDS);
+  let pos = 0;
+
+  while (pos + 3 <= tagged.length) {
+    const type = tagged[pos];
+    const length = tagged[pos + 1] * 32 + tagged[pos + 2];
+    const fieldWords = tagged.slice(pos + 3, pos + 3 + length);
+    pos += 3 + length;
+
+    if (fieldWords.length !== length) {
+      throw new Error('Invoice tagged field is truncated');
+    }
+
+    switch (type) {
+      case TAG_PAYMENT_HASH:
+        if (length === 52) result.paymentHash = wordsToBytes(fieldWords).toString('hex');
+        break;
+      case TAG_DESCRIPTION:
+        result.description = wordsToBytes(fieldWords).toString('utf8');
+        break;
+      case TAG_DESCRIPTION_HASH:
+        if (length === 52) result.descriptionHash = wordsToBytes(fieldWords).toString('hex');
+        break;
+      default:
+        // Other fields (expiry, routing hints, features...) aren't needed here
+        break;
+    }
+  }
+
+  return result;
+}
+
+module.exports = {
+  decodeBolt11
+};
@@ -14,7 +14,10 @@ module.exports = {
   // Server
   server: {
     port: parseInt(process.env.PORT) || 3000,
-    env: process.env.NODE_ENV || 'development'
+    env: process.env.NODE_ENV || 'development',
+    // Public origin clients reach us at, bound into registration challenges
+    // (defaults to the origin of each request)
+    publicUrl: process.env.PUBLIC_URL || null
   },
   
   // JWT
@@ -25,13 +28,75 @@ module.exports = {
   
   // Nostr
   nostr: {
-    relays: (process.env.NOSTR_RELAYS || 'wss://relay.damus.io,wss://nos.lol,wss://relay.nostr.band,wss://nostr.wine').split(',')
+    // Default relays, used for anyone without a NIP-65 relay list
+    relays: (process.env.NOSTR_RELAYS || 'wss://relay.damus.io,wss://nos.lol,wss://relay.nostr.band,wss://nostr.wine').split(','),
+    // Relays that aggregate metadata (profiles, relay lists, contact lists)
+    indexerRelays: (process.env.NOSTR_INDEXER_RELAYS || 'wss://purplepag.es,wss://relay.nostr.band').split(','),
+    // Hex secret key that signs notification DMs (optional, needed for the nostr_dm channel)
+    serviceKey: process.env.NOSTR_SERVICE_KEY || null,
+    outbox: {
+      // Max relay connections open at once, per process
+      maxConnections: parseInt(process.env.RELAY_CONNECTION_BUDGET) || 20,
+      relaysPerAuthor: parseInt(process.env.OUTBOX_RELAYS_PER_AUTHOR) || 2,
+      relayListTtlHours: parseInt(process.env.RELAY_LIST_TTL_HOURS) || 24,
+      // Relay lists kept in process memory, least recently used evicted first. Keep it above the
+      // number of users, followers and deletion authors the listener plans subscriptions for.
+      memoryCacheSize: parseInt(process.env.RELAY_LIST_MEMORY_CACHE_SIZE) || 50000,
+      // Accept ws:// and private-network relays from relay lists (local development and the
+      // mock-relay integration tests only; anyone can publish a relay list)
+      allowInsecureRelays: process.env.RELAY_ALLOW_INSECURE === 'true'
+    },
+    // Concurrent REQs per relay (most relays close subscriptions past ~20). Live streams and
+    // one-shot queries have separate budgets, so long-lived streams can't starve lookups.
+    subscriptions: {
+      maxStreams: parseInt(process.env.RELAY_MAX_STREAMS) || 14,
+      maxQueries: parseInt(process.env.RELAY_MAX_QUERIES) || 6
+    },
+    cursors: {
+      // Re-request this much before the stored cursor on resubscribe
+      overlapSeconds: parseInt(process.env.RELAY_CURSOR_OVERLAP_SECONDS) || 600,
+      // Never catch up further back than this after downtime
+      maxCatchupHours: parseInt(process.env.RELAY_CURSOR_MAX_CATCHUP_HOURS) || 168
+    }
+  },
+  
+  // Profile metadata cache
+  profiles: {
+    ttlHours: parseInt(process.env.PROFILE_CACHE_TTL_HOURS) || 24,
+    // Profiles kept in process memory, least recently used evicted first
+    memoryCacheSize: parseInt(process.env.PROFILE_MEMORY_CACHE_SIZE) || 20000,
+    // How long event handling waits on a relay lookup before using what's cached
+    lookupWaitMs: parseInt(process.env.PROFILE_LOOKUP_WAIT_MS) || 750
   },
   
   // Webhooks
   webhooks: {
     timeout: parseInt(process.env.DEFAULT_WEBHOOK_TIMEOUT_MS) || 5000,
-    retryCount: parseInt(process.env.WEBHOOK_RETRY_COUNT) || 3
+    retryCount: parseInt(process.env.WEBHOOK_RETRY_COUNT) || 3,
+    // Backoff before the first retry; doubles on each further attempt, up to the max
+    retryBaseSeconds: parseInt(process.env.WEBHOOK_RETRY_BASE_SECONDS) || 30,
+    retryMaxDelaySeconds: parseInt(process.env.WEBHOOK_RETRY_MAX_DELAY_SECONDS) || 6 * 60 * 60,
+    // Profile and note links in Slack/Discord messages are this + npub1.../note1...
+    linkBaseUrl: process.env.WEBHOOK_LINK_BASE_URL || 'https://njump.me/',
+    // CloudEvents 'source'; each user's events come from <source>/users/<id>
+    cloudEventsSource: process.env.CLOUDEVENTS_SOURCE || 'https://deepclaw.io/analytics',
+    circuit: {
+      // Open after this many failures in a row...
+      consecutiveFailures: parseInt(process.env.WEBHOOK_CIRCUIT_FAILURES) || 5,
+      // ...or this failure rate over the last hour (once there are enough attempts to judge)
+      failureRate: parseFloat(process.env.WEBHOOK_CIRCUIT_FAILURE_RATE) || 0.5,
+      minAttempts: parseInt(process.env.WEBHOOK_CIRCUIT_MIN_ATTEMPTS) || 20,
+      // Wait before the first half-open probe; doubles per failed probe, up to an hour
+      cooldownSeconds: parseInt(process.env.WEBHOOK_CIRCUIT_COOLDOWN_SECONDS) || 300,
+      // Disable endpoints whose circuit has been open this long
+      disableAfterHours: parseInt(process.env.WEBHOOK_CIRCUIT_DISABLE_AFTER_HOURS) || 24
+    }
+  },
+  
+  // Daily summaries and weekly digests
+  summaries: {
+    // How often the scheduler looks for users whose local summary time has come
+    checkCron: process.env.SUMMARY_CHECK_CRON || '*/15 * * * *'
   },
   
   // Rate Limiting
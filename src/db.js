@@ -13,7 +13,27 @@ pool.on('error', (err) => {
   console.error('Unexpected database error:', err);
 });
 
+/**
+ * Run fn(client) in a transaction on one pooled connection; rolls back if it throws
+ */
+async function transaction(fn) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
 module.exports = {
   query: (text, params) => pool.query(text, params),
+  transaction,
   pool
 };
@@ -0,0 +1,116 @@
+/**
+ * Deletions
+ * Honors NIP-09 deletion requests (kind 5) against stored events, posts and post activity
+ */
+
+const db = require('./db');
+const postTracker = require('./post-tracker');
+const webhookSender = require('./webhook-sender');
+const tombstones = require('./tombstones');
+
+/**
+ * Event ids a kind 5 asks to delete ('e' tags)
+ * 'a' tags point at replaceable events, which we don't store
+ */
+function deletedEventIds(event) {
+  return [...new Set(
+    (event.tags || [])
+      .filter(tag => tag[0] === 'e' && /^[0-9a-f]{64}$/.test(tag[1] || ''))
+      .map(tag => tag[1])
+  )];
+}
+
+/**
+ * Apply a kind 5 deletion request
+ * Only rows whose original event was signed by the deleting pubkey are removed
+ * @param {object} event - Validated kind 5 event
+ * @param {number[]} authorUserIds - Registered users with the deleter's pubkey (owners of deleted posts)
+ * @returns {object} - { events, posts, postActivity } counts of removed rows
+ */
+async function applyDeletion(event, authorUserIds = []) {
+  const eventIds = deletedEventIds(event);
+  if (eventIds.length === 0) return { events: 0, posts: 0, postActivity: 0 };
+
+  // Record tombstones first, so nothing can be re-stored while we clean up
+  await tombstones.recordTombstones(event, eventIds);
+
+  // Engagement and mentions the deleter made on our users' notes
+  const eventsResult = await db.query(
+    `DELETE FROM events
+     WHERE event_id = ANY($1)
+       AND metadata->>'pubkey' = $2
+     RETURNING user_id, event_id, event_type, metadata->>'note_id' as note_id, created_at`,
+    [eventIds, event.pubkey]
+  );
+
+  // The user's own notes
+  const postsResult = authorUserIds.length > 0
+    ? await db.query(
+      `DELETE FROM posts
+       WHERE note_id = ANY($1) AND user_id = ANY($2)
+       RETURNING user_id, note_id, posted_at`,
+      [eventIds, authorUserIds]
+    )
+    : { rows: [] };
+
+  // Network notes used for timing analysis
+  const activityResult = await db.query(
+    `DELETE FROM post_activity
+     WHERE note_id = ANY($1) AND author_npub = $2`,
+    [eventIds, event.pubkey]
+  );
+
+  // Group what was removed by user so counters and webhooks are per user
+  const byUser = new Map();
+  const forUser = (userId) => {
+    if (!byUser.has(userId)) byUser.set(userId, { events: [], posts: [] });
+    return byUser.get(userId);
+  };
+
+  for (const row of eventsResult.rows) forUser(row.user_id).events.push(row);
+  for (const row of postsResult.rows) forUser(row.user_id).posts.push(row);
+
+  for (const [userId, removed] of byUser) {
+    const noteIds = [...new Set(removed.events.map(row => row.note_id).filter(Boolean))];
+    await postTracker.recomputePostCounters(userId, noteIds);
+
+    await webhookSender.sendDeletedWebhook(userId, event, removed);
+  }
+
+  if (eventsResult.rows.length + postsResult.rows.length + activityResult.rowCount > 0) {
+    console.log(`🗑️  Deletion from ${event.pubkey.substring(0, 8)}...: ${eventsResult.rows.length} events, ${postsResult.rows.length} posts, ${activityResult.rowCount} activity rows`);
+  }
+
+  return {
+    events: eventsResult.rows.length,
+    posts: postsResult.rows.length,
+    postActivity: activityResult.rowCount
+  };
+}
+
+/**
+ * Pubkeys whose deletions we need to hear about: authors of recently stored events
+ * @param {number} days - How far back stored events are still worth cleaning up
+ */
+async function loadDeletionAuthors(days = 90) {
+  const result = await db.query(
+    `SELECT DISTINCT metadata->>'pubkey' as pubkey
+     FROM events
+     WHERE event_type IN ('mention', 'reply', 'like', 'repost', 'zap')
+       AND created_at >= NOW() - make_interval(days => $1)
+       AND metadata->>'pubkey' IS NOT NULL
+     UNION
+     SELECT DISTINCT author_npub as pubkey
+     FROM post_activity
+     WHERE posted_at >= NOW() - make_interval(days => $1)`,
+    [days]
+  );
+
+  return result.rows.map(row => row.pubkey).filter(pubkey => /^[0-9a-f]{64}$/.test(pubkey));
+}
+
+module.exports = {
+  deletedEventIds,
+  applyDeletion,
+  loadDeletionAuthors
+};
@@ -0,0 +1,54 @@
+/**
+ * Event Tag Helpers
+ * Shared parsing of e/p tag references in Nostr events
+ */
+
+/**
+ * Get the value of the last tag with the given name
+ * NIP-18 and NIP-25 put the target note/author in the last e/p tag
+ */
+function lastTagValue(event, name) {
+  const tags = (event.tags || []).filter(tag => tag[0] === name && tag[1]);
+  return tags.length > 0 ? tags[tags.length - 1][1] : null;
+}
+
+/**
+ * Read NIP-10 thread references from a note's e tags
+ * Supports marked tags ("root"/"reply") and the older positional form
+ */
+function parseThreadTags(event) {
+  const eTags = (event.tags || []).filter(tag => tag[0] === 'e' && tag[1]);
+  
+  if (eTags.length === 0) {
+    return { rootId: null, replyId: null };
+  }
+  
+  const marked = eTags.filter(tag => tag[3] === 'root' || tag[3] === 'reply');
+  
+  if (marked.length > 0) {
+    const root = marked.find(tag => tag[3] === 'root');
+    const reply = marked.find(tag => tag[3] === 'reply');
+    return {
+      rootId: root ? root[1] : reply[1],
+      // A direct reply to the root only carries the "root" marker
+      replyId: reply ? reply[1] : root[1]
+    };
+  }
+  
+  // Positional form: first is root, last is the note being replied to,
+  // anything in between is a mention. Tags marked "mention" are not replies.
+  const positional = eTags.filter(tag => !tag[3]);
+  if (positional.length === 0) {
+    return { rootId: null, replyId: null };
+  }
+  
+  return {
+    rootId: positional[0][1],
+    replyId: positional[positional.length - 1][1]
+  };
+}
+
+module.exports = {
+  lastTagValue,
+  parseThreadTags
+};
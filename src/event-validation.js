@@ -0,0 +1,191 @@
+/**
+ * Event Validation
+ * Checks Nostr event structure, id hash and Schnorr signature before anything from a relay is trusted
+ */
+
+const crypto = require('crypto');
+const { schnorr } = require('@noble/curves/secp256k1');
+const db = require('./db');
+
+const HEX_64 = /^[0-9a-f]{64}$/;
+const HEX_128 = /^[0-9a-f]{128}$/;
+
+// id+sig pairs that already checked out, so events seen on several relays are verified once
+const verifiedIds = new Set();
+const VERIFIED_IDS_LIMIT = 50000;
+
+// Rejections not yet written to Postgres: "relay reason" -> { relay, reason, count, lastEventId }
+const pendingRejections = new Map();
+let flushTimer = null;
+
+/**
+ * NIP-01 event id: sha256 of the serialized event
+ */
+function computeEventId(event) {
+  const serialized = JSON.stringify([
+    0,
+    event.pubkey,
+    event.created_at,
+    event.kind,
+    event.tags,
+    event.content
+  ]);
+
+  return crypto.createHash('sha256').update(serialized, 'utf8').digest('hex');
+}
+
+/**
+ * Check that an event has the NIP-01 shape
+ */
+function checkStructure(event) {
+  if (!event || typeof event !== 'object') return 'not an object';
+  if (typeof event.id !== 'string' || !HEX_64.test(event.id)) return 'bad id';
+  if (typeof event.pubkey !== 'string' || !HEX_64.test(event.pubkey)) return 'bad pubkey';
+  if (typeof event.sig !== 'string' || !HEX_128.test(event.sig)) return 'bad sig';
+  if (!Number.isInteger(event.created_at) || event.created_at < 0) return 'bad created_at';
+  if (!Number.isInteger(event.kind) || event.kind < 0 || event.kind > 65535) return 'bad kind';
+  if (typeof event.content !== 'string') return 'bad content';
+
+  if (!Array.isArray(event.tags) ||
+      !event.tags.every(tag => Array.isArray(tag) && tag.every(value => typeof value === 'string'))) {
+    return 'bad tags';
+  }
+
+  return null;
+}
+
+/**
+ * Validate an event's structure, id and signature
+ * @returns {object} - { valid: true } or { valid: false, reason }
+ */
+function validateEvent(event) {
+  const structureError = checkStructure(event);
+  if (structureError) return { valid: false, reason: structureError };
+
+  if (computeEventId(event) !== event.id) {
+    return { valid: false, reason: 'id mismatch' };
+  }
+
+  const verifiedKey = event.id + event.sig;
+  if (verifiedIds.has(verifiedKey)) return { valid: true };
+
+  let signatureOk = false;
+  try {
+    signatureOk = schnorr.verify(event.sig, event.id, event.pubkey);
+  } catch (error) {
+    signatureOk = false;
+  }
+
+  if (!signatureOk) return { valid: false, reason: 'invalid signature' };
+
+  verifiedIds.add(verifiedKey);
+  if (verifiedIds.size > VERIFIED_IDS_LIMIT) {
+    verifiedIds.delete(verifiedIds.values().next().value);
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Validate an event received from a relay, counting it against the relay if it fails
+ * @returns {boolean} - true if the event can be used
+ */
+function acceptRelayEvent(event, relay) {
+  const result = validateEvent(event);
+  if (result.valid) return true;
+
+  recordRejection(relay || 'unknown', result.reason, event && typeof event.id === 'string' ? event.id : null);
+  return false;
+}
+
+/**
+ * Filter a batch of relay results down to valid events
+ */
+function filterValidEvents(events, relay) {
+  return events.filter(event => acceptRelayEvent(event, relay));
+}
+
+function recordRejection(relay, reason, eventId) {
+  const key = `${relay} ${reason}`;
+  const entry = pendingRejections.get(key) || { relay, reason, count: 0, lastEventId: null };
+  entry.count++;
+  entry.lastEventId = eventId || entry.lastEventId;
+  pendingRejections.set(key, entry);
+
+  console.warn(`[Validation] Rejected event ${eventId ? eventId.substring(0, 8) + '...' : ''} from ${relay}: ${reason}`);
+
+  // Batch writes - a bad relay can send a lot of junk
+  if (!flushTimer) {
+    flushTimer = setTimeout(flushRejections, 10000);
+    flushTimer.unref();
+  }
+}
+
+/**
+ * Write pending rejection counts to Postgres
+ */
+async function flushRejections() {
+  flushTimer = null;
+
+  const entries = Array.from(pendingRejections.values());
+  pendingRejections.clear();
+
+  for (const entry of entries) {
+    try {
+      await db.query(
+        `INSERT INTO relay_rejections (relay, reason, rejected_count, last_event_id, last_rejected_at)
+         VALUES ($1, $2, $3, $4, NOW())
+         ON CONFLICT (relay, reason)
+         DO UPDATE SET
+           rejected_count = relay_rejections.rejected_count + EXCLUDED.rejected_count,
+           last_event_id = COALESCE(EXCLUDED.last_event_id, relay_rejections.last_event_id),
+           last_rejected_at = NOW()`,
+        [entry.relay, entry.reason, entry.count, entry.lastEventId]
+      );
+    } catch (error) {
+      console.error(`[Validation] Failed to save rejections for ${entry.relay}:`, error.message);
+    }
+  }
+}
+
+/**
+ * Rejection counts per relay, across every process that talks to relays
+ */
+async function getRejectionStats() {
+  const result = await db.query(
+    `SELECT relay, reason, rejected_count, last_event_id, last_rejected_at
+     FROM relay_rejections
+     ORDER BY relay, rejected_count DESC`
+  );
+
+  const byRelay = new Map();
+  for (const row of result.rows) {
+    if (!byRelay.has(row.relay)) {
+      byRelay.set(row.relay, { relay: row.relay, total: 0, reasons: [], last_rejected_at: null });
+    }
+
+    const stats = byRelay.get(row.relay);
+    const count = parseInt(row.rejected_count);
+    stats.total += count;
+    stats.reasons.push({
+      reason: row.reason,
+      count,
+      last_event_id: row.last_event_id,
+      last_rejected_at: row.last_rejected_at
+    });
+    if (!stats.last_rejected_at || row.last_rejected_at > stats.last_rejected_at) {
+      stats.last_rejected_at = row.last_rejected_at;
+    }
+  }
+
+  return Array.from(byRelay.values()).sort((a, b) => b.total - a.total);
+}
+
+module.exports = {
+  computeEventId,
+  validateEvent,
+  acceptRelayEvent,
+  filterValidEvents,
+  flushRejections,
+  getRejectionStats
+};
@@ -84,16 +84,19 @@ async function getFollowSuggestions(req, res) {
         GROUP BY npub, name, bio
       )
       SELECT 
-        npub,
-        name,
-        bio,
-        follower_count,
-        total_engagement,
-        last_engagement,
-        sources,
-        ROUND(score::numeric, 2) as score
-      FROM scored
-      WHERE npub IS NOT NULL
+        s.npub,
+        COALESCE(p.display_name, p.name, s.name) as name,
+        COALESCE(p.about, s.bio) as bio,
+        p.picture,
+        p.nip05,
+        s.follower_count,
+        s.total_engagement,
+        s.last_engagement,
+        s.sources,
+        ROUND(s.score::numeric, 2) as score
+      FROM scored s
+      LEFT JOIN profiles p ON p.pubkey = s.npub
+      WHERE s.npub IS NOT NULL
       ORDER BY score DESC
       LIMIT $2
     `;
@@ -157,6 +160,8 @@ async function getFollowSuggestions(req, res) {
         npub: row.npub,
         name: row.name || 'Unknown',
         bio: row.bio,
+        picture: row.picture,
+        nip05: row.nip05,
         followerCount: row.follower_count || 0,
         mutualFollowers,
         recentPost: recentPost ? recentPost.slice(0, 150) + (recentPost.length > 150 ? '...' : '') : null,
@@ -264,6 +269,16 @@ async function getGrowthMetrics(req, res) {
           AND created_at >= NOW() - INTERVAL '${days} days'
         GROUP BY date
       ),
+      daily_unfollows AS (
+        SELECT 
+          DATE_TRUNC('${dateTrunc}', created_at)::date as date,
+          COUNT(*) as lost_followers
+        FROM events
+        WHERE user_id = $1
+          AND event_type = 'unfollow'
+          AND created_at >= NOW() - INTERVAL '${days} days'
+        GROUP BY date
+      ),
       daily_posts AS (
         SELECT 
           DATE_TRUNC('${dateTrunc}', posted_at)::date as date,
@@ -288,11 +303,13 @@ async function getGrowthMetrics(req, res) {
       SELECT 
         ds.date,
         COALESCE(df.new_followers, 0) as followers,
+        COALESCE(du.lost_followers, 0) as unfollows,
         COALESCE(dp.posts_count, 0) as posts,
         COALESCE(de.reactions, 0) + COALESCE(de.replies, 0) as total_reactions,
         COALESCE(de.zaps_sats, 0) as total_zaps_sats
       FROM date_series ds
       LEFT JOIN daily_followers df ON df.date = ds.date
+      LEFT JOIN daily_unfollows du ON du.date = ds.date
       LEFT JOIN daily_posts dp ON dp.date = ds.date
       LEFT JOIN daily_engagement de ON de.date = ds.date
       ORDER BY ds.date ASC
@@ -304,6 +321,8 @@ async function getGrowthMetrics(req, res) {
     const timeline = timelineResult.rows.map(row => ({
       date: row.date,
       followers: parseInt(row.followers) || 0,
+      unfollows: parseInt(row.unfollows) || 0,
+      netFollowers: (parseInt(row.followers) || 0) - (parseInt(row.unfollows) || 0),
       posts: parseInt(row.posts) || 0,
       totalReactions: parseInt(row.total_reactions) || 0,
       totalZapsSats: parseInt(row.total_zaps_sats) || 0,
@@ -378,6 +397,8 @@ async function getGrowthMetrics(req, res) {
       },
       summary: {
         totalFollowersGained: timeline.reduce((sum, d) => sum + d.followers, 0),
+        totalFollowersLost: timeline.reduce((sum, d) => sum + d.unfollows, 0),
+        netFollowerGrowth: timeline.reduce((sum, d) => sum + d.netFollowers, 0),
         totalPosts: timeline.reduce((sum, d) => sum + d.posts, 0),
         totalReactions: timeline.reduce((sum, d) => sum + d.totalReactions, 0),
         totalZapsSats: timeline.reduce((sum, d) => sum + d.totalZapsSats, 0),
@@ -5,6 +5,10 @@
  */
 
 const db = require('./db');
+const config = require('./config');
+const relayClient = require('./relay-client');
+const relayDiscovery = require('./relay-discovery');
+const relayHealth = require('./relay-health');
 
 // WebSocket polyfill for Node.js
 const WebSocket = require('ws');
@@ -12,64 +16,6 @@ if (!global.WebSocket) {
   global.WebSocket = WebSocket;
 }
 
-// Relays to query
-const RELAYS = [
-  'wss://relay.damus.io',
-  'wss://nos.lol',
-  'wss://relay.nostr.band',
-  'wss://purplepag.es',
-  'wss://relay.snort.social',
-];
-
-/**
- * Query a relay for events
- */
-async function queryRelay(relayUrl, filter, timeoutMs = 10000) {
-  return new Promise((resolve) => {
-    const events = [];
-    let resolved = false;
-    
-    const ws = new WebSocket(relayUrl);
-    const subId = 'sub_' + Math.random().toString(36).slice(2);
-    
-    const cleanup = () => {
-      if (!resolved) {
-        resolved = true;
-        try { ws.close(); } catch (e) {}
-        resolve(events);
-      }
-    };
-    
-    const timeout = setTimeout(cleanup, timeoutMs);
-    
-    ws.on('open', () => {
-      ws.send(JSON.stringify(['REQ', subId, filter]));
-    });
-    
-    ws.on('message', (data) => {
-      try {
-        const msg = JSON.parse(data.toString());
-        if (msg[0] === 'EVENT' && msg[1] === subId) {
-          events.push(msg[2]);
-        } else if (msg[0] === 'EOSE' && msg[1] === subId) {
-          clearTimeout(timeout);
-          cleanup();
-        }
-      } catch (e) {}
-    });
-    
-    ws.on('error', () => {
-      clearTimeout(timeout);
-      cleanup();
-    });
-    
-    ws.on('close', () => {
-      clearTimeout(timeout);
-      cleanup();
-    });
-  });
-}
-
 /**
  * Convert npub to hex pubkey
  */
@@ -104,6 +50,7 @@ function npubToHex(npub) {
 
 /**
  * Fetch user's posts from Nostr relays
+ * Tries the user's own write relays (NIP-65) before the defaults
  */
 async function fetchUserPosts(pubkeyHex, days = 90) {
   const since = Math.floor(Date.now() / 1000) - (days * 24 * 60 * 60);
@@ -111,9 +58,12 @@ async function fetchUserPosts(pubkeyHex, days = 90) {
   
   console.log(`[Hashtag] Fetching posts for ${pubkeyHex.slice(0, 8)}...`);
   
-  for (const relay of RELAYS.slice(0, 3)) {
+  const plan = await relayDiscovery.planRelaysFor([pubkeyHex], 'write');
+  const relays = relayHealth.rankRelays([...new Set([...plan.keys(), ...config.nostr.relays])]);
+  
+  for (const relay of relays) {
     try {
-      const events = await queryRelay(relay, {
+      const events = await relayClient.query(relay, {
         kinds: [1],
         authors: [pubkeyHex],
         since: since,
@@ -156,18 +106,11 @@ async function fetchTrendingPosts(hours = 24) {
     'memes', 'art', 'music', 'tech', 'dev', 'ai'
   ];
   
-  // Relays to query
-  const relays = [
-    'wss://relay.nostr.band',
-    'wss://relay.damus.io',
-    'wss://nos.lol'
-  ];
-  
   // Query each relay for recent posts
-  for (const relay of relays) {
+  for (const relay of relayHealth.rankRelays(config.nostr.relays)) {
     try {
       // Get recent posts (limit query to be reasonable)
-      const events = await queryRelay(relay, {
+      const events = await relayClient.query(relay, {
         kinds: [1],
         since: since,
         limit: 200
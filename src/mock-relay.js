@@ -0,0 +1,348 @@
+/**
+ * Mock Relay
+ * Small in-process NIP-01 relay over ws for offline end-to-end runs
+ * Answers REQ with stored matches + EOSE, keeps subscriptions open for live events, honors CLOSE
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { WebSocketServer } = require('ws');
+const { schnorr } = require('@noble/curves/secp256k1');
+const { computeEventId, validateEvent } = require('./event-validation');
+
+/**
+ * Replaceable kinds keep only the newest event per pubkey + kind
+ */
+function isReplaceable(kind) {
+  return kind === 0 || kind === 3 || (kind >= 10000 && kind < 20000);
+}
+
+/**
+ * Does an event match a single NIP-01 filter
+ */
+function matchesFilter(event, filter) {
+  if (filter.ids && !filter.ids.includes(event.id)) return false;
+  if (filter.authors && !filter.authors.includes(event.pubkey)) return false;
+  if (filter.kinds && !filter.kinds.includes(event.kind)) return false;
+  if (filter.since !== undefined && event.created_at < filter.since) return false;
+  if (filter.until !== undefined && event.created_at > filter.until) return false;
+
+  for (const [key, values] of Object.entries(filter)) {
+    if (key[0] !== '#' || key.length !== 2) continue;
+
+    const tagName = key.slice(1);
+    const found = (event.tags || []).some(tag => tag[0] === tagName && values.includes(tag[1]));
+    if (!found) return false;
+  }
+
+  return true;
+}
+
+/**
+ * Stored events matching any of the filters, newest first, each filter's limit applied separately
+ */
+function queryEvents(events, filters) {
+  const sorted = [...events].sort((a, b) => b.created_at - a.created_at);
+  const matched = new Map();
+
+  for (const filter of filters) {
+    let count = 0;
+    for (const event of sorted) {
+      if (filter.limit !== undefined && count >= filter.limit) break;
+      if (!matchesFilter(event, filter)) continue;
+
+      matched.set(event.id, event);
+      count++;
+    }
+  }
+
+  return Array.from(matched.values());
+}
+
+/**
+ * Create a mock relay
+ * @param {object} options - { port (0 = any free port), events (seeded as-is), maxSubscriptions }
+ */
+function createMockRelay(options = {}) {
+  const events = new Map(); // event id -> event
+  const stats = { connections: 0, requests: 0, published: 0 };
+  let server = null;
+  let url = null;
+
+  /**
+   * Store an event without validating it, so fixtures can seed bad events on purpose
+   * @returns {boolean} - false if it was a duplicate or an older replaceable
+   */
+  function addEvent(event) {
+    if (events.has(event.id)) return false;
+
+    if (isReplaceable(event.kind)) {
+      for (const existing of events.values()) {
+        if (existing.pubkey !== event.pubkey || existing.kind !== event.kind) continue;
+        if (existing.created_at >= event.created_at) return false;
+        events.delete(existing.id);
+      }
+    }
+
+    events.set(event.id, event);
+    broadcast(event);
+    return true;
+  }
+
+  /**
+   * Send an event to every open subscription it matches
+   */
+  function broadcast(event) {
+    if (!server) return;
+
+    for (const ws of server.clients) {
+      for (const [subId, filters] of ws.subscriptions) {
+        if (filters.some(filter => matchesFilter(event, filter))) {
+          ws.send(JSON.stringify(['EVENT', subId, event]));
+        }
+      }
+    }
+  }
+
+  function handleReq(ws, subId, filters) {
+    stats.requests++;
+
+    const limit = options.maxSubscriptions;
+    if (limit && !ws.subscriptions.has(subId) && ws.subscriptions.size >= limit) {
+      ws.send(JSON.stringify(['CLOSED', subId, 'error: too many concurrent subscriptions']));
+      return;
+    }
+
+    ws.subscriptions.set(subId, filters);
+
+    for (const event of queryEvents(events.values(), filters)) {
+      ws.send(JSON.stringify(['EVENT', subId, event]));
+    }
+    ws.send(JSON.stringify(['EOSE', subId]));
+  }
+
+  function handlePublish(ws, event) {
+    const validation = validateEvent(event);
+    if (!validation.valid) {
+      ws.send(JSON.stringify(['OK', event && event.id, false, `invalid: ${validation.reason}`]));
+      return;
+    }
+
+    stats.published++;
+    const stored = addEvent(event);
+    ws.send(JSON.stringify(['OK', event.id, true, stored ? '' : 'duplicate: already have this event']));
+  }
+
+  function handleMessage(ws, data) {
+    let message;
+    try {
+      message = JSON.parse(data.toString());
+    } catch (error) {
+      ws.send(JSON.stringify(['NOTICE', 'error: could not parse message']));
+      return;
+    }
+
+    if (!Array.isArray(message)) return;
+
+    const [type, ...rest] = message;
+
+    if (type === 'REQ') {
+      handleReq(ws, rest[0], rest.slice(1));
+    } else if (type === 'CLOSE') {
+      ws.subscriptions.delete(rest[0]);
+    } else if (type === 'EVENT') {
+      handlePublish(ws, rest[0]);
+    } else {
+      ws.send(JSON.stringify(['NOTICE', `error: unknown message type ${type}`]));
+    }
+  }
+
+  /**
+   * Start listening on 127.0.0.1
+   * @returns {Promise<string>} - The relay's ws:// url
+   */
+  function start() {
+    return new Promise((resolve, reject) => {
+      server = new WebSocketServer({ host: '127.0.0.1', port: options.port || 0 });
+
+      server.on('connection', (ws) => {
+        stats.connections++;
+        ws.subscriptions = new Map();
+        ws.on('message', data => handleMessage(ws, data));
+      });
+
+      server.once('error', reject);
+      server.once('listening', () => {
+        url = `ws://127.0.0.1:${server.address().port}`;
+        resolve(url);
+      });
+    });
+  }
+
+  /**
+   * Drop every connection and stop listening
+   */
+  function stop() {
+    if (!server) return Promise.resolve();
+
+    for (const ws of server.clients) ws.terminate();
+
+    return new Promise(resolve => {
+      server.close(() => resolve());
+      server = null;
+    });
+  }
+
+  for (const event of options.events || []) addEvent(event);
+
+  return {
+    start,
+    stop,
+    addEvent,
+    events: () => Array.from(events.values()),
+    openSubscriptions: () => server
+      ? [...server.clients].reduce((total, ws) => total + ws.subscriptions.size, 0)
+      : 0,
+    stats: () => ({ ...stats, clients: server ? server.clients.size : 0, stored: events.size }),
+    get url() {
+      return url;
+    }
+  };
+}
+
+/**
+ * Deterministic fixture keypair for an account name
+ */
+function fixtureKey(name) {
+  const secret = crypto.createHash('sha256').update(`deep-claw-fixture:${name}`).digest();
+  return {
+    secret,
+    pubkey: Buffer.from(schnorr.getPublicKey(secret)).toString('hex')
+  };
+}
+
+/**
+ * Fill in id and sig for an unsigned event
+ */
+function signEvent(event, secret) {
+  const id = computeEventId(event);
+  return { ...event, id, sig: Buffer.from(schnorr.sign(id, secret)).toString('hex') };
+}
+
+/**
+ * Build signed events from a fixture
+ *
+ * Fixture events are readable templates: { ref, author, kind, ago, content, tags, relays, forged }.
+ * Strings may use {{pubkey:name}}, {{id:ref}} and {{relay:name}} placeholders, `ago` is seconds
+ * before now, and `forged: true` breaks the signature after signing.
+ *
+ * @param {object|string} fixture - Fixture object or path to a JSON file
+ * @param {object} relayUrls - Relay name -> url, for {{relay:name}} and per-event `relays`
+ * @returns {object} - { keys: name -> { secret, pubkey }, refs: ref -> event, byRelay: name -> events }
+ */
+function buildFixture(fixture, relayUrls = {}) {
+  if (typeof fixture === 'string') {
+    fixture = JSON.parse(fs.readFileSync(fixture, 'utf8'));
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  const keys = {};
+  const refs = {};
+  const byRelay = {};
+  const relayNames = Object.keys(relayUrls);
+
+  for (const name of fixture.accounts || []) keys[name] = fixtureKey(name);
+  for (const name of relayNames) byRelay[name] = [];
+
+  const substitute = (value) => value.replace(/\{\{(pubkey|id|relay):([^}]+)\}\}/g, (match, type, name) => {
+    if (type === 'pubkey' && keys[name]) return keys[name].pubkey;
+    if (type === 'id' && refs[name]) return refs[name].id;
+    if (type === 'relay' && relayUrls[name]) return relayUrls[name];
+    throw new Error(`Unresolved fixture placeholder ${match}`);
+  });
+
+  for (const template of fixture.events || []) {
+    const key = keys[template.author];
+    if (!key) throw new Error(`Unknown fixture author ${template.author}`);
+
+    const event = signEvent({
+      pubkey: key.pubkey,
+      created_at: now - (template.ago || 0),
+      kind: template.kind,
+      tags: (template.tags || []).map(tag => tag.map(substitute)),
+      content: substitute(template.content || '')
+    }, key.secret);
+
+    if (template.forged) {
+      event.sig = event.sig.slice(0, -2) + (event.sig.endsWith('00') ? '01' : '00');
+    }
+
+    if (template.ref) refs[template.ref] = event;
+
+    for (const name of template.relays || relayNames) {
+      if (!byRelay[name]) throw new Error(`Unknown fixture relay ${name}`);
+      byRelay[name].push(event);
+    }
+  }
+
+  return { keys, refs, byRelay };
+}
+
+/**
+ * Start one mock relay per name and seed each from the fixture
+ * @param {object|string} fixture - Fixture object or path; its `relays` lists the relay names
+ * @returns {Promise<object>} - { relays: name -> relay, urls: name -> url, keys, refs, stop() }
+ */
+async function startFixtureRelays(fixture) {
+  if (typeof fixture === 'string') {
+    fixture = JSON.parse(fs.readFileSync(fixture, 'utf8'));
+  }
+
+  const relays = {};
+  const urls = {};
+
+  for (const name of fixture.relays || ['main']) {
+    relays[name] = createMockRelay();
+    urls[name] = await relays[name].start();
+  }
+
+  const { keys, refs, byRelay } = buildFixture(fixture, urls);
+
+  for (const [name, events] of Object.entries(byRelay)) {
+    for (const event of events) relays[name].addEvent(event);
+  }
+
+  return {
+    relays,
+    urls,
+    keys,
+    refs,
+    stop: () => Promise.all(Object.values(relays).map(relay => relay.stop()))
+  };
+}
+
+// Run standalone: node src/mock-relay.js [fixture.json]
+if (require.main === module) {
+  const fixturePath = process.argv[2];
+
+  startFixtureRelays(fixturePath || { relays: ['main'] })
+    .then(({ urls, keys }) => {
+      console.log('🦞 Mock relays running:');
+      for (const [name, url] of Object.entries(urls)) console.log(`  ${name}: ${url}`);
+      for (const [name, key] of Object.entries(keys)) console.log(`  ${name}: ${key.pubkey}`);
+    })
+    .catch((error) => {
+      console.error('❌ Failed to start mock relay:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  matchesFilter,
+  queryEvents,
+  createMockRelay,
+  fixtureKey,
+  signEvent,
+  buildFixture,
+  startFixtureRelays
+};
@@ -2,115 +2,25 @@
  * Network Scanner
  * Fetches historical activity from a user's network (following AND followers) from Nostr relays
  * to bootstrap timing analytics data
- * 
- * NOTE: This version uses raw WebSocket queries instead of nostr-tools
- * to avoid ESM/CommonJS compatibility issues on Railway
  */
 
-const WebSocket = require('ws');
+const config = require('./config');
+const relayClient = require('./relay-client');
+const relayDiscovery = require('./relay-discovery');
+const relayHealth = require('./relay-health');
+const tombstones = require('./tombstones');
 const db = require('./db');
-
-// Default relays to query
-const DEFAULT_RELAYS = [
-  'wss://relay.damus.io',
-  'wss://nos.lol',
-  'wss://relay.nostr.band',
-  'wss://relay.snort.social',
-  'wss://purplepag.es',
-];
-
-// Relays that index follower data (can query for who follows a pubkey)
-const INDEXING_RELAYS = [
-  'wss://relay.nostr.band',
-  'wss://purplepag.es',
-];
-
-/**
- * Query a relay for events using raw WebSocket
- */
-async function queryRelay(relayUrl, filter, timeoutMs = 10000) {
-  return new Promise((resolve) => {
-    const events = [];
-    let resolved = false;
-    let ws;
-    
-    const cleanup = () => {
-      if (!resolved) {
-        resolved = true;
-        try { ws?.close(); } catch (e) {}
-        resolve(events);
-      }
-    };
-    
-    const timeout = setTimeout(cleanup, timeoutMs);
-    
-    try {
-      ws = new WebSocket(relayUrl);
-      const subId = 'sub_' + Math.random().toString(36).slice(2);
-      
-      ws.on('open', () => {
-        ws.send(JSON.stringify(['REQ', subId, filter]));
-      });
-      
-      ws.on('message', (data) => {
-        try {
-          const msg = JSON.parse(data.toString());
-          if (msg[0] === 'EVENT' && msg[1] === subId) {
-            events.push(msg[2]);
-          } else if (msg[0] === 'EOSE' && msg[1] === subId) {
-            clearTimeout(timeout);
-            cleanup();
-          }
-        } catch (e) {}
-      });
-      
-      ws.on('error', () => {
-        clearTimeout(timeout);
-        cleanup();
-      });
-      
-      ws.on('close', () => {
-        clearTimeout(timeout);
-        cleanup();
-      });
-    } catch (e) {
-      clearTimeout(timeout);
-      cleanup();
-    }
-  });
-}
+const nip19 = require('./nip19');
 
 /**
  * Convert npub to hex pubkey using bech32 decoding
+ * @throws on a bad checksum or a non-npub bech32 string
  */
 function npubToPubkey(npub) {
   if (!npub) return npub;
   if (!npub.startsWith('npub1')) return npub; // Already hex
   
-  const ALPHABET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
-  const data = npub.slice(5);
-  
-  const values = [];
-  for (const char of data) {
-    const idx = ALPHABET.indexOf(char);
-    if (idx === -1) throw new Error('Invalid npub character: ' + char);
-    values.push(idx);
-  }
-  
-  let bits = 0;
-  let value = 0;
-  const result = [];
-  
-  for (const v of values.slice(0, -6)) { // Exclude 6-char checksum
-    value = (value << 5) | v;
-    bits += 5;
-    while (bits >= 8) {
-      bits -= 8;
-      result.push((value >> bits) & 0xff);
-    }
-  }
-  
-  return result.map(b => b.toString(16).padStart(2, '0')).join('');
+  return nip19.normalizePubkey(npub);
 }
 
 /**
@@ -120,20 +30,22 @@ function pubkeyToNpub(pubkey) {
   if (!pubkey) return pubkey;
   if (pubkey.startsWith('npub1')) return pubkey; // Already npub
   
-  // Simple conversion - just prefix with npub format indicator
-  // For display purposes, we'll use a truncated version
-  return 'npub1' + pubkey.slice(0, 20) + '...';
+  return nip19.npubEncode(pubkey);
 }
 
 /**
  * Get a user's following list from Nostr
+ * Asks the user's own write relays first, then the indexers and defaults
  */
-async function getFollowingList(pubkey, relays = DEFAULT_RELAYS) {
+async function getFollowingList(pubkey) {
   console.log(`[Scanner] Fetching contact list for ${pubkey.slice(0, 8)}...`);
   
+  const plan = await relayDiscovery.planRelaysFor([pubkey], 'write');
+  const relays = relayHealth.rankRelays([...new Set([...plan.keys(), ...config.nostr.indexerRelays, ...config.nostr.relays])]);
+  
   for (const relay of relays) {
     try {
-      const events = await queryRelay(relay, {
+      const events = await relayClient.query(relay, {
         kinds: [3], // Contact list
         authors: [pubkey],
         limit: 1
@@ -164,9 +76,9 @@ async function getFollowersList(pubkey, limit = 500) {
   
   const allFollowers = new Set();
   
-  for (const relay of INDEXING_RELAYS) {
+  for (const relay of relayHealth.rankRelays(config.nostr.indexerRelays)) {
     try {
-      const events = await queryRelay(relay, {
+      const events = await relayClient.query(relay, {
         kinds: [3],
         '#p': [pubkey],
         limit: limit
@@ -188,41 +100,43 @@ async function getFollowersList(pubkey, limit = 500) {
 
 /**
  * Fetch recent posts from a list of pubkeys
+ * Each author is queried on their own write relays (NIP-65), falling back to the defaults
  */
-async function fetchNetworkPosts(pubkeys, since, relays = DEFAULT_RELAYS) {
-  const posts = [];
-  const seen = new Set();
-  
+async function fetchNetworkPosts(pubkeys, since) {
   // Limit to first 100 accounts for speed
   const limitedPubkeys = pubkeys.slice(0, 100);
   
   console.log(`[Scanner] Fetching posts from ${limitedPubkeys.length} accounts...`);
   
-  for (const relay of relays.slice(0, 3)) {
-    try {
-      const events = await queryRelay(relay, {
-        kinds: [1],
-        authors: limitedPubkeys,
-        since: since,
-        limit: 500
-      }, 15000);
-      
-      for (const event of events) {
-        const key = `${event.pubkey}:${event.created_at}`;
-        if (!seen.has(key)) {
-          seen.add(key);
-          posts.push({
-            pubkey: event.pubkey,
-            created_at: event.created_at,
-            content: event.content,
-            id: event.id
-          });
-        }
-      }
-      
-      if (posts.length > 100) break; // Got enough
-    } catch (error) {
-      console.log(`[Scanner] ${relay} posts query failed:`, error.message);
+  const plan = await relayDiscovery.planRelaysFor(limitedPubkeys, 'write');
+  
+  const filtersByRelay = new Map();
+  for (const [relay, authors] of plan) {
+    filtersByRelay.set(relay, {
+      kinds: [1],
+      authors,
+      since: since,
+      limit: 500
+    });
+  }
+  
+  console.log(`[Scanner] Querying ${filtersByRelay.size} relays`);
+  
+  const events = await relayClient.queryMany(filtersByRelay, 15000);
+  
+  const posts = [];
+  const seen = new Set();
+  
+  for (const event of events) {
+    const key = `${event.pubkey}:${event.created_at}`;
+    if (!seen.has(key)) {
+      seen.add(key);
+      posts.push({
+        pubkey: event.pubkey,
+        created_at: event.created_at,
+        content: event.content,
+        id: event.id
+      });
     }
   }
   
@@ -423,8 +337,8 @@ async function scanUserNetwork(userId, userPubkey, period = '30d') {
     } catch (err) {}
   }
   
-  // Fetch posts
-  const posts = await fetchNetworkPosts(following, since);
+  // Fetch posts, minus any their authors deleted
+  const posts = await tombstones.filterDeleted(await fetchNetworkPosts(following, since));
   
   // Store post activity
   let stored = 0;
@@ -493,5 +407,4 @@ module.exports = {
   quickScanNetwork,
   npubToPubkey,
   pubkeyToNpub,
-  queryRelay,
 };
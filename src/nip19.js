@@ -0,0 +1,129 @@
+/**
+ * NIP-19
+ * bech32 encoding of keys and ids (npub, note, ...) for links and display, and checksummed
+ * decoding of what users send us
+ */
+
+const ALPHABET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
+const GENERATOR = [0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3];
+
+function polymod(values) {
+  let chk = 1;
+  for (const v of values) {
+    const top = chk >> 25;
+    chk = ((chk & 0x1ffffff) << 5) ^ v;
+    for (let i = 0; i < 5; i++) {
+      if ((top >> i) & 1) chk ^= GENERATOR[i];
+    }
+  }
+  return chk;
+}
+
+/**
+ * Prefix expanded for the checksum: high bits of each char, 0, low bits of each char
+ */
+function expandPrefix(prefix) {
+  const chars = [...prefix].map(c => c.charCodeAt(0));
+  return [...chars.map(c => c >> 5), 0, ...chars.map(c => c & 31)];
+}
+
+function checksum(prefix, words) {
+  const chk = polymod([...expandPrefix(prefix), ...words, 0, 0, 0, 0, 0, 0]) ^ 1;
+  return [0, 1, 2, 3, 4, 5].map(i => (chk >> (5 * (5 - i))) & 31);
+}
+
+/**
+ * Encode 32 bytes of hex as bech32 with the given prefix
+ * @param {string} prefix - 'npub', 'note', 'nsec'
+ */
+function encode(prefix, hex) {
+  const words = [];
+  let bits = 0;
+  let value = 0;
+
+  for (const byte of Buffer.from(hex, 'hex')) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      bits -= 5;
+      words.push((value >> bits) & 31);
+    }
+  }
+  if (bits > 0) words.push((value << (5 - bits)) & 31);
+
+  return `${prefix}1` + [...words, ...checksum(prefix, words)].map(w => ALPHABET[w]).join('');
+}
+
+function npubEncode(pubkey) {
+  return encode('npub', pubkey);
+}
+
+function noteEncode(eventId) {
+  return encode('note', eventId);
+}
+
+/**
+ * Decode a bech32 string, verifying its checksum
+ * @returns {object} - { prefix, hex }
+ */
+function decode(value) {
+  if (typeof value !== 'string') throw new Error('Not a bech32 string');
+
+  // bech32 is either all lowercase or all uppercase
+  const str = value.toLowerCase();
+  if (value !== str && value !== value.toUpperCase()) throw new Error('Mixed-case bech32');
+
+  const separator = str.lastIndexOf('1');
+  if (separator < 1 || str.length - separator - 1 < 6) throw new Error('Malformed bech32');
+
+  const prefix = str.slice(0, separator);
+  const words = [...str.slice(separator + 1)].map(char => {
+    const index = ALPHABET.indexOf(char);
+    if (index === -1) throw new Error(`Invalid bech32 character: ${char}`);
+    return index;
+  });
+
+  if (polymod([...expandPrefix(prefix), ...words]) !== 1) throw new Error('Invalid bech32 checksum');
+
+  const bytes = [];
+  let bits = 0;
+  let acc = 0;
+
+  for (const word of words.slice(0, -6)) {
+    acc = ((acc << 5) | word) & 0xfff;
+    bits += 5;
+    while (bits >= 8) {
+      bits -= 8;
+      bytes.push((acc >> bits) & 0xff);
+    }
+  }
+
+  // Leftover bits are padding and must be zero
+  if (bits >= 5 || (acc & ((1 << bits) - 1)) !== 0) throw new Error('Invalid bech32 padding');
+
+  return { prefix, hex: Buffer.from(bytes).toString('hex') };
+}
+
+/**
+ * Hex pubkey from an npub (checksum verified) or a hex pubkey
+ * @throws if it's neither
+ */
+function normalizePubkey(value) {
+  if (typeof value !== 'string') throw new Error('Pubkey must be a string');
+
+  const trimmed = value.trim();
+  if (/^[0-9a-f]{64}$/i.test(trimmed)) return trimmed.toLowerCase();
+
+  const { prefix, hex } = decode(trimmed);
+  if (prefix !== 'npub' || hex.length !== 64) throw new Error('Not an npub');
+
+  return hex;
+}
+
+module.exports = {
+  encode,
+  decode,
+  npubEncode,
+  noteEncode,
+  normalizePubkey
+};
@@ -0,0 +1,347 @@
+/**
+ * Nostr DMs
+ * Delivers notifications as encrypted DMs signed with the service key, for agents that listen
+ * on Nostr instead of exposing a webhook endpoint.
+ *
+ * NIP-17: the payload is a kind 14 rumor, sealed (kind 13, NIP-44) by the service key and
+ * gift-wrapped (kind 1059) by a one-time key, published to the recipient's kind 10050 DM relays.
+ * NIP-04: kind 4 DM, for recipients without DM relays (or clients that only speak NIP-04),
+ * published to their NIP-65 read relays.
+ */
+
+const crypto = require('crypto');
+const { schnorr, secp256k1 } = require('@noble/curves/secp256k1');
+const config = require('./config');
+const relayClient = require('./relay-client');
+const relayDiscovery = require('./relay-discovery');
+const relayHealth = require('./relay-health');
+const { computeEventId, validateEvent } = require('./event-validation');
+
+const PROTOCOLS = ['auto', 'nip17', 'nip04'];
+
+// NIP-44 v2 plaintext limits
+const NIP44_MIN_PLAINTEXT = 1;
+const NIP44_MAX_PLAINTEXT = 65535;
+
+// error.code for payloads that can't be encrypted at their size; retrying won't help
+const PAYLOAD_SIZE_ERROR = 'DM_PAYLOAD_SIZE';
+
+// Publish each DM to at most this many relays
+const DM_RELAY_LIMIT = 5;
+
+// NIP-59: seal and wrap timestamps are randomized up to two days into the past
+const TIMESTAMP_JITTER_SECONDS = 2 * 24 * 60 * 60;
+
+// pubkey -> { relays, cachedAt } for kind 10050 DM relay lists
+const dmRelayCache = new Map();
+
+function now() {
+  return Math.floor(Date.now() / 1000);
+}
+
+function randomPastTimestamp() {
+  return now() - crypto.randomInt(TIMESTAMP_JITTER_SECONDS);
+}
+
+/**
+ * The service's secret key (NOSTR_SERVICE_KEY, 64-char hex), or null if not configured
+ */
+function serviceSecret() {
+  const key = config.nostr.serviceKey;
+  return key && /^[0-9a-f]{64}$/i.test(key) ? Buffer.from(key, 'hex') : null;
+}
+
+function isConfigured() {
+  return serviceSecret() !== null;
+}
+
+/**
+ * Hex pubkey DMs are signed with, so agents know who to trust
+ */
+function servicePubkey() {
+  const secret = serviceSecret();
+  return secret ? Buffer.from(schnorr.getPublicKey(secret)).toString('hex') : null;
+}
+
+/**
+ * Fill in pubkey, id and sig for an unsigned event
+ */
+function signEvent(event, secret) {
+  const signed = { ...event, pubkey: Buffer.from(schnorr.getPublicKey(secret)).toString('hex') };
+  signed.id = computeEventId(signed);
+  signed.sig = Buffer.from(schnorr.sign(signed.id, secret)).toString('hex');
+  return signed;
+}
+
+/**
+ * x coordinate of the ECDH shared point with an x-only Nostr pubkey
+ */
+function sharedX(secret, pubkey) {
+  return Buffer.from(secp256k1.getSharedSecret(secret, '02' + pubkey)).subarray(1, 33);
+}
+
+// ========================================
+// NIP-44 v2
+// ========================================
+
+/**
+ * Conversation key between a secret key and a pubkey (the same from either side)
+ */
+function getConversationKey(secret, pubkey) {
+  return crypto.createHmac('sha256', 'nip44-v2').update(sharedX(secret, pubkey)).digest();
+}
+
+/**
+ * HKDF-expand (RFC 5869) with SHA-256
+ */
+function hkdfExpand(prk, info, length) {
+  const blocks = [];
+  let previous = Buffer.alloc(0);
+
+  for (let i = 1; Buffer.concat(blocks).length < length; i++) {
+    previous = crypto.createHmac('sha256', prk).update(Buffer.concat([previous, info, Buffer.from([i])])).digest();
+    blocks.push(previous);
+  }
+
+  return Buffer.concat(blocks).subarray(0, length);
+}
+
+function messageKeys(conversationKey, nonce) {
+  const keys = hkdfExpand(conversationKey, nonce, 76);
+  return {
+    chachaKey: keys.subarray(0, 32),
+    chachaNonce: keys.subarray(32, 44),
+    hmacKey: keys.subarray(44, 76)
+  };
+}
+
+function paddedLength(length) {
+  if (length <= 32) return 32;
+
+  const nextPower = 1 << (Math.floor(Math.log2(length - 1)) + 1);
+  const chunk = nextPower <= 256 ? 32 : nextPower / 8;
+  return chunk * (Math.floor((length - 1) / chunk) + 1);
+}
+
+function chacha20(key, nonce, data) {
+  // Node's chacha20 takes a 16-byte IV: 32-bit little-endian counter (0) followed by the nonce
+  const cipher = crypto.createCipheriv('chacha20', key, Buffer.concat([Buffer.alloc(4), nonce]));
+  return Buffer.concat([cipher.update(data), cipher.final()]);
+}
+
+/**
+ * @returns {string} - base64 payload
+ */
+function nip44Encrypt(plaintext, conversationKey, nonce = crypto.randomBytes(32)) {
+  const unpadded = Buffer.from(plaintext, 'utf8');
+  if (unpadded.length < NIP44_MIN_PLAINTEXT || unpadded.length > NIP44_MAX_PLAINTEXT) {
+    const error = new Error(`NIP-44 plaintext must be ${NIP44_MIN_PLAINTEXT}-${NIP44_MAX_PLAINTEXT} bytes`);
+    error.code = PAYLOAD_SIZE_ERROR;
+    throw error;
+  }
+
+  const padded = Buffer.alloc(2 + paddedLength(unpadded.length));
+  padded.writeUInt16BE(unpadded.length, 0);
+  unpadded.copy(padded, 2);
+
+  const { chachaKey, chachaNonce, hmacKey } = messageKeys(conversationKey, nonce);
+  const ciphertext = chacha20(chachaKey, chachaNonce, padded);
+  const mac = crypto.createHmac('sha256', hmacKey).update(Buffer.concat([nonce, ciphertext])).digest();
+
+  return Buffer.concat([Buffer.from([2]), nonce, ciphertext, mac]).toString('base64');
+}
+
+function nip44Decrypt(payload, conversationKey) {
+  const data = Buffer.from(payload, 'base64');
+  if (data.length < 99 || data[0] !== 2) throw new Error('Unsupported NIP-44 payload');
+
+  const nonce = data.subarray(1, 33);
+  const ciphertext = data.subarray(33, data.length - 32);
+  const mac = data.subarray(data.length - 32);
+
+  const { chachaKey, chachaNonce, hmacKey } = messageKeys(conversationKey, nonce);
+  const expected = crypto.createHmac('sha256', hmacKey).update(Buffer.concat([nonce, ciphertext])).digest();
+  if (!crypto.timingSafeEqual(mac, expected)) throw new Error('Invalid NIP-44 MAC');
+
+  const padded = chacha20(chachaKey, chachaNonce, ciphertext);
+  const length = padded.readUInt16BE(0);
+  if (length < NIP44_MIN_PLAINTEXT || padded.length !== 2 + paddedLength(length)) {
+    throw new Error('Invalid NIP-44 padding');
+  }
+
+  return padded.subarray(2, 2 + length).toString('utf8');
+}
+
+// ========================================
+// NIP-04
+// ========================================
+
+function nip04Encrypt(plaintext, secret, pubkey) {
+  const iv = crypto.randomBytes(16);
+  const cipher = crypto.createCipheriv('aes-256-cbc', sharedX(secret, pubkey), iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+  return `${ciphertext.toString('base64')}?iv=${iv.toString('base64')}`;
+}
+
+function nip04Decrypt(content, secret, pubkey) {
+  const [ciphertext, iv] = content.split('?iv=');
+  const decipher = crypto.createDecipheriv('aes-256-cbc', sharedX(secret, pubkey), Buffer.from(iv, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8');
+}
+
+// ========================================
+// NIP-17 / NIP-59
+// ========================================
+
+/**
+ * Gift-wrap a kind 14 DM from the sender to the recipient
+ * @returns {object} - Signed kind 1059 event
+ */
+function giftWrap(content, senderSecret, recipientPubkey) {
+  const rumor = {
+    pubkey: Buffer.from(schnorr.getPublicKey(senderSecret)).toString('hex'),
+    created_at: now(),
+    kind: 14,
+    tags: [['p', recipientPubkey]],
+    content
+  };
+  rumor.id = computeEventId(rumor);
+
+  const seal = signEvent({
+    created_at: randomPastTimestamp(),
+    kind: 13,
+    tags: [],
+    content: nip44Encrypt(JSON.stringify(rumor), getConversationKey(senderSecret, recipientPubkey))
+  }, senderSecret);
+
+  const wrapSecret = crypto.randomBytes(32);
+
+  return signEvent({
+    created_at: randomPastTimestamp(),
+    kind: 1059,
+    tags: [['p', recipientPubkey]],
+    content: nip44Encrypt(JSON.stringify(seal), getConversationKey(wrapSecret, recipientPubkey))
+  }, wrapSecret);
+}
+
+/**
+ * Gift wrap, or null if the content is too big for one
+ * The wrap encrypts the seal, which holds the encrypted rumor as base64, so NIP-44's limit
+ * is reached at roughly 48 KB of content rather than 64 KB. Building it is the exact test.
+ */
+function tryGiftWrap(content, senderSecret, recipientPubkey) {
+  try {
+    return giftWrap(content, senderSecret, recipientPubkey);
+  } catch (error) {
+    if (error.code === PAYLOAD_SIZE_ERROR) return null;
+    throw error;
+  }
+}
+
+/**
+ * Open a gift wrap addressed to us
+ * @returns {object} - The rumor; its pubkey is the verified sender
+ */
+function unwrapGiftWrap(wrap, recipientSecret) {
+  const seal = JSON.parse(nip44Decrypt(wrap.content, getConversationKey(recipientSecret, wrap.pubkey)));
+  if (seal.kind !== 13 || !validateEvent(seal).valid) throw new Error('Invalid seal');
+
+  const rumor = JSON.parse(nip44Decrypt(seal.content, getConversationKey(recipientSecret, seal.pubkey)));
+  if (rumor.pubkey !== seal.pubkey) throw new Error('Rumor author does not match seal');
+
+  return rumor;
+}
+
+// ========================================
+// Delivery
+// ========================================
+
+/**
+ * A pubkey's kind 10050 DM relays (NIP-17), cached like NIP-65 relay lists
+ */
+async function getDmRelays(pubkey) {
+  const cached = dmRelayCache.get(pubkey);
+  if (cached && Date.now() - cached.cachedAt < config.nostr.outbox.relayListTtlHours * 60 * 60 * 1000) {
+    return cached.relays;
+  }
+
+  const lookup = relayHealth.rankRelays([...new Set([...config.nostr.indexerRelays, ...config.nostr.relays])]);
+  const results = await Promise.all(lookup.map(relay =>
+    relayClient.query(relay, { kinds: [10050], authors: [pubkey], limit: 1 }, 5000)
+  ));
+
+  const newest = results.flat()
+    .filter(event => event.kind === 10050 && event.pubkey === pubkey)
+    .sort((a, b) => b.created_at - a.created_at)[0];
+
+  const relays = newest
+    ? [...new Set(newest.tags.filter(tag => tag[0] === 'relay').map(tag => relayDiscovery.normalizeRelayUrl(tag[1])).filter(Boolean))]
+    : [];
+
+  dmRelayCache.set(pubkey, { relays, cachedAt: Date.now() });
+  return relays;
+}
+
+/**
+ * Send a DM from the service key to a pubkey
+ * auto uses NIP-17 when the recipient lists DM relays and the payload fits a gift wrap, NIP-04 otherwise.
+ * Payloads too large for the chosen protocol throw with error.code PAYLOAD_SIZE_ERROR.
+ * @param {string} protocol - 'auto', 'nip17' or 'nip04'
+ * @returns {Promise<object>} - { protocol, event_id, relays, accepted, failed }
+ */
+async function sendDirectMessage(recipientPubkey, content, protocol = 'auto') {
+  const secret = serviceSecret();
+  if (!secret) throw new Error('NOSTR_SERVICE_KEY is not set');
+
+  const dmRelays = protocol === 'nip04' ? [] : await getDmRelays(recipientPubkey);
+  const readRelays = (await relayDiscovery.getRelayLists([recipientPubkey])).get(recipientPubkey)?.read || [];
+
+  const wrap = protocol === 'nip17' || (protocol === 'auto' && dmRelays.length > 0)
+    ? tryGiftWrap(content, secret, recipientPubkey)
+    : null;
+
+  if (protocol === 'nip17' && !wrap) {
+    const error = new Error('Payload is too large for a NIP-17 DM (use dm_protocol auto or nip04)');
+    error.code = PAYLOAD_SIZE_ERROR;
+    throw error;
+  }
+
+  const nip17 = wrap !== null;
+
+  const candidates = [nip17 ? dmRelays : [], readRelays, config.nostr.relays].find(relays => relays.length > 0);
+  const relays = relayHealth.rankRelays(candidates).slice(0, DM_RELAY_LIMIT);
+
+  const event = nip17
+    ? wrap
+    : signEvent({
+      created_at: now(),
+      kind: 4,
+      tags: [['p', recipientPubkey]],
+      content: nip04Encrypt(content, secret, recipientPubkey)
+    }, secret);
+
+  const result = await relayClient.publish(relays, event);
+
+  return {
+    protocol: nip17 ? 'nip17' : 'nip04',
+    event_id: event.id,
+    relays,
+    ...result
+  };
+}
+
+module.exports = {
+  PROTOCOLS,
+  PAYLOAD_SIZE_ERROR,
+  isConfigured,
+  servicePubkey,
+  getConversationKey,
+  nip44Encrypt,
+  nip44Decrypt,
+  nip04Encrypt,
+  nip04Decrypt,
+  giftWrap,
+  unwrapGiftWrap,
+  getDmRelays,
+  sendDirectMessage
+};
@@ -0,0 +1,213 @@
+/**
+ * Post Tracker
+ * Keeps the posts table in sync with a user's own notes and their engagement counters
+ */
+
+const db = require('./db');
+const config = require('./config');
+const relayClient = require('./relay-client');
+const relayDiscovery = require('./relay-discovery');
+const relayHealth = require('./relay-health');
+const { lastTagValue, parseThreadTags } = require('./event-tags');
+const { parseZapReceipt } = require('./zaps');
+const tombstones = require('./tombstones');
+
+// Counter updates per engagement event type
+const COUNTER_UPDATES = {
+  like: 'likes = likes + 1',
+  repost: 'reposts = reposts + 1',
+  reply: 'replies = replies + 1',
+  zap: 'zaps_count = zaps_count + 1, zaps_sats = zaps_sats + $3'
+};
+
+/**
+ * Insert or update one of the user's own notes (kind 1)
+ */
+async function upsertPost(userId, event) {
+  await db.query(
+    `INSERT INTO posts (user_id, note_id, content, posted_at)
+     VALUES ($1, $2, $3, to_timestamp($4))
+     ON CONFLICT (note_id)
+     DO UPDATE SET
+       content = EXCLUDED.content,
+       last_updated = NOW()`,
+    [userId, event.id, event.content, event.created_at]
+  );
+}
+
+/**
+ * Bump the matching counter on a post when an engagement event arrives
+ * No-op if the note isn't one of the user's tracked posts
+ * @param {string} eventType - 'like' | 'repost' | 'reply' | 'zap'
+ * @param {number} sats - Zap amount (zaps only)
+ */
+async function recordEngagement(userId, noteId, eventType, sats = 0) {
+  const update = COUNTER_UPDATES[eventType];
+  if (!update || !noteId) return;
+
+  const params = [userId, noteId];
+  if (eventType === 'zap') params.push(sats);
+
+  await db.query(
+    `UPDATE posts
+     SET ${update}, last_updated = NOW()
+     WHERE user_id = $1 AND note_id = $2`,
+    params
+  );
+}
+
+/**
+ * Recompute engagement counters for posts from the events table
+ */
+async function recomputePostCounters(userId, noteIds) {
+  if (noteIds.length === 0) return;
+
+  await db.query(
+    `UPDATE posts p SET
+       likes = (SELECT COUNT(*) FROM events e
+                WHERE e.user_id = p.user_id AND e.metadata->>'note_id' = p.note_id AND e.event_type = 'like'),
+       reposts = (SELECT COUNT(*) FROM events e
+                  WHERE e.user_id = p.user_id AND e.metadata->>'note_id' = p.note_id AND e.event_type = 'repost'),
+       replies = (SELECT COUNT(*) FROM events e
+                  WHERE e.user_id = p.user_id AND e.metadata->>'note_id' = p.note_id AND e.event_type = 'reply'),
+       zaps_count = (SELECT COUNT(*) FROM events e
+                     WHERE e.user_id = p.user_id AND e.metadata->>'note_id' = p.note_id AND e.event_type = 'zap'),
+       zaps_sats = (SELECT COALESCE(SUM((e.metadata->>'amount_sats')::bigint), 0) FROM events e
+                    WHERE e.user_id = p.user_id AND e.metadata->>'note_id' = p.note_id AND e.event_type = 'zap'),
+       last_updated = NOW()
+     WHERE p.user_id = $1 AND p.note_id = ANY($2)`,
+    [userId, noteIds]
+  );
+}
+
+/**
+ * Store a historical engagement event without notifying the user
+ * Marked processed so it doesn't show up as unread activity
+ */
+async function storeHistoricalEvent(userId, event, eventType, authorPubkey, content, metadata) {
+  const result = await db.query(
+    `INSERT INTO events (user_id, event_id, event_type, author_npub, content, metadata, created_at, processed)
+     VALUES ($1, $2, $3, $4, $5, $6, to_timestamp($7), true)
+     ON CONFLICT (user_id, event_id) DO NOTHING
+     RETURNING id`,
+    [userId, event.id, eventType, authorPubkey, content, JSON.stringify(metadata), event.created_at]
+  );
+
+  return result.rows.length > 0;
+}
+
+/**
+ * Query a user's relays and merge results by event id
+ * @param {string} direction - 'write' for the user's own notes, 'read' for engagement addressed to them
+ */
+async function queryUserRelays(pubkey, direction, filter, timeoutMs) {
+  const plan = await relayDiscovery.planRelaysFor([pubkey], direction);
+  const relays = relayHealth.rankRelays([...new Set([...plan.keys(), ...config.nostr.relays])]);
+
+  return relayClient.queryMany(new Map(relays.map(relay => [relay, filter])), timeoutMs);
+}
+
+/**
+ * Fetch engagement on a set of notes and store it as historical events
+ */
+async function backfillEngagement(userId, userPubkey, noteIds) {
+  const noteSet = new Set(noteIds);
+  let stored = 0;
+
+  // Keep '#e' filters to a reasonable size
+  for (let i = 0; i < noteIds.length; i += 100) {
+    const chunk = noteIds.slice(i, i + 100);
+    const events = await tombstones.filterDeleted(await queryUserRelays(userPubkey, 'read', {
+      kinds: [1, 6, 7, 16, 9735],
+      '#e': chunk
+    }, 15000));
+
+    for (const event of events) {
+      if (event.pubkey === userPubkey && event.kind !== 9735) continue;
+
+      if (event.kind === 7) {
+        const noteId = lastTagValue(event, 'e');
+        const emoji = event.content === '' ? '+' : event.content;
+        if (!noteSet.has(noteId) || emoji === '-') continue;
+
+        if (await storeHistoricalEvent(userId, event, 'like', event.pubkey, event.content,
+          { ...event, emoji, note_id: noteId })) stored++;
+      } else if (event.kind === 6 || event.kind === 16) {
+        const noteId = lastTagValue(event, 'e');
+        if (!noteSet.has(noteId)) continue;
+
+        if (await storeHistoricalEvent(userId, event, 'repost', event.pubkey, '',
+          { ...event, note_id: noteId })) stored++;
+      } else if (event.kind === 1) {
+        const { rootId, replyId } = parseThreadTags(event);
+        if (!noteSet.has(replyId)) continue;
+
+        if (await storeHistoricalEvent(userId, event, 'reply', event.pubkey, event.content, {
+          ...event,
+          note_id: replyId,
+          reply_id: replyId,
+          root_id: rootId,
+          reply_content: event.content
+        })) stored++;
+      } else if (event.kind === 9735) {
+        const zap = parseZapReceipt(event);
+        if (!zap.valid || !noteSet.has(zap.noteId)) continue;
+
+        if (await storeHistoricalEvent(userId, event, 'zap', zap.senderPubkey, zap.comment, {
+          ...event,
+          amount_sats: zap.amountSats,
+          message: zap.comment,
+          note_id: zap.noteId,
+          sender_pubkey: zap.senderPubkey,
+          lnurl_pubkey: event.pubkey
+        })) stored++;
+      }
+    }
+  }
+
+  return stored;
+}
+
+/**
+ * One-off backfill of a user's historical notes and their engagement
+ * @param {number} userId - User ID
+ * @param {string} pubkey - User's hex pubkey
+ * @param {number} days - How far back to go
+ */
+async function backfillUserPosts(userId, pubkey, days = 30) {
+  const since = Math.floor(Date.now() / 1000) - (days * 24 * 60 * 60);
+
+  console.log(`[Posts] Backfilling ${days} days of notes for user ${userId}...`);
+
+  const notes = await tombstones.filterDeleted(await queryUserRelays(pubkey, 'write', {
+    kinds: [1],
+    authors: [pubkey],
+    since,
+    limit: 500
+  }, 15000));
+
+  for (const note of notes) {
+    await upsertPost(userId, note);
+  }
+
+  const noteIds = notes.map(note => note.id);
+  const engagementStored = await backfillEngagement(userId, pubkey, noteIds);
+  await recomputePostCounters(userId, noteIds);
+
+  console.log(`[Posts] Backfilled ${notes.length} notes and ${engagementStored} engagement events for user ${userId}`);
+
+  return {
+    success: true,
+    posts_found: notes.length,
+    engagement_events_stored: engagementStored,
+    period_days: days,
+    since: new Date(since * 1000).toISOString()
+  };
+}
+
+module.exports = {
+  upsertPost,
+  recordEngagement,
+  recomputePostCounters,
+  backfillUserPosts
+};
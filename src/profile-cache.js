@@ -0,0 +1,321 @@
+/**
+ * Profile Cache
+ * Fetches and caches kind 0 profile metadata (names, avatars, bios) for any pubkey we see
+ */
+
+const db = require('./db');
+const config = require('./config');
+const relayClient = require('./relay-client');
+const relayHealth = require('./relay-health');
+
+const PROFILE_FIELDS = ['name', 'display_name', 'picture', 'nip05', 'about', 'lud16'];
+
+// In-process LRU cache in front of the profiles table: pubkey -> { profile, cachedAt }
+// Maps iterate in insertion order, so re-inserting on use keeps the oldest entry first
+const memoryCache = new Map();
+
+// Relay lookups in progress: pubkey -> Promise<profile>, so concurrent events share one
+const inFlight = new Map();
+
+function ttlMs() {
+  return config.profiles.ttlHours * 60 * 60 * 1000;
+}
+
+function remember(pubkey, profile, cachedAt = Date.now()) {
+  memoryCache.delete(pubkey);
+  memoryCache.set(pubkey, { profile, cachedAt });
+
+  while (memoryCache.size > config.profiles.memoryCacheSize) {
+    memoryCache.delete(memoryCache.keys().next().value);
+  }
+}
+
+function recall(pubkey) {
+  const cached = memoryCache.get(pubkey);
+  if (cached) {
+    memoryCache.delete(pubkey);
+    memoryCache.set(pubkey, cached);
+  }
+  return cached;
+}
+
+/**
+ * Parse a kind 0 event's JSON content into our profile shape
+ */
+function parseProfileEvent(event) {
+  let content;
+  try {
+    content = JSON.parse(event.content);
+  } catch (error) {
+    return null;
+  }
+
+  if (!content || typeof content !== 'object') return null;
+
+  const profile = { pubkey: event.pubkey };
+  for (const field of PROFILE_FIELDS) {
+    const value = content[field];
+    profile[field] = typeof value === 'string' && value.trim() ? value.trim() : null;
+  }
+
+  // Some clients still use the older "displayName" key
+  if (!profile.display_name && typeof content.displayName === 'string' && content.displayName.trim()) {
+    profile.display_name = content.displayName.trim();
+  }
+
+  return profile;
+}
+
+/**
+ * Best human-readable name for a pubkey
+ */
+function displayName(profile, pubkey) {
+  return profile?.display_name || profile?.name || pubkey.substring(0, 8) + '...';
+}
+
+/**
+ * Store a profile and refresh the memory cache
+ * Only replaces the stored profile if this kind 0 is newer than the one it came from
+ * @returns {Promise<object|null>} - The profile now held for the pubkey
+ */
+async function storeProfile(pubkey, profile, eventCreatedAt) {
+  const result = await db.query(
+    `INSERT INTO profiles (pubkey, name, display_name, picture, nip05, about, lud16, event_created_at, fetched_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, to_timestamp($8), NOW())
+     ON CONFLICT (pubkey)
+     DO UPDATE SET
+       name = EXCLUDED.name,
+       display_name = EXCLUDED.display_name,
+       picture = EXCLUDED.picture,
+       nip05 = EXCLUDED.nip05,
+       about = EXCLUDED.about,
+       lud16 = EXCLUDED.lud16,
+       event_created_at = EXCLUDED.event_created_at,
+       fetched_at = NOW()
+     WHERE profiles.event_created_at IS NULL OR EXCLUDED.event_created_at > profiles.event_created_at
+     RETURNING *`,
+    [
+      pubkey,
+      profile.name,
+      profile.display_name,
+      profile.picture,
+      profile.nip05,
+      profile.about,
+      profile.lud16,
+      eventCreatedAt
+    ]
+  );
+
+  // What we hold is as new or newer
+  if (result.rows.length === 0) return touchProfile(pubkey);
+
+  remember(pubkey, result.rows[0]);
+  return result.rows[0];
+}
+
+/**
+ * Record that we looked for a pubkey's profile and found nothing new
+ * A relay that failed or timed out returns nothing too, so a stored profile is kept as it is;
+ * pubkeys never seen before are stored as misses so we don't re-query them every time.
+ * @returns {Promise<object|null>} - The stored profile, or null if there is none
+ */
+async function touchProfile(pubkey) {
+  const result = await db.query(
+    `INSERT INTO profiles (pubkey, fetched_at) VALUES ($1, NOW())
+     ON CONFLICT (pubkey) DO UPDATE SET fetched_at = NOW()
+     RETURNING *`,
+    [pubkey]
+  );
+
+  const row = result.rows[0];
+  const profile = row.event_created_at ? row : null;
+  remember(pubkey, profile);
+  return profile;
+}
+
+/**
+ * Fetch the newest kind 0 for each pubkey from relays and store the results
+ * @returns {Promise<Map<string, object|null>>} - pubkey -> the profile now held
+ */
+async function fetchProfiles(pubkeys) {
+  const relays = relayHealth.rankRelays([...new Set([...config.nostr.indexerRelays, ...config.nostr.relays])]);
+  const newest = new Map();
+
+  for (let i = 0; i < pubkeys.length; i += 100) {
+    const chunk = pubkeys.slice(i, i + 100);
+
+    const results = await Promise.all(relays.map(relay =>
+      relayClient.query(relay, { kinds: [0], authors: chunk }, 5000)
+    ));
+
+    for (const event of results.flat()) {
+      if (!event || event.kind !== 0 || !chunk.includes(event.pubkey)) continue;
+
+      const current = newest.get(event.pubkey);
+      if (!current || event.created_at > current.created_at) {
+        newest.set(event.pubkey, event);
+      }
+    }
+  }
+
+  const profiles = new Map();
+
+  for (const pubkey of pubkeys) {
+    const event = newest.get(pubkey);
+    const profile = event ? parseProfileEvent(event) : null;
+
+    try {
+      profiles.set(pubkey, profile ? await storeProfile(pubkey, profile, event.created_at) : await touchProfile(pubkey));
+    } catch (error) {
+      console.error(`[Profiles] Failed to store profile ${pubkey.substring(0, 8)}...:`, error.message);
+      profiles.set(pubkey, profile);
+    }
+  }
+
+  return profiles;
+}
+
+/**
+ * Fetch profiles from relays, joining lookups already in progress for any of them
+ * @returns {Promise<Map<string, object|null>>}
+ */
+function fetchShared(pubkeys) {
+  const toFetch = pubkeys.filter(pubkey => !inFlight.has(pubkey));
+
+  if (toFetch.length > 0) {
+    const fetching = fetchProfiles(toFetch);
+    fetching
+      .catch(error => console.error('[Profiles] Relay lookup failed:', error.message))
+      .finally(() => toFetch.forEach(pubkey => inFlight.delete(pubkey)));
+
+    for (const pubkey of toFetch) {
+      inFlight.set(pubkey, fetching.then(fetched => fetched.get(pubkey) || null));
+    }
+  }
+
+  return Promise.all(pubkeys.map(pubkey => inFlight.get(pubkey)))
+    .then(results => new Map(pubkeys.map((pubkey, i) => [pubkey, results[i]])));
+}
+
+/**
+ * Get profiles for a list of pubkeys, using the cache where it's fresh
+ * @param {object} options - { waitMs }: stop waiting on relays after this long and use the
+ *   stale cached profile (or null); the lookup still finishes and fills the cache
+ * @returns {Map<string, object|null>} - pubkey -> profile (null if the pubkey has none)
+ */
+async function getProfiles(pubkeys, { waitMs = null } = {}) {
+  const unique = [...new Set(pubkeys.filter(Boolean))];
+  const profiles = new Map();
+  const stale = new Map();
+  const now = Date.now();
+
+  // 1. Memory
+  let missing = [];
+  for (const pubkey of unique) {
+    const cached = recall(pubkey);
+    if (cached && now - cached.cachedAt < ttlMs()) {
+      profiles.set(pubkey, cached.profile);
+    } else {
+      if (cached) stale.set(pubkey, cached.profile);
+      missing.push(pubkey);
+    }
+  }
+
+  if (missing.length === 0) return profiles;
+
+  // 2. Database (expired rows are only a fallback)
+  const result = await db.query(
+    `SELECT *, fetched_at > NOW() - make_interval(hours => $2) as fresh
+     FROM profiles WHERE pubkey = ANY($1)`,
+    [missing, config.profiles.ttlHours]
+  );
+
+  for (const row of result.rows) {
+    const { fresh, ...stored } = row;
+    const profile = stored.event_created_at ? stored : null;
+
+    if (fresh) {
+      remember(row.pubkey, profile, now);
+      profiles.set(row.pubkey, profile);
+    } else {
+      stale.set(row.pubkey, profile);
+    }
+  }
+
+  missing = missing.filter(pubkey => !profiles.has(pubkey));
+
+  // 3. Relays
+  if (missing.length > 0) {
+    const lookup = fetchShared(missing);
+    let timer;
+    const fetched = waitMs === null
+      ? await lookup
+      : await Promise.race([
+        lookup.catch(() => null),
+        new Promise(resolve => { timer = setTimeout(resolve, waitMs, null); })
+      ]);
+    clearTimeout(timer);
+
+    for (const pubkey of missing) {
+      profiles.set(pubkey, fetched ? fetched.get(pubkey) : (stale.get(pubkey) || null));
+    }
+  }
+
+  return profiles;
+}
+
+/**
+ * Get a single profile (null if none is published)
+ * Used while handling events, so a slow relay lookup only holds it up for lookupWaitMs
+ */
+async function getProfile(pubkey) {
+  try {
+    const profiles = await getProfiles([pubkey], { waitMs: config.profiles.lookupWaitMs });
+    return profiles.get(pubkey) || null;
+  } catch (error) {
+    console.error(`[Profiles] Lookup failed for ${pubkey.substring(0, 8)}...:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Get the display name for a pubkey, or null if it has no profile
+ */
+async function getDisplayName(pubkey) {
+  const profile = await getProfile(pubkey);
+  return profile ? (profile.display_name || profile.name) : null;
+}
+
+/**
+ * Re-fetch cached profiles whose TTL has expired
+ * @param {number} limit - Max profiles to refresh per run
+ */
+async function refreshStaleProfiles(limit = 500) {
+  try {
+    const result = await db.query(
+      `SELECT pubkey FROM profiles
+       WHERE fetched_at <= NOW() - make_interval(hours => $1)
+       ORDER BY fetched_at ASC
+       LIMIT $2`,
+      [config.profiles.ttlHours, limit]
+    );
+
+    if (result.rows.length === 0) return 0;
+
+    await fetchProfiles(result.rows.map(row => row.pubkey));
+    console.log(`[Profiles] Refreshed ${result.rows.length} stale profiles`);
+    return result.rows.length;
+  } catch (error) {
+    console.error('[Profiles] Refresh failed:', error.message);
+    return 0;
+  }
+}
+
+module.exports = {
+  getProfile,
+  getProfiles,
+  getDisplayName,
+  displayName,
+  parseProfileEvent,
+  refreshStaleProfiles
+};
@@ -0,0 +1,95 @@
+/**
+ * Pubkey Index
+ * Hex pubkey <-> user_id lookups for routing relay events to registered users
+ */
+
+/**
+ * Create an index of registered users keyed by hex pubkey
+ */
+function createPubkeyIndex() {
+  let byPubkey = new Map(); // hex pubkey -> Set of user ids
+  let byUserId = new Map(); // user id -> hex pubkey
+
+  /**
+   * Replace the indexed users
+   * @param {Array<{id: number, pubkey: string}>} users - Users with already-decoded hex pubkeys
+   * @returns {object} - { added, removed } hex pubkeys compared to the previous contents
+   */
+  function replace(users) {
+    const nextByPubkey = new Map();
+    const nextByUserId = new Map();
+
+    for (const user of users) {
+      if (!user.pubkey) continue;
+
+      const pubkey = user.pubkey.toLowerCase();
+      if (!nextByPubkey.has(pubkey)) nextByPubkey.set(pubkey, new Set());
+      nextByPubkey.get(pubkey).add(user.id);
+      nextByUserId.set(user.id, pubkey);
+    }
+
+    const added = [...nextByPubkey.keys()].filter(pubkey => !byPubkey.has(pubkey));
+    const removed = [...byPubkey.keys()].filter(pubkey => !nextByPubkey.has(pubkey));
+
+    byPubkey = nextByPubkey;
+    byUserId = nextByUserId;
+
+    return { added, removed };
+  }
+
+  /**
+   * User ids registered under a hex pubkey
+   */
+  function usersForPubkey(pubkey) {
+    const users = pubkey ? byPubkey.get(pubkey) : null;
+    return users ? Array.from(users) : [];
+  }
+
+  /**
+   * Hex pubkey for a user id
+   */
+  function pubkeyForUser(userId) {
+    return byUserId.get(userId) || null;
+  }
+
+  /**
+   * Distinct registered users referenced by an event's tags
+   * A user tagged more than once is only returned once
+   * @returns {Array<{userId: number, pubkey: string}>}
+   */
+  function usersTaggedIn(event, tagName = 'p') {
+    const matches = [];
+    const seen = new Set();
+
+    for (const tag of event.tags || []) {
+      if (tag[0] !== tagName) continue;
+
+      const users = byPubkey.get(tag[1]);
+      if (!users) continue;
+
+      for (const userId of users) {
+        if (!seen.has(userId)) {
+          seen.add(userId);
+          matches.push({ userId, pubkey: tag[1] });
+        }
+      }
+    }
+
+    return matches;
+  }
+
+  return {
+    replace,
+    usersForPubkey,
+    pubkeyForUser,
+    usersTaggedIn,
+    pubkeys: () => Array.from(byPubkey.keys()),
+    get size() {
+      return byUserId.size;
+    }
+  };
+}
+
+module.exports = {
+  createPubkeyIndex
+};
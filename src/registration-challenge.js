@@ -0,0 +1,103 @@
+/**
+ * Registration Challenge
+ * Proves npub ownership before an account is created: the server issues a one-time nonce,
+ * and the client returns it in a kind 22242 event (as in NIP-42 relay auth) signed by that npub.
+ * The event must also carry a ["u", <our origin>] tag (as in NIP-98): signers answer relay AUTH
+ * requests with the same kind, so a relay could otherwise get a valid proof signed by asking
+ * with a challenge it fetched from us.
+ */
+
+const crypto = require('crypto');
+const db = require('./db');
+const { validateEvent } = require('./event-validation');
+
+const CHALLENGE_KIND = 22242;
+const CHALLENGE_TTL_SECONDS = 10 * 60;
+// Accept events signed this far either side of our clock
+const MAX_CLOCK_SKEW_SECONDS = 10 * 60;
+
+/**
+ * Issue a nonce the pubkey must sign to register
+ * @returns {Promise<object>} - { challenge, expires_at }
+ */
+async function issueChallenge(pubkey) {
+  const challenge = crypto.randomBytes(32).toString('hex');
+
+  await db.query('DELETE FROM registration_challenges WHERE expires_at < NOW()');
+
+  const result = await db.query(
+    `INSERT INTO registration_challenges (challenge, pubkey, expires_at)
+     VALUES ($1, $2, NOW() + make_interval(secs => $3))
+     RETURNING challenge, expires_at`,
+    [challenge, pubkey, CHALLENGE_TTL_SECONDS]
+  );
+
+  return result.rows[0];
+}
+
+function normalizeOrigin(url) {
+  return typeof url === 'string' ? url.trim().replace(/\/+$/, '').toLowerCase() : '';
+}
+
+/**
+ * Check a signed challenge event without touching the database
+ * @param {string} origin - This service's origin, which the event's u tag must name
+ * @returns {object} - { valid: true, challenge } or { valid: false, reason }
+ */
+function checkChallengeEvent(event, pubkey, origin) {
+  const validation = validateEvent(event);
+  if (!validation.valid) return { valid: false, reason: `auth_event ${validation.reason}` };
+
+  if (event.kind !== CHALLENGE_KIND) {
+    return { valid: false, reason: `auth_event must be kind ${CHALLENGE_KIND}` };
+  }
+
+  if (event.pubkey !== pubkey) {
+    return { valid: false, reason: 'auth_event is not signed by this npub' };
+  }
+
+  if (Math.abs(event.created_at - Math.floor(Date.now() / 1000)) > MAX_CLOCK_SKEW_SECONDS) {
+    return { valid: false, reason: 'auth_event created_at is too far from now' };
+  }
+
+  const challenge = event.tags.find(tag => tag[0] === 'challenge')?.[1];
+  if (!challenge) return { valid: false, reason: 'auth_event has no challenge tag' };
+
+  const u = event.tags.find(tag => tag[0] === 'u')?.[1];
+  if (!u || normalizeOrigin(u) !== normalizeOrigin(origin)) {
+    return { valid: false, reason: `auth_event must have the tag ["u", "${origin}"]` };
+  }
+
+  return { valid: true, challenge };
+}
+
+/**
+ * Verify a signed challenge and use it up
+ * @returns {Promise<object>} - { valid: true } or { valid: false, reason }
+ */
+async function verifyChallenge(event, pubkey, origin) {
+  const check = checkChallengeEvent(event, pubkey, origin);
+  if (!check.valid) return check;
+
+  // Single use: only the first registration attempt with a challenge can claim it
+  const result = await db.query(
+    `UPDATE registration_challenges SET used_at = NOW()
+     WHERE challenge = $1 AND pubkey = $2 AND used_at IS NULL AND expires_at > NOW()
+     RETURNING challenge`,
+    [check.challenge, pubkey]
+  );
+
+  if (result.rows.length === 0) {
+    return { valid: false, reason: 'Challenge is unknown, expired or already used' };
+  }
+
+  return { valid: true };
+}
+
+module.exports = {
+  CHALLENGE_KIND,
+  CHALLENGE_TTL_SECONDS,
+  issueChallenge,
+  checkChallengeEvent,
+  verifyChallenge
+};
@@ -0,0 +1,575 @@
+/**
+ * Relay Client
+ * The one path to Nostr relays: pooled WebSocket connections per relay, multiplexed
+ * subscriptions, publishing with OK handling, EOSE/NOTICE/CLOSED handling, rate limiting
+ * and reconnect backoff
+ *
+ * NOTE: Uses the ws package directly instead of nostr-tools
+ * to avoid ESM/CommonJS compatibility issues on Railway
+ */
+
+const WebSocket = require('ws');
+const config = require('./config');
+const { acceptRelayEvent } = require('./event-validation');
+const relayHealth = require('./relay-health');
+
+// Close connections nobody has used for this long
+const IDLE_TIMEOUT_MS = 60 * 1000;
+
+// Reconnect backoff
+const BACKOFF_BASE_MS = 1000;
+const BACKOFF_MAX_MS = 5 * 60 * 1000;
+
+const connections = new Map(); // relay url -> connection
+const slotWaiters = []; // callbacks waiting for a connection slot
+let openSockets = 0;
+let nextSubId = 0;
+
+/**
+ * Delay before the next attempt after `failures` consecutive failures, with jitter
+ */
+function backoffDelay(failures) {
+  const delay = Math.min(BACKOFF_BASE_MS * Math.pow(2, failures - 1), BACKOFF_MAX_MS);
+  return Math.round(delay / 2 + Math.random() * delay / 2);
+}
+
+/**
+ * Make room for a new socket within the global connection budget
+ * Evicts an idle connection if there is one, otherwise waits for a slot
+ */
+function acquireSlot() {
+  if (openSockets < config.nostr.outbox.maxConnections) {
+    openSockets++;
+    return Promise.resolve();
+  }
+
+  for (const connection of connections.values()) {
+    if (connection.ws && !connection.hasWork()) {
+      // The evicted socket's slot passes straight to us when it closes
+      const slot = new Promise(resolve => slotWaiters.unshift(resolve));
+      connection.disconnect();
+      return slot;
+    }
+  }
+
+  return new Promise(resolve => slotWaiters.push(resolve));
+}
+
+function releaseSlot() {
+  const next = slotWaiters.shift();
+  if (next) {
+    next();
+  } else {
+    openSockets--;
+  }
+}
+
+/**
+ * Create the pooled connection for one relay
+ */
+function createConnection(url) {
+  const connection = {
+    url,
+    ws: null,
+    hasSlot: false,
+    state: 'idle', // idle | connecting | open | backoff
+    subs: new Map(), // subId -> subscription (REQ sent)
+    queue: [], // subscriptions waiting for a free REQ slot or the socket
+    publishes: new Map(), // event id -> { event, sent, resolve } waiting for OK
+    failures: 0,
+    retryAt: 0, // no new socket before this after a failure
+    connectStartedAt: 0,
+    pausedUntil: 0, // set when the relay tells us to slow down
+    streamBudgetWarned: false,
+    idleTimer: null,
+    retryTimer: null,
+    lastNotice: null
+  };
+
+  function send(message) {
+    if (connection.ws && connection.ws.readyState === WebSocket.OPEN) {
+      connection.ws.send(JSON.stringify(message));
+      return true;
+    }
+    return false;
+  }
+
+  connection.hasWork = function () {
+    return connection.subs.size > 0 || connection.queue.length > 0 || connection.publishes.size > 0;
+  };
+
+  /**
+   * Settle every publish still waiting for an OK
+   */
+  function failPublishes(reason) {
+    for (const publish of connection.publishes.values()) {
+      publish.resolve({ ok: false, message: reason });
+    }
+    connection.publishes.clear();
+  }
+
+  function scheduleIdleClose() {
+    clearTimeout(connection.idleTimer);
+    if (connection.hasWork()) return;
+
+    connection.idleTimer = setTimeout(() => {
+      if (!connection.hasWork()) {
+        connection.disconnect();
+      }
+    }, IDLE_TIMEOUT_MS);
+    connection.idleTimer.unref();
+  }
+
+  /**
+   * Send queued REQs and EVENTs while there's room and the relay isn't rate limiting us
+   */
+  function pump() {
+    if (connection.state !== 'open') {
+      if (connection.hasWork()) connect();
+      return;
+    }
+
+    const wait = connection.pausedUntil - Date.now();
+    if (wait > 0) {
+      clearTimeout(connection.retryTimer);
+      connection.retryTimer = setTimeout(pump, wait);
+      connection.retryTimer.unref();
+      return;
+    }
+
+    // Streams and one-shot queries each have their own REQ budget; whatever doesn't fit waits its turn
+    const { maxStreams, maxQueries } = config.nostr.subscriptions;
+    let streams = 0;
+    for (const sub of connection.subs.values()) {
+      if (sub.persistent) streams++;
+    }
+    let queries = connection.subs.size - streams;
+
+    const waiting = [];
+    for (const sub of connection.queue) {
+      if (sub.persistent ? streams >= maxStreams : queries >= maxQueries) {
+        waiting.push(sub);
+        continue;
+      }
+
+      if (sub.persistent) streams++;
+      else queries++;
+
+      connection.subs.set(sub.id, sub);
+      sub.sentAt = Date.now();
+      sub.eoseAt = null;
+      send(['REQ', sub.id, ...sub.currentFilters()]);
+      relayHealth.recordSubscription(url);
+    }
+    connection.queue = waiting;
+
+    if (waiting.some(sub => sub.persistent) && !connection.streamBudgetWarned) {
+      connection.streamBudgetWarned = true;
+      console.warn(`[Relay] ${url} has more live streams than RELAY_MAX_STREAMS (${maxStreams}); the rest are queued`);
+    }
+
+    for (const publish of connection.publishes.values()) {
+      if (!publish.sent) publish.sent = send(['EVENT', publish.event]);
+    }
+
+    scheduleIdleClose();
+  }
+
+  function handleMessage(data) {
+    let msg;
+    try {
+      msg = JSON.parse(data.toString());
+    } catch (error) {
+      return;
+    }
+    if (!Array.isArray(msg)) return;
+
+    const [type, subId] = msg;
+    const sub = typeof subId === 'string' ? connection.subs.get(subId) : null;
+
+    if (type === 'EVENT' && sub) {
+      if (acceptRelayEvent(msg[2], url)) {
+        relayHealth.recordEvent(url, msg[2].id);
+        sub.onevent(msg[2]);
+      }
+    } else if (type === 'EOSE' && sub) {
+      if (!sub.eoseAt) {
+        sub.eoseAt = Date.now();
+        relayHealth.recordEose(url, sub.eoseAt - sub.sentAt);
+      }
+      sub.oneose();
+    } else if (type === 'CLOSED' && sub) {
+      // The relay ended the subscription - rate limits get retried after a pause
+      const reason = msg[2] || '';
+      connection.subs.delete(subId);
+      relayHealth.recordError(url);
+
+      if (reason.startsWith('rate-limited') && sub.persistent) {
+        connection.pausedUntil = Date.now() + backoffDelay(++connection.failures);
+        connection.queue.push(sub);
+      } else {
+        sub.onclosed(reason);
+      }
+      pump();
+    } else if (type === 'OK') {
+      // ["OK", <event id>, <accepted>, <message>]
+      const publish = connection.publishes.get(subId);
+      if (publish) {
+        connection.publishes.delete(subId);
+        publish.resolve({ ok: msg[2] === true, message: msg[3] || '' });
+        scheduleIdleClose();
+      }
+    } else if (type === 'NOTICE') {
+      connection.lastNotice = msg[1];
+      console.log(`[Relay] NOTICE from ${url}: ${msg[1]}`);
+
+      if (/rate|too many|slow down/i.test(msg[1] || '')) {
+        connection.pausedUntil = Date.now() + backoffDelay(++connection.failures);
+      }
+    }
+  }
+
+  function freeSlot() {
+    if (connection.hasSlot) {
+      connection.hasSlot = false;
+      releaseSlot();
+    }
+  }
+
+  /**
+   * The socket failed or the relay dropped us (our own closes go through disconnect)
+   */
+  function handleDisconnect() {
+    if (connection.state === 'connecting') {
+      relayHealth.recordConnect(url, Date.now() - connection.connectStartedAt, false);
+    } else {
+      relayHealth.recordError(url);
+    }
+
+    connection.ws = null;
+    freeSlot();
+
+    // One-shot subscriptions end here; persistent ones are re-sent after reconnecting
+    const pending = [...connection.subs.values(), ...connection.queue];
+    connection.subs.clear();
+    connection.queue = pending.filter(sub => sub.persistent);
+
+    for (const sub of pending) {
+      if (!sub.persistent) sub.onclosed('connection closed');
+    }
+
+    failPublishes('connection closed');
+
+    connection.failures++;
+    connection.retryAt = Date.now() + backoffDelay(connection.failures);
+    connection.state = 'idle';
+
+    if (connection.queue.length > 0) {
+      console.log(`[Relay] ${url} disconnected, retrying in ${Math.round((connection.retryAt - Date.now()) / 1000)}s`);
+      connect();
+    }
+  }
+
+  async function connect() {
+    if (connection.state !== 'idle') return;
+    if (!connection.hasWork()) return;
+
+    // Still backing off from a failure
+    const wait = connection.retryAt - Date.now();
+    if (wait > 0) {
+      connection.state = 'backoff';
+      clearTimeout(connection.retryTimer);
+      connection.retryTimer = setTimeout(() => {
+        connection.state = 'idle';
+        connect();
+      }, wait);
+      connection.retryTimer.unref();
+      return;
+    }
+
+    connection.state = 'connecting';
+
+    await acquireSlot();
+
+    // Shut down, or everyone gave up, while we waited for a slot
+    if (connection.state !== 'connecting' || !connection.hasWork()) {
+      if (connection.state === 'connecting') connection.state = 'idle';
+      releaseSlot();
+      return;
+    }
+
+    connection.hasSlot = true;
+
+    let ws;
+    connection.connectStartedAt = Date.now();
+    try {
+      ws = new WebSocket(url);
+    } catch (error) {
+      handleDisconnect();
+      return;
+    }
+
+    connection.ws = ws;
+
+    ws.on('open', () => {
+      relayHealth.recordConnect(url, Date.now() - connection.connectStartedAt, true);
+      connection.state = 'open';
+      connection.failures = 0;
+      pump();
+    });
+
+    ws.on('message', handleMessage);
+
+    ws.on('error', (error) => {
+      console.log(`[Relay] ${url} error: ${error.message}`);
+    });
+
+    ws.on('close', () => {
+      // Ignore sockets we've already replaced or shut down
+      if (connection.ws === ws) handleDisconnect();
+    });
+  }
+
+  /**
+   * Queue a subscription on this relay
+   */
+  connection.add = function (sub) {
+    clearTimeout(connection.idleTimer);
+    connection.queue.push(sub);
+    pump();
+  };
+
+  /**
+   * Stop a subscription, whether it's live or still queued
+   */
+  connection.remove = function (sub) {
+    connection.queue = connection.queue.filter(queued => queued !== sub);
+    if (connection.subs.delete(sub.id)) {
+      send(['CLOSE', sub.id]);
+      pump();
+    }
+    scheduleIdleClose();
+  };
+
+  /**
+   * Send an event and wait for the relay's OK
+   * @returns {Promise<object>} - { ok, message }
+   */
+  connection.publish = function (event) {
+    return new Promise((resolve) => {
+      clearTimeout(connection.idleTimer);
+      connection.publishes.set(event.id, { event, sent: false, resolve });
+      pump();
+    });
+  };
+
+  /**
+   * Give up waiting for an OK
+   */
+  connection.cancelPublish = function (eventId) {
+    connection.publishes.delete(eventId);
+    scheduleIdleClose();
+  };
+
+  /**
+   * Close the socket without scheduling a reconnect
+   */
+  connection.disconnect = function () {
+    clearTimeout(connection.idleTimer);
+    clearTimeout(connection.retryTimer);
+
+    const ws = connection.ws;
+    connection.ws = null;
+    connection.state = 'idle';
+    freeSlot();
+    failPublishes('connection closed');
+
+    if (ws) {
+      try { ws.close(); } catch (e) {}
+    }
+  };
+
+  return connection;
+}
+
+function getConnection(url) {
+  if (!connections.has(url)) {
+    connections.set(url, createConnection(url));
+  }
+  return connections.get(url);
+}
+
+/**
+ * Open a subscription on a relay
+ * @param {string} url - Relay url
+ * @param {Array|Function} filters - Filters, or a function returning them (called again on every
+ *   re-send after a reconnect, so it can move `since` forward)
+ * @param {object} handlers - { onevent, oneose, onclosed, persistent }
+ *   persistent subscriptions survive disconnects and rate limits; others end with onclosed
+ * @returns {object} - { close() }
+ */
+function subscribe(url, filters, handlers = {}) {
+  const connection = getConnection(url);
+  let sends = 0;
+
+  const sub = {
+    id: `dc${(nextSubId++).toString(36)}`,
+    persistent: handlers.persistent === true,
+    currentFilters: () => {
+      const isResend = sends++ > 0;
+      return typeof filters === 'function' ? filters(isResend) : filters;
+    },
+    onevent: handlers.onevent || (() => {}),
+    oneose: handlers.oneose || (() => {}),
+    onclosed: handlers.onclosed || (() => {})
+  };
+
+  connection.add(sub);
+
+  return {
+    close: () => connection.remove(sub)
+  };
+}
+
+/**
+ * One-shot query: collect events until EOSE, CLOSED, a dropped connection or the timeout
+ * Never rejects - a failing relay just contributes no events
+ */
+function query(url, filter, timeoutMs = 10000) {
+  return new Promise((resolve) => {
+    const events = [];
+    let done = false;
+
+    const finish = () => {
+      if (done) return;
+      done = true;
+      clearTimeout(timer);
+      subscription.close();
+      resolve(events);
+    };
+
+    const subscription = subscribe(url, Array.isArray(filter) ? filter : [filter], {
+      onevent: event => events.push(event),
+      oneose: finish,
+      onclosed: finish
+    });
+
+    const timer = setTimeout(() => {
+      relayHealth.recordTimeout(url);
+      finish();
+    }, timeoutMs);
+  });
+}
+
+/**
+ * Run one query per relay in parallel and merge the results by event id
+ * @param {Map<string, object>} filtersByRelay - relay url -> filter
+ */
+async function queryMany(filtersByRelay, timeoutMs = 10000) {
+  const results = await Promise.all(
+    Array.from(filtersByRelay, ([url, filter]) => query(url, filter, timeoutMs))
+  );
+
+  const byId = new Map();
+  for (const event of results.flat()) {
+    if (!byId.has(event.id)) byId.set(event.id, event);
+  }
+
+  return Array.from(byId.values());
+}
+
+/**
+ * Get the first event matching a filter from any of the relays
+ */
+function get(urls, filter, timeoutMs = 5000) {
+  return new Promise((resolve) => {
+    let pending = urls.length;
+    let done = false;
+    const subscriptions = [];
+
+    const finish = (event) => {
+      if (done) return;
+      done = true;
+      clearTimeout(timer);
+      subscriptions.forEach(subscription => subscription.close());
+      resolve(event || null);
+    };
+
+    const timer = setTimeout(() => finish(null), timeoutMs);
+
+    if (pending === 0) return finish(null);
+
+    for (const url of urls) {
+      subscriptions.push(subscribe(url, [{ ...filter, limit: 1 }], {
+        onevent: finish,
+        oneose: () => { if (--pending === 0) finish(null); },
+        onclosed: () => { if (--pending === 0) finish(null); }
+      }));
+    }
+  });
+}
+
+/**
+ * Publish an event to several relays and wait for each one's OK
+ * Never rejects - relays that refuse it, drop the connection or time out are reported as failed
+ * @returns {Promise<object>} - { accepted: [relay], failed: [{ relay, reason }] }
+ */
+async function publish(urls, event, timeoutMs = 10000) {
+  const results = await Promise.all([...new Set(urls)].map(url => {
+    const connection = getConnection(url);
+
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => {
+        relayHealth.recordTimeout(url);
+        connection.cancelPublish(event.id);
+        resolve({ relay: url, ok: false, message: 'timeout' });
+      }, timeoutMs);
+
+      connection.publish(event).then(({ ok, message }) => {
+        clearTimeout(timer);
+        resolve({ relay: url, ok, message });
+      });
+    });
+  }));
+
+  return {
+    accepted: results.filter(result => result.ok).map(result => result.relay),
+    failed: results.filter(result => !result.ok).map(result => ({ relay: result.relay, reason: result.message }))
+  };
+}
+
+/**
+ * Close every connection (shutdown)
+ */
+function closeAll() {
+  for (const connection of connections.values()) {
+    connection.queue = [];
+    connection.subs.clear();
+    connection.disconnect();
+  }
+}
+
+/**
+ * Connection state per relay, for logging and health checks
+ */
+function getConnectionStats() {
+  return Array.from(connections.values()).map(connection => ({
+    relay: connection.url,
+    state: connection.state,
+    active_subscriptions: connection.subs.size,
+    queued_subscriptions: connection.queue.length,
+    consecutive_failures: connection.failures,
+    rate_limited: connection.pausedUntil > Date.now(),
+    last_notice: connection.lastNotice
+  }));
+}
+
+module.exports = {
+  subscribe,
+  query,
+  queryMany,
+  get,
+  publish,
+  closeAll,
+  getConnectionStats
+};
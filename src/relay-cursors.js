@@ -0,0 +1,116 @@
+/**
+ * Relay Cursors
+ * Durable per-relay, per-filter "last seen created_at" so subscriptions resume after restarts
+ */
+
+const db = require('./db');
+const config = require('./config');
+
+const cursors = new Map(); // "relay filterKey" -> last seen created_at (unix seconds)
+const dirty = new Set();
+const holds = new Map(); // "relay filterKey" -> highest created_at the cursor may reach this run
+
+function cursorKey(relay, filterKey) {
+  return `${relay} ${filterKey}`;
+}
+
+/**
+ * Load all stored cursors into memory
+ */
+async function loadCursors() {
+  try {
+    const result = await db.query('SELECT relay, filter_key, last_created_at FROM relay_cursors');
+
+    for (const row of result.rows) {
+      cursors.set(cursorKey(row.relay, row.filter_key), parseInt(row.last_created_at));
+    }
+
+    console.log(`[Cursors] Loaded ${result.rows.length} relay cursors`);
+  } catch (error) {
+    console.error('[Cursors] Failed to load relay cursors:', error.message);
+  }
+}
+
+/**
+ * The since to subscribe with for a relay/filter
+ * Resumes from the stored cursor minus the overlap window, or falls back to the
+ * default lookback when there's no cursor yet. Catch-up is capped so a long outage
+ * doesn't request weeks of history.
+ * @param {number} defaultLookbackSeconds - Lookback used when no cursor exists
+ */
+function sinceFor(relay, filterKey, defaultLookbackSeconds) {
+  const now = Math.floor(Date.now() / 1000);
+  const cursor = cursors.get(cursorKey(relay, filterKey));
+
+  if (!cursor) return now - defaultLookbackSeconds;
+
+  const earliest = now - config.nostr.cursors.maxCatchupHours * 3600;
+  return Math.max(cursor - config.nostr.cursors.overlapSeconds, earliest);
+}
+
+/**
+ * Move a cursor forward after an event has been handled
+ * Timestamps in the future are clamped so a bad clock can't skip real events
+ */
+function advanceCursor(relay, filterKey, createdAt) {
+  const now = Math.floor(Date.now() / 1000);
+  const key = cursorKey(relay, filterKey);
+  const seen = Math.min(createdAt, now, holds.get(key) ?? Infinity);
+
+  if (!Number.isFinite(seen) || seen <= (cursors.get(key) || 0)) return;
+
+  cursors.set(key, seen);
+  dirty.add(key);
+}
+
+/**
+ * Keep a cursor below an event that failed to be handled
+ * Events are handled concurrently, so without this a newer event succeeding would move the
+ * cursor past the failed one. The hold lasts until restart, which resumes from before it.
+ */
+function holdCursor(relay, filterKey, createdAt) {
+  if (!Number.isFinite(createdAt)) return;
+
+  const key = cursorKey(relay, filterKey);
+  holds.set(key, Math.min(holds.get(key) ?? Infinity, createdAt - 1));
+}
+
+/**
+ * Write cursors that moved since the last flush
+ */
+async function flushCursors() {
+  const keys = Array.from(dirty);
+  dirty.clear();
+
+  for (const key of keys) {
+    const separator = key.lastIndexOf(' ');
+    const relay = key.substring(0, separator);
+    const filterKey = key.substring(separator + 1);
+
+    try {
+      await db.query(
+        `INSERT INTO relay_cursors (relay, filter_key, last_created_at, updated_at)
+         VALUES ($1, $2, $3, NOW())
+         ON CONFLICT (relay, filter_key)
+         DO UPDATE SET
+           last_created_at = GREATEST(relay_cursors.last_created_at, EXCLUDED.last_created_at),
+           updated_at = NOW()`,
+        [relay, filterKey, cursors.get(key)]
+      );
+    } catch (error) {
+      // Try again on the next flush
+      dirty.add(key);
+      console.error(`[Cursors] Failed to save cursor for ${relay} ${filterKey}:`, error.message);
+    }
+  }
+
+  return keys.length;
+}
+
+module.exports = {
+  loadCursors,
+  sinceFor,
+  advanceCursor,
+  holdCursor,
+  flushCursors
+};
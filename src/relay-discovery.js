@@ -0,0 +1,362 @@
+/**
+ * Relay Discovery
+ * Reads NIP-65 relay lists (kind 10002) so we query people where they actually publish (outbox model)
+ */
+
+const net = require('net');
+const db = require('./db');
+const config = require('./config');
+const relayClient = require('./relay-client');
+const relayHealth = require('./relay-health');
+
+// In-process LRU cache in front of the relay_lists table: pubkey -> { list, cachedAt }
+// Maps iterate in insertion order, so re-inserting on use keeps the oldest entry first
+const memoryCache = new Map();
+
+// Relay lists are published by anyone, so their relays must not point us into our own network:
+// loopback, private, link-local (cloud metadata), CGNAT, benchmarking, multicast and reserved ranges
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]
+  .forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+const BLOCKED_HOST_SUFFIXES = ['.localhost', '.local', '.localdomain', '.internal', '.home.arpa'];
+
+function ttlMs() {
+  return config.nostr.outbox.relayListTtlHours * 60 * 60 * 1000;
+}
+
+function remember(pubkey, list, cachedAt = Date.now()) {
+  memoryCache.delete(pubkey);
+  memoryCache.set(pubkey, { list, cachedAt });
+
+  while (memoryCache.size > config.nostr.outbox.memoryCacheSize) {
+    memoryCache.delete(memoryCache.keys().next().value);
+  }
+}
+
+function recall(pubkey) {
+  const cached = memoryCache.get(pubkey);
+  if (cached) {
+    memoryCache.delete(pubkey);
+    memoryCache.set(pubkey, cached);
+  }
+  return cached;
+}
+
+/**
+ * Whether a URL's hostname is a local or private-network address or name
+ */
+function isPrivateHost(hostname) {
+  const host = hostname.replace(/^\[|\]$/g, '').replace(/\.$/, '').toLowerCase();
+  const family = net.isIP(host);
+
+  if (family === 4) return BLOCKED_ADDRESSES.check(host, 'ipv4');
+  if (family === 6) return BLOCKED_ADDRESSES.check(host, 'ipv6');
+
+  return host === 'localhost' || !host.includes('.') || BLOCKED_HOST_SUFFIXES.some(suffix => host.endsWith(suffix));
+}
+
+/**
+ * Normalize a relay URL so the same relay isn't counted twice
+ * Returns null for anything that isn't a wss:// URL on a public host (unless allowInsecureRelays)
+ */
+function normalizeRelayUrl(url) {
+  if (typeof url !== 'string') return null;
+
+  try {
+    const parsed = new URL(url.trim());
+    const insecureOk = config.nostr.outbox.allowInsecureRelays;
+
+    if (parsed.protocol !== 'wss:' && !(insecureOk && parsed.protocol === 'ws:')) return null;
+    if (!insecureOk && isPrivateHost(parsed.hostname)) return null;
+
+    const path = parsed.pathname === '/' ? '' : parsed.pathname.replace(/\/+$/, '');
+    return `${parsed.protocol}//${parsed.host.toLowerCase()}${path}${parsed.search}`;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Parse a kind 10002 relay list
+ * 'r' tags without a marker are both read and write relays
+ * @returns {object} - { read: [], write: [] }
+ */
+function parseRelayList(event) {
+  const read = new Set();
+  const write = new Set();
+
+  for (const tag of event.tags || []) {
+    if (tag[0] !== 'r') continue;
+
+    const url = normalizeRelayUrl(tag[1]);
+    if (!url) continue;
+
+    if (tag[2] !== 'write') read.add(url);
+    if (tag[2] !== 'read') write.add(url);
+  }
+
+  return { read: Array.from(read), write: Array.from(write) };
+}
+
+function rowToList(row) {
+  return row.event_created_at ? { read: row.read_relays, write: row.write_relays } : null;
+}
+
+/**
+ * Store a relay list and refresh the memory cache
+ * Only replaces the stored list if this kind 10002 is newer than the one it came from
+ * @returns {Promise<object|null>} - The list now held for the pubkey
+ */
+async function storeRelayList(pubkey, list, eventCreatedAt) {
+  const result = await db.query(
+    `INSERT INTO relay_lists (pubkey, read_relays, write_relays, event_created_at, fetched_at)
+     VALUES ($1, $2, $3, to_timestamp($4), NOW())
+     ON CONFLICT (pubkey)
+     DO UPDATE SET
+       read_relays = EXCLUDED.read_relays,
+       write_relays = EXCLUDED.write_relays,
+       event_created_at = EXCLUDED.event_created_at,
+       fetched_at = NOW()
+     WHERE relay_lists.event_created_at IS NULL OR EXCLUDED.event_created_at > relay_lists.event_created_at
+     RETURNING read_relays, write_relays, event_created_at`,
+    [pubkey, list.read, list.write, eventCreatedAt]
+  );
+
+  // What we hold is as new or newer
+  if (result.rows.length === 0) return touchRelayList(pubkey);
+
+  const stored = rowToList(result.rows[0]);
+  remember(pubkey, stored);
+  return stored;
+}
+
+/**
+ * Record that we looked for a pubkey's relay list and found nothing new
+ * A relay that failed or timed out returns nothing too, so a stored list is kept as it is;
+ * pubkeys never seen before are stored as misses so we don't re-query them every time.
+ * @returns {Promise<object|null>} - The stored list, or null if there is none
+ */
+async function touchRelayList(pubkey) {
+  const result = await db.query(
+    `INSERT INTO relay_lists (pubkey, fetched_at) VALUES ($1, NOW())
+     ON CONFLICT (pubkey) DO UPDATE SET fetched_at = NOW()
+     RETURNING read_relays, write_relays, event_created_at`,
+    [pubkey]
+  );
+
+  const stored = rowToList(result.rows[0]);
+  remember(pubkey, stored);
+  return stored;
+}
+
+/**
+ * Fetch the newest kind 10002 for each pubkey and store the results
+ * @returns {Promise<Map<string, object|null>>} - pubkey -> the list now held
+ */
+async function fetchRelayLists(pubkeys) {
+  const relays = relayHealth.rankRelays([...new Set([...config.nostr.indexerRelays, ...config.nostr.relays])]);
+  const newest = new Map();
+
+  for (let i = 0; i < pubkeys.length; i += 100) {
+    const chunk = pubkeys.slice(i, i + 100);
+
+    const results = await Promise.all(relays.map(relay =>
+      relayClient.query(relay, { kinds: [10002], authors: chunk }, 5000)
+    ));
+
+    for (const event of results.flat()) {
+      if (event.kind !== 10002 || !chunk.includes(event.pubkey)) continue;
+
+      const current = newest.get(event.pubkey);
+      if (!current || event.created_at > current.created_at) {
+        newest.set(event.pubkey, event);
+      }
+    }
+  }
+
+  const lists = new Map();
+
+  for (const pubkey of pubkeys) {
+    const event = newest.get(pubkey);
+    const list = event ? parseRelayList(event) : null;
+
+    try {
+      lists.set(pubkey, list ? await storeRelayList(pubkey, list, event.created_at) : await touchRelayList(pubkey));
+    } catch (error) {
+      console.error(`[Outbox] Failed to store relay list ${pubkey.substring(0, 8)}...:`, error.message);
+
+      // Still use what we found; a miss keeps whatever list is in memory
+      if (list || !memoryCache.has(pubkey)) remember(pubkey, list);
+      lists.set(pubkey, recall(pubkey).list);
+    }
+  }
+
+  return lists;
+}
+
+/**
+ * Get relay lists for a set of pubkeys, using the cache where it's fresh
+ * @returns {Map<string, object|null>} - pubkey -> { read, write } (null if none published)
+ */
+async function getRelayLists(pubkeys) {
+  const unique = [...new Set(pubkeys.filter(Boolean))];
+  const lists = new Map();
+  const now = Date.now();
+
+  // 1. Memory
+  let missing = [];
+  for (const pubkey of unique) {
+    const cached = recall(pubkey);
+    if (cached && now - cached.cachedAt < ttlMs()) {
+      lists.set(pubkey, cached.list);
+    } else {
+      missing.push(pubkey);
+    }
+  }
+
+  if (missing.length === 0) return lists;
+
+  // 2. Database (a failed read falls through to the relays)
+  try {
+    const result = await db.query(
+      `SELECT pubkey, read_relays, write_relays, event_created_at FROM relay_lists
+       WHERE pubkey = ANY($1)
+         AND fetched_at > NOW() - make_interval(hours => $2)`,
+      [missing, config.nostr.outbox.relayListTtlHours]
+    );
+
+    for (const row of result.rows) {
+      const list = rowToList(row);
+      remember(row.pubkey, list, now);
+      lists.set(row.pubkey, list);
+    }
+  } catch (error) {
+    console.error('[Outbox] Failed to read cached relay lists:', error.message);
+  }
+
+  missing = missing.filter(pubkey => !lists.has(pubkey));
+
+  // 3. Relays
+  if (missing.length > 0) {
+    const fetched = await fetchRelayLists(missing);
+    for (const [pubkey, list] of fetched) {
+      lists.set(pubkey, list);
+    }
+  }
+
+  return lists;
+}
+
+/**
+ * Cached relay list for a pubkey, without any I/O
+ * Call getRelayLists first to warm the cache
+ */
+function cachedRelayList(pubkey) {
+  const cached = recall(pubkey);
+  return cached ? cached.list : null;
+}
+
+/**
+ * A pubkey's cached relays in one direction ('read' or 'write'), minus failing relays
+ */
+function relaysOf(pubkey, direction) {
+  const list = cachedRelayList(pubkey);
+  return list ? list[direction].filter(relay => !relayHealth.isFailing(relay)) : [];
+}
+
+/**
+ * Choose which relays to connect to within a budget of distinct relays
+ * The healthiest configured defaults are always included; the rest are picked greedily by how
+ * many under-covered pubkeys (fewer than relaysPerAuthor chosen relays) they serve.
+ * @param {string[][]} candidateLists - One list of candidate relays per pubkey
+ * @returns {Set<string>} - Selected relay urls
+ */
+function selectRelays(candidateLists, budget = config.nostr.outbox.maxConnections) {
+  const perAuthor = config.nostr.outbox.relaysPerAuthor;
+  const selected = new Set(relayHealth.rankRelays(config.nostr.relays).slice(0, budget));
+  const coverage = candidateLists.map(relays => relays.filter(relay => selected.has(relay)).length);
+
+  // Greedy set cover: keep adding the relay that serves the most under-covered pubkeys
+  while (selected.size < budget) {
+    const gains = new Map();
+    candidateLists.forEach((relays, i) => {
+      if (coverage[i] >= perAuthor) return;
+      for (const relay of relays) {
+        if (!selected.has(relay)) gains.set(relay, (gains.get(relay) || 0) + 1);
+      }
+    });
+
+    if (gains.size === 0) break;
+
+    const [best] = [...gains.entries()].sort((a, b) => b[1] - a[1])[0];
+    selected.add(best);
+
+    candidateLists.forEach((relays, i) => {
+      if (relays.includes(best)) coverage[i]++;
+    });
+  }
+
+  return selected;
+}
+
+/**
+ * Plan which relays to ask about which pubkeys
+ * Each pubkey is assigned up to relaysPerAuthor of its own selected relays (write relays
+ * for things they publish, read relays for things addressed to them). Pubkeys with no
+ * usable relay fall back to the configured default relays.
+ * @param {string[]} pubkeys - Hex pubkeys
+ * @param {string} direction - 'write' (outbox) or 'read' (inbox)
+ * @param {object} options - { budget, allowedRelays } - allowedRelays skips selection
+ * @returns {Map<string, string[]>} - relay url -> pubkeys
+ */
+function planRelays(pubkeys, direction, options = {}) {
+  const perAuthor = config.nostr.outbox.relaysPerAuthor;
+  const candidates = pubkeys.map(pubkey => relaysOf(pubkey, direction));
+
+  const selected = options.allowedRelays
+    ? new Set(options.allowedRelays)
+    : selectRelays(candidates, options.budget);
+  const defaults = config.nostr.relays.filter(relay => selected.has(relay));
+
+  const plan = new Map();
+  const assign = (relay, pubkey) => {
+    if (!plan.has(relay)) plan.set(relay, []);
+    plan.get(relay).push(pubkey);
+  };
+
+  pubkeys.forEach((pubkey, i) => {
+    const usable = candidates[i].filter(relay => selected.has(relay)).slice(0, perAuthor);
+    (usable.length > 0 ? usable : defaults).forEach(relay => assign(relay, pubkey));
+  });
+
+  return plan;
+}
+
+/**
+ * Warm the cache and plan in one go
+ */
+async function planRelaysFor(pubkeys, direction, options = {}) {
+  try {
+    await getRelayLists(pubkeys);
+  } catch (error) {
+    // Planning still works from defaults
+    console.error('[Outbox] Failed to load relay lists:', error.message);
+  }
+  return planRelays(pubkeys, direction, options);
+}
+
+module.exports = {
+  normalizeRelayUrl,
+  parseRelayList,
+  getRelayLists,
+  cachedRelayList,
+  relaysOf,
+  selectRelays,
+  planRelays,
+  planRelaysFor
+};
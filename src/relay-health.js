@@ -0,0 +1,226 @@
+/**
+ * Relay Health
+ * Per-relay latency, EOSE time, error rate, event yield and duplicate ratio,
+ * recorded by the relay client and used to prefer healthy relays
+ */
+
+const db = require('./db');
+
+const COUNTERS = [
+  'connect_attempts', 'connect_failures', 'connect_ms_total', 'subscriptions',
+  'eose_count', 'eose_ms_total', 'timeouts', 'errors', 'events', 'duplicates'
+];
+
+// Window used to score relays for routing decisions
+const SCORING_WINDOW_HOURS = 6;
+
+// Relays need this much traffic in the window before we judge them
+const MIN_SAMPLES = 5;
+
+// Error rate above which a relay is skipped
+const FAILING_ERROR_RATE = 0.8;
+
+// Counters not yet written to Postgres: relay -> { counter: n }
+const pending = new Map();
+let flushTimer = null;
+
+// Recently seen event ids -> first relay that sent them, for the duplicate ratio
+const firstSeenOn = new Map();
+const FIRST_SEEN_LIMIT = 50000;
+
+// Scores loaded from Postgres: relay -> health summary
+let scores = new Map();
+let scoresLoadedAt = 0;
+
+function bump(relay, counter, amount = 1) {
+  if (!pending.has(relay)) pending.set(relay, {});
+  const counters = pending.get(relay);
+  counters[counter] = (counters[counter] || 0) + amount;
+
+  if (!flushTimer) {
+    flushTimer = setTimeout(flushHealth, 60 * 1000);
+    flushTimer.unref();
+  }
+}
+
+function recordConnect(relay, ms, ok) {
+  bump(relay, 'connect_attempts');
+  if (ok) {
+    bump(relay, 'connect_ms_total', ms);
+  } else {
+    bump(relay, 'connect_failures');
+  }
+}
+
+function recordSubscription(relay) {
+  bump(relay, 'subscriptions');
+}
+
+function recordEose(relay, ms) {
+  bump(relay, 'eose_count');
+  bump(relay, 'eose_ms_total', ms);
+}
+
+function recordTimeout(relay) {
+  bump(relay, 'timeouts');
+}
+
+function recordError(relay) {
+  bump(relay, 'errors');
+}
+
+function recordEvent(relay, eventId) {
+  bump(relay, 'events');
+
+  const first = firstSeenOn.get(eventId);
+  if (first === undefined) {
+    firstSeenOn.set(eventId, relay);
+    if (firstSeenOn.size > FIRST_SEEN_LIMIT) {
+      firstSeenOn.delete(firstSeenOn.keys().next().value);
+    }
+  } else if (first !== relay) {
+    bump(relay, 'duplicates');
+  }
+}
+
+/**
+ * Add pending counters to the current hour's row
+ */
+async function flushHealth() {
+  clearTimeout(flushTimer);
+  flushTimer = null;
+
+  const entries = Array.from(pending.entries());
+  pending.clear();
+
+  for (const [relay, counters] of entries) {
+    const values = COUNTERS.map(counter => counters[counter] || 0);
+
+    try {
+      await db.query(
+        `INSERT INTO relay_health_stats (relay, bucket, ${COUNTERS.join(', ')})
+         VALUES ($1, DATE_TRUNC('hour', NOW() AT TIME ZONE 'UTC'), ${COUNTERS.map((_, i) => `$${i + 2}`).join(', ')})
+         ON CONFLICT (relay, bucket)
+         DO UPDATE SET ${COUNTERS.map(counter => `${counter} = relay_health_stats.${counter} + EXCLUDED.${counter}`).join(', ')}`,
+        [relay, ...values]
+      );
+    } catch (error) {
+      console.error(`[Health] Failed to save stats for ${relay}:`, error.message);
+    }
+  }
+}
+
+/**
+ * Turn summed counters into the health summary we expose and route on
+ */
+function summarize(row) {
+  const n = counter => parseInt(row[counter]) || 0;
+
+  const attempts = n('connect_attempts') + n('subscriptions');
+  const failures = n('connect_failures') + n('timeouts') + n('errors');
+  const successfulConnects = n('connect_attempts') - n('connect_failures');
+
+  const errorRate = attempts > 0 ? failures / attempts : 0;
+  const eoseRate = n('subscriptions') > 0 ? n('eose_count') / n('subscriptions') : 0;
+
+  const summary = {
+    relay: row.relay,
+    avg_connect_ms: successfulConnects > 0 ? Math.round(n('connect_ms_total') / successfulConnects) : null,
+    avg_eose_ms: n('eose_count') > 0 ? Math.round(n('eose_ms_total') / n('eose_count')) : null,
+    error_rate: parseFloat(errorRate.toFixed(3)),
+    eose_rate: parseFloat(Math.min(eoseRate, 1).toFixed(3)),
+    events_per_subscription: n('subscriptions') > 0 ? parseFloat((n('events') / n('subscriptions')).toFixed(1)) : 0,
+    duplicate_ratio: n('events') > 0 ? parseFloat((n('duplicates') / n('events')).toFixed(3)) : 0,
+    connect_attempts: n('connect_attempts'),
+    subscriptions: n('subscriptions'),
+    events: n('events'),
+    last_seen: row.last_seen || null
+  };
+
+  // 0-1: mostly reliability, then speed to EOSE
+  const speed = summary.avg_eose_ms === null ? 0.5 : 1 / (1 + summary.avg_eose_ms / 2000);
+  summary.score = parseFloat(((1 - errorRate) * 0.7 + speed * 0.3).toFixed(3));
+
+  if (attempts < MIN_SAMPLES) {
+    summary.status = 'unknown';
+  } else if (errorRate >= FAILING_ERROR_RATE) {
+    summary.status = 'failing';
+  } else if (errorRate >= 0.3 || (summary.avg_eose_ms || 0) > 5000) {
+    summary.status = 'degraded';
+  } else {
+    summary.status = 'healthy';
+  }
+
+  return summary;
+}
+
+/**
+ * Health summary per relay over a window
+ * @param {number} hours - Window size
+ */
+async function getHealth(hours = 24) {
+  await flushHealth();
+
+  const result = await db.query(
+    `SELECT relay, ${COUNTERS.map(counter => `SUM(${counter}) as ${counter}`).join(', ')},
+            MAX(bucket) as last_seen
+     FROM relay_health_stats
+     WHERE bucket >= DATE_TRUNC('hour', NOW() AT TIME ZONE 'UTC') - make_interval(hours => $1)
+     GROUP BY relay`,
+    [hours]
+  );
+
+  return result.rows.map(summarize).sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Reload routing scores from Postgres, at most every 5 minutes
+ */
+async function refreshScores() {
+  if (Date.now() - scoresLoadedAt < 5 * 60 * 1000) return;
+  scoresLoadedAt = Date.now();
+
+  try {
+    const health = await getHealth(SCORING_WINDOW_HOURS);
+    scores = new Map(health.map(summary => [summary.relay, summary]));
+  } catch (error) {
+    console.error('[Health] Failed to load relay scores:', error.message);
+  }
+}
+
+/**
+ * Whether a relay has been consistently failing recently
+ * Scores refresh in the background, so this never waits on the database
+ */
+function isFailing(relay) {
+  refreshScores();
+  return scores.get(relay)?.status === 'failing';
+}
+
+/**
+ * Order relays best-first and drop consistently failing ones
+ * Unknown relays sit in the middle; if everything is failing the list is kept as is
+ */
+function rankRelays(relays) {
+  refreshScores();
+  const usable = relays.filter(relay => !isFailing(relay));
+  const ranked = usable.length > 0 ? usable : relays;
+
+  return [...ranked].sort((a, b) =>
+    (scores.get(b)?.score ?? 0.5) - (scores.get(a)?.score ?? 0.5)
+  );
+}
+
+module.exports = {
+  recordConnect,
+  recordSubscription,
+  recordEose,
+  recordTimeout,
+  recordError,
+  recordEvent,
+  flushHealth,
+  getHealth,
+  refreshScores,
+  isFailing,
+  rankRelays
+};
@@ -5,32 +5,47 @@
  * Monitors multiple relays for events related to registered users
  */
 
-const { SimplePool, nip19 } = require('nostr-tools');
 const db = require('./db');
 const config = require('./config');
+const relayClient = require('./relay-client');
+const { npubToPubkey } = require('./network-scanner');
 const webhookSender = require('./webhook-sender');
+const webhookQueue = require('./webhook-queue');
+const { parseZapReceipt } = require('./zaps');
+const { lastTagValue, parseThreadTags } = require('./event-tags');
+const postTracker = require('./post-tracker');
+const profileCache = require('./profile-cache');
+const { createPubkeyIndex } = require('./pubkey-index');
+const relayCursors = require('./relay-cursors');
+const eventValidation = require('./event-validation');
+const deletions = require('./deletions');
+const tombstones = require('./tombstones');
+const relayDiscovery = require('./relay-discovery');
+const relayHealth = require('./relay-health');
 
-const pool = new SimplePool();
-let userNpubs = new Map(); // npub -> user_id mapping
-let activeSubscriptions = [];
+const userIndex = createPubkeyIndex(); // hex pubkey <-> user_id
+const decodedNpubs = new Map(); // npub -> hex pubkey, so reloads don't re-decode
 
 /**
- * Load all registered users from database
+ * Load all registered users from database into the pubkey index
+ * Returns the hex pubkeys being monitored
  */
 async function loadUsers() {
   try {
     const result = await db.query('SELECT id, npub FROM users');
     
-    userNpubs.clear();
-    result.rows.forEach(user => {
-      userNpubs.set(user.npub, user.id);
-    });
+    const users = result.rows.map(user => ({
+      id: user.id,
+      pubkey: npubToHex(user.npub)
+    }));
+    
+    userIndex.replace(users);
     
-    console.log(`Loaded ${userNpubs.size} users to monitor`);
-    return Array.from(userNpubs.keys());
+    console.log(`Loaded ${userIndex.size} users to monitor`);
+    return userIndex.pubkeys();
   } catch (error) {
     console.error('Failed to load users:', error);
-    return [];
+    return userIndex.pubkeys();
   }
 }
 
@@ -38,9 +53,15 @@ async function loadUsers() {
  * Convert npub to hex pubkey
  */
 function npubToHex(npub) {
+  if (/^[0-9a-f]{64}$/i.test(npub)) return npub.toLowerCase();
+  if (decodedNpubs.has(npub)) return decodedNpubs.get(npub);
+  
   try {
-    const decoded = nip19.decode(npub);
-    return decoded.data;
+    const pubkey = npubToPubkey(npub);
+    if (!/^[0-9a-f]{64}$/.test(pubkey)) throw new Error('Not a 32-byte key');
+    
+    decodedNpubs.set(npub, pubkey);
+    return pubkey;
   } catch (error) {
     console.error(`Invalid npub ${npub}:`, error.message);
     return null;
@@ -48,86 +69,279 @@ function npubToHex(npub) {
 }
 
 /**
- * Process mention event
+ * Record an interaction in the engagers table
  */
-async function processMention(event, userId) {
+async function recordEngager(userId, pubkey, createdAt, name) {
+  await db.query(
+    `INSERT INTO engagers (user_id, engager_npub, engager_name, interactions, last_interaction)
+     VALUES ($1, $2, $4, 1, to_timestamp($3))
+     ON CONFLICT (user_id, engager_npub)
+     DO UPDATE SET 
+       interactions = engagers.interactions + 1,
+       engager_name = COALESCE(EXCLUDED.engager_name, engagers.engager_name),
+       last_interaction = to_timestamp($3)`,
+    [userId, pubkey, createdAt, name || null]
+  );
+}
+
+/**
+ * Look up a note by id, first in our posts table, then on relays
+ * Returns { pubkey, content } or null
+ */
+async function fetchNote(noteId, userId, userPubkey) {
+  const stored = await db.query(
+    'SELECT user_id, content FROM posts WHERE note_id = $1',
+    [noteId]
+  );
+  
+  if (stored.rows.length > 0 && stored.rows[0].user_id === userId) {
+    return { pubkey: userPubkey, content: stored.rows[0].content };
+  }
+  
+  try {
+    const note = await relayClient.get(relayHealth.rankRelays(config.nostr.relays), { ids: [noteId] });
+    if (!note || note.id !== noteId) return null;
+    return { pubkey: note.pubkey, content: note.content };
+  } catch (error) {
+    console.error(`Failed to fetch note ${noteId.substring(0, 8)}...:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Process a kind 1 note that tags one of our users
+ * Stored as a reply when it answers one of the user's own notes, otherwise as a mention
+ */
+async function processMention(event, userId, userPubkey) {
   try {
     // Check if already processed
     const existing = await db.query(
-      'SELECT id FROM events WHERE event_id = $1',
-      [event.id]
+      'SELECT id FROM events WHERE user_id = $1 AND event_id = $2',
+      [userId, event.id]
     );
     
     if (existing.rows.length > 0) return;
     
+    const authorName = await profileCache.getDisplayName(event.pubkey);
+    const { rootId, replyId } = parseThreadTags(event);
+    const parent = replyId ? await fetchNote(replyId, userId, userPubkey) : null;
+    const isReply = parent !== null && parent.pubkey === userPubkey;
+    
+    const metadata = isReply
+      ? {
+          ...event,
+          note_id: replyId,
+          reply_id: replyId,
+          root_id: rootId,
+          parent_content: parent.content,
+          reply_content: event.content
+        }
+      : event;
+    
     // Store event
     await db.query(
-      `INSERT INTO events (user_id, event_id, event_type, author_npub, content, metadata, created_at)
-       VALUES ($1, $2, $3, $4, $5, $6, to_timestamp($7))`,
+      `INSERT INTO events (user_id, event_id, event_type, author_npub, author_name, content, metadata, created_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, to_timestamp($8))`,
       [
         userId,
         event.id,
-        'mention',
+        isReply ? 'reply' : 'mention',
         event.pubkey,
+        authorName,
         event.content,
-        JSON.stringify(event),
+        JSON.stringify(metadata),
         event.created_at
       ]
     );
     
     // Update engagers table
+    await recordEngager(userId, event.pubkey, event.created_at, authorName);
+    
+    if (isReply) {
+      await postTracker.recordEngagement(userId, replyId, 'reply');
+    }
+    
+    // Send webhook
+    if (isReply) {
+      console.log(`💬 Reply for user ${userId} from ${event.pubkey.substring(0, 8)}...`);
+      await webhookSender.sendReplyWebhook(userId, event, replyId, rootId, parent.content);
+    } else {
+      console.log(`📬 Mention for user ${userId} from ${event.pubkey.substring(0, 8)}...`);
+      await webhookSender.sendMentionWebhook(userId, event);
+    }
+    
+  } catch (error) {
+    console.error('Error processing mention:', error);
+    throw error;
+  }
+}
+
+/**
+ * Process reaction event (kind 7)
+ */
+async function processReaction(event, userId) {
+  try {
+    const noteId = lastTagValue(event, 'e');
+    if (!noteId) return;
+    
+    // "-" is a dislike (NIP-25), not engagement we want to count
+    const emoji = event.content === '' ? '+' : event.content;
+    if (emoji === '-') return;
+    
+    // Check if already processed
+    const existing = await db.query(
+      'SELECT id FROM events WHERE user_id = $1 AND event_id = $2',
+      [userId, event.id]
+    );
+    
+    if (existing.rows.length > 0) return;
+    
+    const authorName = await profileCache.getDisplayName(event.pubkey);
+    
+    // Store event
     await db.query(
-      `INSERT INTO engagers (user_id, engager_npub, interactions, last_interaction)
-       VALUES ($1, $2, 1, to_timestamp($3))
-       ON CONFLICT (user_id, engager_npub)
-       DO UPDATE SET 
-         interactions = engagers.interactions + 1,
-         last_interaction = to_timestamp($3)`,
-      [userId, event.pubkey, event.created_at]
+      `INSERT INTO events (user_id, event_id, event_type, author_npub, author_name, content, metadata, created_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, to_timestamp($8))`,
+      [
+        userId,
+        event.id,
+        'like',
+        event.pubkey,
+        authorName,
+        event.content,
+        JSON.stringify({ ...event, emoji, note_id: noteId }),
+        event.created_at
+      ]
     );
     
-    console.log(`📬 Mention for user ${userId} from ${event.pubkey.substring(0, 8)}...`);
+    await recordEngager(userId, event.pubkey, event.created_at, authorName);
+    await postTracker.recordEngagement(userId, noteId, 'like');
+    
+    console.log(`${emoji === '+' ? '❤️' : emoji} Reaction for user ${userId} from ${event.pubkey.substring(0, 8)}...`);
     
     // Send webhook
-    await webhookSender.sendMentionWebhook(userId, event);
+    await webhookSender.sendReactionWebhook(userId, event, emoji, noteId);
     
   } catch (error) {
-    console.error('Error processing mention:', error);
+    console.error('Error processing reaction:', error);
+    throw error;
   }
 }
 
 /**
- * Process follow event (kind 3)
+ * Process repost event (kind 6, or kind 16 generic repost)
  */
-async function processFollow(event, userId) {
+async function processRepost(event, userId) {
   try {
-    // kind 3 events contain the follow list in tags
-    // Check if our user's pubkey is in the p tags
-    const userHexPubkey = npubToHex(Array.from(userNpubs.keys()).find(npub => userNpubs.get(npub) === userId));
+    const noteId = lastTagValue(event, 'e');
+    if (!noteId) return;
     
-    if (!userHexPubkey) return;
+    // Check if already processed
+    const existing = await db.query(
+      'SELECT id FROM events WHERE user_id = $1 AND event_id = $2',
+      [userId, event.id]
+    );
+    
+    if (existing.rows.length > 0) return;
     
-    const isFollowing = event.tags.some(tag => 
-      tag[0] === 'p' && tag[1] === userHexPubkey
+    const authorName = await profileCache.getDisplayName(event.pubkey);
+    
+    // Store event (content of a kind 6 is the reposted note, so don't keep it twice)
+    await db.query(
+      `INSERT INTO events (user_id, event_id, event_type, author_npub, author_name, content, metadata, created_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, to_timestamp($8))`,
+      [
+        userId,
+        event.id,
+        'repost',
+        event.pubkey,
+        authorName,
+        '',
+        JSON.stringify({ ...event, note_id: noteId }),
+        event.created_at
+      ]
     );
     
-    if (!isFollowing) return;
+    await recordEngager(userId, event.pubkey, event.created_at, authorName);
+    await postTracker.recordEngagement(userId, noteId, 'repost');
     
-    // Check if already recorded
+    console.log(`🔁 Repost for user ${userId} from ${event.pubkey.substring(0, 8)}...`);
+    
+    // Send webhook
+    await webhookSender.sendRepostWebhook(userId, event, noteId);
+    
+  } catch (error) {
+    console.error('Error processing repost:', error);
+    throw error;
+  }
+}
+
+/**
+ * Process one of the user's own notes (kind 1)
+ */
+async function processOwnPost(event, userId) {
+  try {
+    await postTracker.upsertPost(userId, event);
+    // Engagement may have arrived before the note itself
+    await postTracker.recomputePostCounters(userId, [event.id]);
+    console.log(`📝 Tracked post ${event.id.substring(0, 8)}... for user ${userId}`);
+  } catch (error) {
+    console.error('Error processing own post:', error);
+    throw error;
+  }
+}
+
+/**
+ * Store a follow/unfollow in the events table
+ */
+async function storeFollowEvent(userId, event, eventType, authorName, metadata) {
+  await db.query(
+    `INSERT INTO events (user_id, event_id, event_type, author_npub, author_name, content, metadata, created_at)
+     VALUES ($1, $2, $3, $4, $5, '', $6, to_timestamp($7))
+     ON CONFLICT (user_id, event_id) DO NOTHING`,
+    [
+      userId,
+      event.id,
+      eventType,
+      event.pubkey,
+      authorName,
+      JSON.stringify({ contact_list_id: event.id, ...metadata }),
+      event.created_at
+    ]
+  );
+}
+
+/**
+ * Record a new (or returning) follower
+ */
+async function processFollow(event, userId) {
+  try {
+    // Check if already recorded as an active follower
     const existing = await db.query(
-      'SELECT id FROM followers WHERE user_id = $1 AND follower_npub = $2',
+      'SELECT id, unfollowed_at FROM followers WHERE user_id = $1 AND follower_npub = $2',
       [userId, event.pubkey]
     );
     
-    if (existing.rows.length > 0) return;
+    if (existing.rows.length > 0 && !existing.rows[0].unfollowed_at) return;
     
-    // Add follower
+    const followerName = await profileCache.getDisplayName(event.pubkey);
+    
+    // Add follower, or reactivate one who had unfollowed
     await db.query(
-      `INSERT INTO followers (user_id, follower_npub, followed_at)
-       VALUES ($1, $2, to_timestamp($3))`,
-      [userId, event.pubkey, event.created_at]
+      `INSERT INTO followers (user_id, follower_npub, follower_name, followed_at)
+       VALUES ($1, $2, $3, to_timestamp($4))
+       ON CONFLICT (user_id, follower_npub)
+       DO UPDATE SET
+         follower_name = COALESCE(EXCLUDED.follower_name, followers.follower_name),
+         followed_at = EXCLUDED.followed_at,
+         unfollowed_at = NULL`,
+      [userId, event.pubkey, followerName, event.created_at]
     );
     
+    await storeFollowEvent(userId, event, 'follow', followerName, {
+      followed_at: new Date(event.created_at * 1000).toISOString()
+    });
+    
     console.log(`👥 New follower for user ${userId}: ${event.pubkey.substring(0, 8)}...`);
     
     // Send webhook
@@ -135,6 +349,161 @@ async function processFollow(event, userId) {
     
   } catch (error) {
     console.error('Error processing follow:', error);
+    throw error;
+  }
+}
+
+/**
+ * Record an unfollow: the user's pubkey disappeared from a newer contact list
+ */
+async function processUnfollow(event, userId) {
+  try {
+    const result = await db.query(
+      `UPDATE followers
+       SET unfollowed_at = to_timestamp($3)
+       WHERE user_id = $1 AND follower_npub = $2 AND unfollowed_at IS NULL
+       RETURNING followed_at`,
+      [userId, event.pubkey, event.created_at]
+    );
+    
+    if (result.rows.length === 0) return;
+    
+    const followerName = await profileCache.getDisplayName(event.pubkey);
+    const unfollowedAt = new Date(event.created_at * 1000).toISOString();
+    
+    await storeFollowEvent(userId, event, 'unfollow', followerName, {
+      unfollowed_at: unfollowedAt,
+      followed_at: result.rows[0].followed_at
+    });
+    
+    console.log(`👋 Unfollow for user ${userId}: ${event.pubkey.substring(0, 8)}...`);
+    
+    // Send webhook
+    await webhookSender.sendUnfollowWebhook(userId, event, unfollowedAt);
+    
+  } catch (error) {
+    console.error('Error processing unfollow:', error);
+    throw error;
+  }
+}
+
+/**
+ * Process a contact list (kind 3)
+ * Diffs it against the last known list from the same author to find follows and unfollows.
+ * The list is claimed with a conditional upsert first, so when the same event (or two lists)
+ * arrive concurrently only the one that moved contact_list_state forward is diffed.
+ */
+async function processContactList(event) {
+  try {
+    const current = new Set(userIndex.usersTaggedIn(event).map(match => match.userId));
+    
+    // kind 3 is replaceable - nothing is returned unless this list is newer than what we have
+    const claimed = await db.query(
+      `WITH previous AS (
+         SELECT event_id, list_created_at, followed_user_ids
+         FROM contact_list_state WHERE follower_npub = $1
+         FOR UPDATE
+       )
+       INSERT INTO contact_list_state (follower_npub, event_id, list_created_at, followed_user_ids, updated_at)
+       VALUES ($1, $2, to_timestamp($3), $4, NOW())
+       ON CONFLICT (follower_npub)
+       DO UPDATE SET
+         event_id = EXCLUDED.event_id,
+         list_created_at = EXCLUDED.list_created_at,
+         followed_user_ids = EXCLUDED.followed_user_ids,
+         updated_at = NOW()
+       WHERE contact_list_state.list_created_at < EXCLUDED.list_created_at
+       RETURNING
+         (SELECT event_id FROM previous) as previous_event_id,
+         (SELECT list_created_at FROM previous) as previous_created_at,
+         (SELECT followed_user_ids FROM previous) as previous_user_ids`,
+      [event.pubkey, event.id, event.created_at, Array.from(current)]
+    );
+    
+    if (claimed.rows.length === 0) return;
+    const state = claimed.rows[0];
+    
+    try {
+      // Without a previous list, fall back to who we think this author follows
+      let previous;
+      if (state.previous_event_id) {
+        previous = new Set(state.previous_user_ids);
+      } else {
+        const followingResult = await db.query(
+          'SELECT user_id FROM followers WHERE follower_npub = $1 AND unfollowed_at IS NULL',
+          [event.pubkey]
+        );
+        previous = new Set(followingResult.rows.map(row => row.user_id));
+      }
+      
+      for (const userId of current) {
+        if (!previous.has(userId)) {
+          await processFollow(event, userId);
+        }
+      }
+      
+      for (const userId of previous) {
+        if (!current.has(userId)) {
+          await processUnfollow(event, userId);
+        }
+      }
+    } catch (error) {
+      // Give the claim back so a retry of this list diffs it again
+      await releaseContactList(event, state);
+      throw error;
+    }
+    
+  } catch (error) {
+    console.error('Error processing contact list:', error);
+    throw error;
+  }
+}
+
+/**
+ * Put contact_list_state back as it was before a list that failed to process
+ * Only if nothing newer has claimed it since
+ */
+async function releaseContactList(event, state) {
+  if (!state.previous_event_id) {
+    await db.query(
+      'DELETE FROM contact_list_state WHERE follower_npub = $1 AND event_id = $2',
+      [event.pubkey, event.id]
+    );
+    return;
+  }
+  
+  await db.query(
+    `UPDATE contact_list_state
+     SET event_id = $3, list_created_at = $4, followed_user_ids = $5, updated_at = NOW()
+     WHERE follower_npub = $1 AND event_id = $2`,
+    [event.pubkey, event.id, state.previous_event_id, state.previous_created_at, state.previous_user_ids]
+  );
+}
+
+/**
+ * Load the pubkeys of everyone currently following one of our users
+ */
+async function loadFollowerPubkeys() {
+  try {
+    const result = await db.query(
+      'SELECT DISTINCT follower_npub FROM followers WHERE unfollowed_at IS NULL'
+    );
+    return result.rows.map(row => row.follower_npub);
+  } catch (error) {
+    console.error('Failed to load followers:', error);
+    return null;
+  }
+}
+
+/**
+ * Load the pubkeys whose deletion requests could affect stored rows
+ */
+async function loadDeletionAuthors() {
+  try {
+    return await deletions.loadDeletionAuthors();
+  } catch (error) {
+    console.error('Failed to load deletion authors:', error);
+    return null;
   }
 }
 
@@ -143,151 +512,378 @@ async function processFollow(event, userId) {
  */
 async function processZap(event, userId) {
   try {
-    // Extract zap amount from bolt11 invoice
-    let satsAmount = 0;
-    const bolt11Tag = event.tags.find(tag => tag[0] === 'bolt11');
-    
-    if (bolt11Tag) {
-      // Parse amount from invoice (simplified - would need proper parser)
-      // For now, store the event and we can parse amount later
-      satsAmount = 0; // TODO: implement proper invoice parsing
+    // Check if already processed
+    const existing = await db.query(
+      'SELECT id FROM events WHERE user_id = $1 AND event_id = $2',
+      [userId, event.id]
+    );
+    
+    if (existing.rows.length > 0) return;
+    
+    // event.pubkey is the LNURL server - the real sender is in the zap request
+    const zap = parseZapReceipt(event);
+    
+    if (!zap.valid) {
+      console.log(`⚠️  Rejected zap receipt ${event.id.substring(0, 8)}...: ${zap.reason}`);
+      return;
     }
     
+    const authorName = await profileCache.getDisplayName(zap.senderPubkey);
+    
     // Store event
     await db.query(
-      `INSERT INTO events (user_id, event_id, event_type, author_npub, content, metadata, created_at)
-       VALUES ($1, $2, $3, $4, $5, $6, to_timestamp($7))`,
+      `INSERT INTO events (user_id, event_id, event_type, author_npub, author_name, content, metadata, created_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, to_timestamp($8))`,
       [
         userId,
         event.id,
         'zap',
-        event.pubkey,
-        event.content || '',
-        JSON.stringify(event),
+        zap.senderPubkey,
+        authorName,
+        zap.comment,
+        JSON.stringify({
+          ...event,
+          amount_sats: zap.amountSats,
+          message: zap.comment,
+          note_id: zap.noteId,
+          sender_pubkey: zap.senderPubkey,
+          lnurl_pubkey: event.pubkey
+        }),
         event.created_at
       ]
     );
     
-    console.log(`⚡ Zap received for user ${userId} from ${event.pubkey.substring(0, 8)}...`);
+    await recordEngager(userId, zap.senderPubkey, event.created_at, authorName);
+    await postTracker.recordEngagement(userId, zap.noteId, 'zap', zap.amountSats);
+    
+    console.log(`⚡ Zap of ${zap.amountSats} sats for user ${userId} from ${zap.senderPubkey.substring(0, 8)}...`);
     
     // Send webhook
-    await webhookSender.sendZapWebhook(userId, event, satsAmount);
+    await webhookSender.sendZapWebhook(userId, event, zap);
     
   } catch (error) {
     console.error('Error processing zap:', error);
+    throw error;
   }
 }
 
+// Max pubkeys per filter, relays reject very large REQs
+const FILTER_CHUNK_SIZE = 500;
+
+// Once a stream has this many incremental batches, rebuild it as full chunks
+const MAX_BATCHES_PER_STREAM = 8;
+
 /**
- * Subscribe to events for all users
+ * Subscription streams
+ * Each stream has its own cursor per relay, keyed by name - don't rename them.
+ * direction says whose NIP-65 relays to use: 'read' for events addressed to the
+ * pubkeys (their inbox), 'write' for events they publish (their outbox).
  */
-async function subscribeToEvents() {
-  const npubs = await loadUsers();
-  
-  if (npubs.length === 0) {
-    console.log('No users to monitor. Waiting...');
-    return;
-  }
-  
-  // Convert npubs to hex pubkeys
-  const pubkeys = npubs.map(npubToHex).filter(Boolean);
-  
-  if (pubkeys.length === 0) {
-    console.error('No valid pubkeys found');
-    return;
-  }
+const STREAMS = {
+  // Mentions and replies (kind 1 events that tag our users)
+  mentions: {
+    direction: 'read',
+    lookbackSeconds: 3600,
+    filter: pubkeys => ({ kinds: [1], '#p': pubkeys }),
+    onEvent: async (event) => {
+      // Fan out to every registered user tagged in the note
+      for (const { userId, pubkey } of userIndex.usersTaggedIn(event)) {
+        await processMention(event, userId, pubkey);
+      }
+    }
+  },
   
-  console.log(`Subscribing to ${config.nostr.relays.length} relays for ${pubkeys.length} users...`);
+  // Follow lists (kind 3) that include our users
+  // A list from a follower matches this and contacts, so both dedupe under one key
+  follows: {
+    direction: 'read',
+    lookbackSeconds: 86400,
+    filter: pubkeys => ({ kinds: [3], '#p': pubkeys }),
+    seenKey: 'contactLists',
+    onEvent: processContactList
+  },
   
-  // Close existing subscriptions
-  activeSubscriptions.forEach(sub => sub.unsub());
-  activeSubscriptions = [];
+  // Contact list updates from existing followers -
+  // a list that drops our user no longer matches the '#p' filter above
+  contacts: {
+    direction: 'write',
+    lookbackSeconds: 86400,
+    filter: pubkeys => ({ kinds: [3], authors: pubkeys }),
+    seenKey: 'contactLists',
+    onEvent: processContactList
+  },
   
-  // Subscribe to mentions (kind 1 events that mention our users)
-  const mentionSub = pool.sub(config.nostr.relays, [
-    {
-      kinds: [1],
-      '#p': pubkeys,
-      since: Math.floor(Date.now() / 1000) - 3600 // Last hour
+  // Zap receipts (kind 9735)
+  zaps: {
+    direction: 'read',
+    lookbackSeconds: 3600,
+    filter: pubkeys => ({ kinds: [9735], '#p': pubkeys }),
+    onEvent: async (event) => {
+      // Find which user received the zap
+      for (const { userId } of userIndex.usersTaggedIn(event)) {
+        await processZap(event, userId);
+      }
     }
-  ]);
+  },
   
-  mentionSub.on('event', async (event) => {
-    // Find which user(s) were mentioned
-    for (const tag of event.tags) {
-      if (tag[0] === 'p') {
-        const mentionedPubkey = tag[1];
-        const npub = Object.keys(Object.fromEntries(userNpubs)).find(npub => 
-          npubToHex(npub) === mentionedPubkey
-        );
-        
-        if (npub) {
-          const userId = userNpubs.get(npub);
-          await processMention(event, userId);
+  // Reactions (kind 7) and reposts (kind 6/16) of our users' notes
+  engagement: {
+    direction: 'read',
+    lookbackSeconds: 3600,
+    filter: pubkeys => ({ kinds: [7, 6, 16], '#p': pubkeys }),
+    onEvent: async (event) => {
+      // The last p tag is the author of the note being reacted to / reposted
+      const authorPubkey = lastTagValue(event, 'p');
+      if (!authorPubkey) return;
+      
+      for (const userId of userIndex.usersForPubkey(authorPubkey)) {
+        if (event.kind === 7) {
+          await processReaction(event, userId);
+        } else {
+          await processRepost(event, userId);
         }
       }
     }
-  });
+  },
   
-  activeSubscriptions.push(mentionSub);
+  // Our users' own notes, to keep the posts table current
+  ownPosts: {
+    direction: 'write',
+    lookbackSeconds: 3600,
+    filter: pubkeys => ({ kinds: [1], authors: pubkeys }),
+    onEvent: async (event) => {
+      for (const userId of userIndex.usersForPubkey(event.pubkey)) {
+        await processOwnPost(event, userId);
+      }
+    }
+  },
   
-  // Subscribe to follow lists (kind 3) mentioning our users
-  const followSub = pool.sub(config.nostr.relays, [
-    {
-      kinds: [3],
-      '#p': pubkeys,
-      since: Math.floor(Date.now() / 1000) - 86400 // Last 24h
+  // Deletion requests (kind 5) from our users and from authors we've stored events for
+  deletions: {
+    direction: 'write',
+    lookbackSeconds: 86400,
+    filter: pubkeys => ({ kinds: [5], authors: pubkeys }),
+    onEvent: async (event) => {
+      await deletions.applyDeletion(event, userIndex.usersForPubkey(event.pubkey));
     }
-  ]);
+  }
+};
+
+// stream name -> { pubkeys: Set, batches: [{ pubkeys: [], subs: [] }] }
+const streamState = new Map();
+
+// Relays the listener may connect to, re-selected within the connection budget on each reload
+let allowedRelays = new Set(config.nostr.relays);
+
+// Recently handled "stream:event id" pairs (or a stream's seenKey), so an event delivered by
+// several relays or streams is processed once
+const recentlySeen = new Set();
+const RECENTLY_SEEN_LIMIT = 50000;
+
+function markSeen(key) {
+  if (recentlySeen.has(key)) return false;
   
-  followSub.on('event', async (event) => {
-    // Check which user was followed
-    for (const tag of event.tags) {
-      if (tag[0] === 'p') {
-        const followedPubkey = tag[1];
-        const npub = Object.keys(Object.fromEntries(userNpubs)).find(npub => 
-          npubToHex(npub) === followedPubkey
-        );
-        
-        if (npub) {
-          const userId = userNpubs.get(npub);
-          await processFollow(event, userId);
-        }
+  recentlySeen.add(key);
+  if (recentlySeen.size > RECENTLY_SEEN_LIMIT) {
+    // Sets iterate in insertion order, so this drops the oldest
+    recentlySeen.delete(recentlySeen.values().next().value);
+  }
+  return true;
+}
+
+/**
+ * Handle an event from one relay on one stream, then advance that relay's cursor
+ * A failed event is forgotten and holds the cursor below it, so another relay's copy gets
+ * another try and a restart fetches it again instead of skipping past it.
+ */
+async function handleStreamEvent(name, relay, event) {
+  const key = `${STREAMS[name].seenKey || name}:${event.id}`;
+  
+  try {
+    if (markSeen(key)) {
+      // Skip anything its author already deleted
+      if (name === 'deletions' || !(await tombstones.isDeleted(event))) {
+        await STREAMS[name].onEvent(event);
       }
     }
-  });
+    relayCursors.advanceCursor(relay, name, event.created_at);
+  } catch (error) {
+    recentlySeen.delete(key);
+    relayCursors.holdCursor(relay, name, event.created_at);
+    console.error(`Error handling ${name} event ${event.id.substring(0, 8)}... from ${relay}:`, error.message);
+  }
+}
+
+/**
+ * Open one subscription per relay for a batch of pubkeys
+ * Each pubkey only goes to its own relays (or the defaults if it has no relay list)
+ * @param {number|null} since - Fixed since, or null to resume from each relay's cursor
+ * @param {object} fresh - Optional { pubkeys: Set, since }: pubkeys merged into the batch that
+ *   get their own filter from `fresh.since` on the first send
+ */
+function openBatch(name, pubkeys, since, fresh = null) {
+  const stream = STREAMS[name];
+  const subs = [];
+  const plan = relayDiscovery.planRelays(pubkeys, stream.direction, { allowedRelays });
   
-  activeSubscriptions.push(followSub);
+  for (const [relay, relayPubkeys] of plan) {
+    // Re-sends after a reconnect always resume from the relay's cursor
+    const filters = (isResend) => {
+      const resumeSince = (!isResend && since) || relayCursors.sinceFor(relay, name, stream.lookbackSeconds);
+      const freshPubkeys = isResend || !fresh ? [] : relayPubkeys.filter(pubkey => fresh.pubkeys.has(pubkey));
+      const otherPubkeys = relayPubkeys.filter(pubkey => !freshPubkeys.includes(pubkey));
+      
+      return [
+        ...(otherPubkeys.length > 0 ? [{ ...stream.filter(otherPubkeys), since: resumeSince }] : []),
+        ...(freshPubkeys.length > 0 ? [{ ...stream.filter(freshPubkeys), since: fresh.since }] : [])
+      ];
+    };
+    
+    subs.push(relayClient.subscribe(relay, filters, {
+      persistent: true,
+      onevent: event => handleStreamEvent(name, relay, event),
+      onclosed: reason => console.error(`[${name}] ${relay} closed subscription: ${reason}`)
+    }));
+  }
   
-  // Subscribe to zaps (kind 9735)
-  const zapSub = pool.sub(config.nostr.relays, [
-    {
-      kinds: [9735],
-      '#p': pubkeys,
-      since: Math.floor(Date.now() / 1000) - 3600
-    }
-  ]);
+  return { pubkeys, subs };
+}
+
+function closeBatch(batch) {
+  batch.subs.forEach(sub => sub.close());
+}
+
+/**
+ * Split pubkeys into filter-sized batches and subscribe to each
+ */
+function openBatches(name, pubkeys, since) {
+  const batches = [];
+  for (let i = 0; i < pubkeys.length; i += FILTER_CHUNK_SIZE) {
+    batches.push(openBatch(name, pubkeys.slice(i, i + FILTER_CHUNK_SIZE), since));
+  }
+  return batches;
+}
+
+/**
+ * Bring a stream's subscriptions in line with a new pubkey list
+ * Only batches that lost a pubkey are reopened, and new pubkeys fill up the last batch before
+ * getting batches of their own, so a user registering doesn't tear down everyone else's
+ * subscriptions or leave a trail of one-pubkey batches.
+ */
+function syncStream(name, pubkeys) {
+  const state = streamState.get(name) || { pubkeys: new Set(), batches: [] };
+  streamState.set(name, state);
   
-  zapSub.on('event', async (event) => {
-    // Find which user received the zap
-    for (const tag of event.tags) {
-      if (tag[0] === 'p') {
-        const zappedPubkey = tag[1];
-        const npub = Object.keys(Object.fromEntries(userNpubs)).find(npub => 
-          npubToHex(npub) === zappedPubkey
-        );
-        
-        if (npub) {
-          const userId = userNpubs.get(npub);
-          await processZap(event, userId);
-        }
+  const next = new Set(pubkeys);
+  const added = pubkeys.filter(pubkey => !state.pubkeys.has(pubkey));
+  const removed = new Set([...state.pubkeys].filter(pubkey => !next.has(pubkey)));
+  
+  if (added.length === 0 && removed.size === 0) return;
+  
+  const isInitial = state.pubkeys.size === 0;
+  
+  // Reopen batches that contain a removed pubkey, resuming from the cursor
+  if (removed.size > 0) {
+    const kept = [];
+    for (const batch of state.batches) {
+      if (!batch.pubkeys.some(pubkey => removed.has(pubkey))) {
+        kept.push(batch);
+        continue;
+      }
+      
+      closeBatch(batch);
+      const remaining = batch.pubkeys.filter(pubkey => !removed.has(pubkey));
+      if (remaining.length > 0) {
+        kept.push(openBatch(name, remaining, null));
       }
     }
-  });
+    state.batches = kept;
+  }
   
-  activeSubscriptions.push(zapSub);
+  // New pubkeys have no history under the stream's cursor, so they get the default lookback
+  if (added.length > 0) {
+    const since = isInitial ? null : Math.floor(Date.now() / 1000) - STREAMS[name].lookbackSeconds;
+    const last = state.batches[state.batches.length - 1];
+    let rest = added;
+    
+    if (last && last.pubkeys.length < FILTER_CHUNK_SIZE) {
+      const merged = added.slice(0, FILTER_CHUNK_SIZE - last.pubkeys.length);
+      rest = added.slice(merged.length);
+      
+      closeBatch(last);
+      state.batches[state.batches.length - 1] = openBatch(
+        name, [...last.pubkeys, ...merged], null, { pubkeys: new Set(merged), since }
+      );
+    }
+    
+    state.batches.push(...openBatches(name, rest, since));
+  }
   
-  console.log('✅ Subscribed to Nostr events');
+  state.pubkeys = next;
+  
+  if (state.batches.length > MAX_BATCHES_PER_STREAM &&
+      state.batches.length > Math.ceil(next.size / FILTER_CHUNK_SIZE)) {
+    state.batches.forEach(closeBatch);
+    state.batches = openBatches(name, pubkeys, null);
+  }
+  
+  console.log(`[${name}] +${added.length} / -${removed.size} pubkeys, ${state.batches.length} batch(es)`);
+}
+
+/**
+ * Pick the relays to listen on from NIP-65 relay lists, within the connection budget
+ * Users are heard on their read relays, everyone we follow the output of on their write relays
+ */
+async function selectRelays(userPubkeys, authorPubkeys) {
+  try {
+    await relayDiscovery.getRelayLists([...userPubkeys, ...authorPubkeys]);
+  } catch (error) {
+    console.error('Failed to load relay lists:', error.message);
+  }
+  
+  allowedRelays = relayDiscovery.selectRelays([
+    ...userPubkeys.map(pubkey => relayDiscovery.relaysOf(pubkey, 'read')),
+    ...authorPubkeys.map(pubkey => relayDiscovery.relaysOf(pubkey, 'write'))
+  ]);
+  
+  console.log(`Listening on up to ${allowedRelays.size} relays`);
+}
+
+/**
+ * Subscribe to events for all users
+ * Safe to call repeatedly - only user-list changes touch the relay subscriptions
+ */
+async function subscribeToEvents() {
+  const pubkeys = await loadUsers();
+  const followerPubkeys = await loadFollowerPubkeys();
+  const deletionAuthors = await loadDeletionAuthors();
+  
+  if (pubkeys.length === 0) {
+    console.log('No users to monitor. Waiting...');
+  }
+  
+  await selectRelays(pubkeys, [...(followerPubkeys || []), ...(deletionAuthors || [])]);
+  
+  for (const name of Object.keys(STREAMS)) {
+    if (name === 'contacts') {
+      // Keep the current follower subscriptions if the lookup failed
+      if (followerPubkeys) syncStream(name, followerPubkeys);
+    } else if (name === 'deletions') {
+      if (deletionAuthors) syncStream(name, [...new Set([...pubkeys, ...deletionAuthors])]);
+    } else {
+      syncStream(name, pubkeys);
+    }
+  }
+}
+
+/**
+ * Close every relay subscription
+ */
+function closeAllSubscriptions() {
+  for (const state of streamState.values()) {
+    state.batches.forEach(closeBatch);
+  }
+  streamState.clear();
 }
 
 /**
@@ -296,26 +892,52 @@ async function subscribeToEvents() {
 async function periodicReload() {
   console.log('🔄 Reloading user list...');
   await subscribeToEvents();
+  await profileCache.refreshStaleProfiles();
 }
 
+// Intervals started by start(), cleared by stop()
+const timers = [];
+
 /**
  * Start the relay listener
  */
 async function start() {
   console.log('🦞 Deep Claw Analytics Relay Listener Starting...');
-  console.log(`Monitoring relays: ${config.nostr.relays.join(', ')}`);
+  console.log(`Default relays: ${config.nostr.relays.join(', ')}`);
   
+  await relayCursors.loadCursors();
   await subscribeToEvents();
+  console.log('✅ Subscribed to Nostr events');
   
   // Reload users every 5 minutes
-  setInterval(periodicReload, 5 * 60 * 1000);
+  timers.push(setInterval(periodicReload, 5 * 60 * 1000));
+  
+  // Persist cursors every 30 seconds
+  timers.push(setInterval(relayCursors.flushCursors, 30 * 1000));
+  
+  // Retry failed webhook deliveries and flush batches
+  webhookQueue.startWorker();
+}
+
+/**
+ * Close every subscription and persist cursors and stats
+ */
+async function stop() {
+  timers.forEach(clearInterval);
+  timers.length = 0;
+  webhookQueue.stopWorker();
+
+  closeAllSubscriptions();
+  relayClient.closeAll();
+  await relayCursors.flushCursors();
+  await eventValidation.flushRejections();
+  await relayHealth.flushHealth();
 }
 
 // Handle graceful shutdown
-process.on('SIGINT', () => {
+process.on('SIGINT', async () => {
   console.log('\nShutting down relay listener...');
-  activeSubscriptions.forEach(sub => sub.unsub());
-  pool.close(config.nostr.relays);
+  await stop();
   process.exit(0);
 });
 
@@ -324,4 +946,4 @@ if (require.main === module) {
   start().catch(console.error);
 }
 
-module.exports = { start, loadUsers };
+module.exports = { start, stop, loadUsers };
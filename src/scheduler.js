@@ -0,0 +1,136 @@
+/**
+ * Summary Scheduler
+ * Sends daily summaries and weekly digests at each user's local summary hour
+ * Run as its own process: npm run scheduler:start
+ */
+
+const cron = require('node-cron');
+const config = require('./config');
+const db = require('./db');
+const webhookSender = require('./webhook-sender');
+const webhookQueue = require('./webhook-queue');
+
+const tasks = [];
+let running = false;
+
+/**
+ * Check a timezone name is a valid IANA zone (e.g. "Europe/Berlin")
+ * It must be known to Postgres as well, which runs the AT TIME ZONE conversions below:
+ * its tz database can differ from Node's, and an unknown zone would fail every claim query.
+ */
+async function isValidTimezone(timezone) {
+  if (typeof timezone !== 'string' || timezone.length === 0) return false;
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+  } catch {
+    return false;
+  }
+
+  const result = await db.query(
+    'SELECT EXISTS (SELECT 1 FROM pg_timezone_names WHERE name = $1) AS known',
+    [timezone]
+  );
+  return result.rows[0].known;
+}
+
+/**
+ * Claim users whose daily summary is due: past their summary hour, not sent yet today (local time)
+ * Claiming first means two schedulers never send the same summary twice.
+ * @returns {Promise<Array>} - [{ id, local_date }]
+ */
+async function claimDailySummaries() {
+  const result = await db.query(
+    `UPDATE users
+     SET last_daily_summary_on = (NOW() AT TIME ZONE timezone)::date
+     WHERE daily_summary_enabled
+       AND EXTRACT(HOUR FROM NOW() AT TIME ZONE timezone) >= summary_hour
+       AND (last_daily_summary_on IS NULL OR last_daily_summary_on < (NOW() AT TIME ZONE timezone)::date)
+     RETURNING id, last_daily_summary_on::text AS local_date`
+  );
+
+  return result.rows;
+}
+
+/**
+ * Claim users whose weekly digest is due: their digest day, past their summary hour
+ * @returns {Promise<Array>} - [{ id, local_date }]
+ */
+async function claimWeeklyDigests() {
+  const result = await db.query(
+    `UPDATE users
+     SET last_weekly_digest_on = (NOW() AT TIME ZONE timezone)::date
+     WHERE weekly_digest_enabled
+       AND EXTRACT(DOW FROM NOW() AT TIME ZONE timezone) = weekly_digest_day
+       AND EXTRACT(HOUR FROM NOW() AT TIME ZONE timezone) >= summary_hour
+       AND (last_weekly_digest_on IS NULL OR last_weekly_digest_on < (NOW() AT TIME ZONE timezone)::date)
+     RETURNING id, last_weekly_digest_on::text AS local_date`
+  );
+
+  return result.rows;
+}
+
+/**
+ * Send everything that's due
+ */
+async function runDueSummaries() {
+  if (running) return;
+  running = true;
+
+  try {
+    const daily = await claimDailySummaries();
+
+    for (const user of daily) {
+      await webhookSender.sendDailySummary(user.id, user.local_date);
+      // Small delay to avoid hammering
+      await new Promise(resolve => setTimeout(resolve, 1000));
+    }
+
+    const weekly = await claimWeeklyDigests();
+
+    for (const user of weekly) {
+      await webhookSender.sendWeeklyDigest(user.id, user.local_date);
+      await new Promise(resolve => setTimeout(resolve, 1000));
+    }
+
+    if (daily.length > 0 || weekly.length > 0) {
+      console.log(`📊 Sent ${daily.length} daily summaries and ${weekly.length} weekly digests`);
+    }
+  } catch (error) {
+    console.error('Failed to send summaries:', error);
+  } finally {
+    running = false;
+  }
+}
+
+function start() {
+  console.log('🦞 Deep Claw Analytics Summary Scheduler Starting...');
+  console.log(`Checking for due summaries on "${config.summaries.checkCron}"`);
+
+  tasks.push(cron.schedule(config.summaries.checkCron, runDueSummaries));
+
+  // Retry summaries that failed and flush batches, like the other processes
+  webhookQueue.startWorker();
+
+  // Catch up on anything that came due while we were down
+  runDueSummaries();
+}
+
+function stop() {
+  tasks.forEach(task => task.stop());
+  tasks.length = 0;
+  webhookQueue.stopWorker();
+}
+
+// Start if run directly
+if (require.main === module) {
+  process.on('SIGINT', () => {
+    console.log('\nShutting down summary scheduler...');
+    stop();
+    process.exit(0);
+  });
+
+  start();
+}
+
+module.exports = { start, stop, runDueSummaries, isValidTimezone };
@@ -16,6 +16,18 @@ const networkScanner = require('./network-scanner');
 const agentApi = require('./agent-api');
 const hashtagAnalytics = require('./hashtag-analytics');
 const growthMetrics = require('./growth-metrics');
+const postTracker = require('./post-tracker');
+const eventValidation = require('./event-validation');
+const relayHealth = require('./relay-health');
+const relayClient = require('./relay-client');
+const webhookApi = require('./webhook-api');
+const webhookSubscriptions = require('./webhook-subscriptions');
+const webhookCircuit = require('./webhook-circuit');
+const nostrDm = require('./nostr-dm');
+const nip19 = require('./nip19');
+const registrationChallenge = require('./registration-challenge');
+const scheduler = require('./scheduler');
+const webhookQueue = require('./webhook-queue');
 
 const app = express();
 
@@ -33,19 +45,128 @@ app.get('/health', (req, res) => {
 // PUBLIC ENDPOINTS (No auth required)
 // ========================================
 
+/**
+ * Origin registration challenges are bound to: PUBLIC_URL, or where this request was sent
+ */
+function serviceOrigin(req) {
+  return config.server.publicUrl || `${req.protocol}://${req.get('host')}`;
+}
+
+/**
+ * Issue a registration challenge
+ * POST /auth/challenge { npub }
+ * The client signs it into the auth_event that POST /auth/register requires
+ */
+app.post('/auth/challenge', async (req, res) => {
+  try {
+    let pubkey;
+    try {
+      pubkey = nip19.normalizePubkey(req.body.npub);
+    } catch (error) {
+      return res.status(400).json({
+        error: 'Invalid npub',
+        message: 'npub must be a valid npub or 64-character hex pubkey'
+      });
+    }
+    
+    const { challenge, expires_at } = await registrationChallenge.issueChallenge(pubkey);
+    const origin = serviceOrigin(req);
+    
+    res.json({
+      challenge,
+      origin,
+      pubkey,
+      kind: registrationChallenge.CHALLENGE_KIND,
+      tags: [['challenge', challenge], ['u', origin]],
+      expires_at,
+      message: `Sign a kind ${registrationChallenge.CHALLENGE_KIND} event with the tags ["challenge", "${challenge}"] ` +
+        `and ["u", "${origin}"], and send it as auth_event to POST /auth/register`
+    });
+    
+  } catch (error) {
+    console.error('Challenge error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to issue challenge'
+    });
+  }
+});
+
 /**
  * Register new user
  * POST /auth/register
+ * auth_event proves the caller holds the npub's key (see POST /auth/challenge)
+ * Agents without a public endpoint can pass delivery: 'nostr_dm' instead of webhook_url
+ * to receive notifications as encrypted DMs (to dm_pubkey, default the npub itself)
  */
 app.post('/auth/register', async (req, res) => {
   try {
-    const { npub, email, webhook_url, webhook_secret } = req.body;
+    const { npub, email, webhook_url, webhook_secret, delivery, dm_pubkey, dm_protocol, auth_event } = req.body;
+    const dmDelivery = delivery === 'nostr_dm';
     
     // Validate required fields
-    if (!npub || !webhook_url) {
+    if (!npub || !auth_event || (!webhook_url && !dmDelivery)) {
       return res.status(400).json({
         error: 'Missing required fields',
-        message: 'npub and webhook_url are required'
+        message: 'npub, auth_event and webhook_url (or delivery: "nostr_dm") are required'
+      });
+    }
+    
+    // Stored as hex, whichever form was sent
+    let pubkey;
+    try {
+      pubkey = nip19.normalizePubkey(npub);
+    } catch (error) {
+      return res.status(400).json({
+        error: 'Invalid npub',
+        message: `npub must be a valid npub or 64-character hex pubkey (${error.message})`
+      });
+    }
+    
+    let dm = null;
+    
+    if (dmDelivery) {
+      if (!nostrDm.isConfigured()) {
+        return res.status(400).json({
+          error: 'Nostr DM delivery unavailable',
+          message: 'This server has no service key; register with a webhook_url instead'
+        });
+      }
+      
+      let dmPubkey;
+      try {
+        dmPubkey = dm_pubkey ? nip19.normalizePubkey(dm_pubkey) : pubkey;
+      } catch (error) {
+        return res.status(400).json({
+          error: 'Invalid dm_pubkey',
+          message: 'dm_pubkey must be an npub or 64-character hex pubkey'
+        });
+      }
+      
+      if (dm_protocol !== undefined && !nostrDm.PROTOCOLS.includes(dm_protocol)) {
+        return res.status(400).json({
+          error: 'Invalid dm_protocol',
+          message: `dm_protocol must be one of ${nostrDm.PROTOCOLS.join(', ')}`
+        });
+      }
+      
+      dm = { pubkey: dmPubkey, protocol: dm_protocol };
+    }
+    
+    // Older accounts may be stored under either form
+    const existing = await db.query('SELECT 1 FROM users WHERE npub = ANY($1)', [[pubkey, nip19.npubEncode(pubkey)]]);
+    if (existing.rows.length > 0) {
+      return res.status(409).json({
+        error: 'User already exists',
+        message: 'This npub is already registered'
+      });
+    }
+    
+    const proof = await registrationChallenge.verifyChallenge(auth_event, pubkey, serviceOrigin(req));
+    if (!proof.valid) {
+      return res.status(401).json({
+        error: 'Ownership not proven',
+        message: proof.reason
       });
     }
     
@@ -58,21 +179,31 @@ app.post('/auth/register', async (req, res) => {
       `INSERT INTO users (npub, email, webhook_url, webhook_secret, api_token)
        VALUES ($1, $2, $3, $4, $5)
        RETURNING id, npub, email, webhook_url, api_token, tier, created_at`,
-      [npub, email || null, webhook_url, generatedSecret, apiToken]
+      [pubkey, email || null, webhook_url || null, generatedSecret, apiToken]
     );
     
     const user = result.rows[0];
     
+    // Primary webhook subscription receives every event type
+    const primary = await webhookSubscriptions.upsertPrimary(user.id, webhook_url || null, generatedSecret, dm);
+    
+    // Backfill recent notes in the background so metrics aren't empty on day one
+    postTracker.backfillUserPosts(user.id, pubkey)
+      .catch(error => console.error(`Post backfill failed for user ${user.id}:`, error.message));
+    
     res.status(201).json({
       success: true,
       user: {
         id: user.id,
-        npub: user.npub,
+        npub: nip19.npubEncode(user.npub),
+        pubkey: user.npub,
         email: user.email,
         webhook_url: user.webhook_url,
+        delivery: primary.channel,
         tier: user.tier,
         created_at: user.created_at
       },
+      ...(dm && { nostr_dm: { pubkey: dm.pubkey, protocol: primary.dm_protocol, service_pubkey: nostrDm.servicePubkey() } }),
       credentials: {
         api_token: user.api_token,
         webhook_secret: generatedSecret
@@ -104,18 +235,37 @@ app.post('/auth/register', async (req, res) => {
  * Get current user info
  * GET /auth/me
  */
-app.get('/auth/me', auth.authenticate, (req, res) => {
-  const { id, npub, email, webhook_url, tier, created_at, last_active } = req.user;
-  
-  res.json({
-    id,
-    npub,
-    email,
-    webhook_url,
-    tier,
-    created_at,
-    last_active
-  });
+app.get('/auth/me', auth.authenticate, async (req, res) => {
+  try {
+    const { id, npub, email, webhook_url, tier, created_at, last_active, settings } = req.user;
+    const { timezone, daily_summary_enabled, weekly_digest_enabled, summary_hour, weekly_digest_day } = req.user;
+    
+    res.json({
+      id,
+      npub,
+      email,
+      webhook_url,
+      notify_deletions: settings?.notify_deletions === true,
+      webhook_endpoints: await webhookCircuit.getEndpointStates(id),
+      summaries: {
+        timezone,
+        daily_summary: daily_summary_enabled,
+        weekly_digest: weekly_digest_enabled,
+        summary_hour,
+        weekly_digest_day
+      },
+      tier,
+      created_at,
+      last_active
+    });
+    
+  } catch (error) {
+    console.error('Get user error:', error);
+    res.status(500).json({
+      error: 'Failed to get user',
+      message: error.message
+    });
+  }
 });
 
 /**
@@ -124,7 +274,7 @@ app.get('/auth/me', auth.authenticate, (req, res) => {
  */
 app.put('/auth/webhook', auth.authenticate, async (req, res) => {
   try {
-    const { webhook_url, webhook_secret } = req.body;
+    const { webhook_url, webhook_secret, notify_deletions } = req.body;
     const userId = req.user.id;
     
     const updates = [];
@@ -141,20 +291,38 @@ app.put('/auth/webhook', auth.authenticate, async (req, res) => {
       values.push(webhook_secret);
     }
     
+    // Opt in/out of 'deleted' webhooks
+    if (typeof notify_deletions === 'boolean') {
+      updates.push(`settings = COALESCE(settings, '{}'::jsonb) || jsonb_build_object('notify_deletions', $${paramCount++}::boolean)`);
+      values.push(notify_deletions);
+    }
+    
     if (updates.length === 0) {
       return res.status(400).json({
         error: 'No updates provided',
-        message: 'Provide webhook_url and/or webhook_secret'
+        message: 'Provide webhook_url, webhook_secret and/or notify_deletions'
       });
     }
     
     values.push(userId);
     
-    await db.query(
-      `UPDATE users SET ${updates.join(', ')} WHERE id = $${paramCount}`,
+    const updated = await db.query(
+      `UPDATE users SET ${updates.join(', ')} WHERE id = $${paramCount}
+       RETURNING webhook_url, webhook_secret`,
       values
     );
     
+    // Keep the primary subscription in step; a new URL also switches it back from DMs to the webhook
+    if (webhook_url) {
+      const { webhook_url: url, webhook_secret: secret } = updated.rows[0];
+      await webhookSubscriptions.upsertPrimary(userId, url, secret);
+    } else if (webhook_secret) {
+      await db.query(
+        'UPDATE webhook_subscriptions SET secret = $2, updated_at = NOW() WHERE user_id = $1 AND is_primary',
+        [userId, webhook_secret]
+      );
+    }
+    
     res.json({
       success: true,
       message: 'Webhook configuration updated'
@@ -169,6 +337,93 @@ app.put('/auth/webhook', auth.authenticate, async (req, res) => {
   }
 });
 
+/**
+ * Update summary schedule
+ * PUT /auth/summaries
+ * Body: any of { timezone, daily_summary, weekly_digest, summary_hour, weekly_digest_day }
+ */
+app.put('/auth/summaries', auth.authenticate, async (req, res) => {
+  try {
+    const { timezone, daily_summary, weekly_digest, summary_hour, weekly_digest_day } = req.body;
+    
+    const updates = [];
+    const values = [];
+    let paramCount = 1;
+    
+    if (timezone !== undefined) {
+      if (!(await scheduler.isValidTimezone(timezone))) {
+        return res.status(400).json({
+          error: 'Invalid timezone',
+          message: 'Use an IANA timezone name, e.g. "Europe/Berlin"'
+        });
+      }
+      updates.push(`timezone = $${paramCount++}`);
+      values.push(timezone);
+    }
+    
+    if (typeof daily_summary === 'boolean') {
+      updates.push(`daily_summary_enabled = $${paramCount++}`);
+      values.push(daily_summary);
+    }
+    
+    if (typeof weekly_digest === 'boolean') {
+      updates.push(`weekly_digest_enabled = $${paramCount++}`);
+      values.push(weekly_digest);
+    }
+    
+    if (summary_hour !== undefined) {
+      if (!Number.isInteger(summary_hour) || summary_hour < 0 || summary_hour > 23) {
+        return res.status(400).json({ error: 'Invalid summary_hour', message: 'Use an hour from 0 to 23' });
+      }
+      updates.push(`summary_hour = $${paramCount++}`);
+      values.push(summary_hour);
+    }
+    
+    if (weekly_digest_day !== undefined) {
+      if (!Number.isInteger(weekly_digest_day) || weekly_digest_day < 0 || weekly_digest_day > 6) {
+        return res.status(400).json({ error: 'Invalid weekly_digest_day', message: 'Use 0 (Sunday) to 6 (Saturday)' });
+      }
+      updates.push(`weekly_digest_day = $${paramCount++}`);
+      values.push(weekly_digest_day);
+    }
+    
+    if (updates.length === 0) {
+      return res.status(400).json({
+        error: 'No updates provided',
+        message: 'Provide timezone, daily_summary, weekly_digest, summary_hour and/or weekly_digest_day'
+      });
+    }
+    
+    values.push(req.user.id);
+    
+    const updated = await db.query(
+      `UPDATE users SET ${updates.join(', ')} WHERE id = $${paramCount}
+       RETURNING timezone, daily_summary_enabled, weekly_digest_enabled, summary_hour, weekly_digest_day`,
+      values
+    );
+    
+    const user = updated.rows[0];
+    
+    res.json({
+      success: true,
+      summaries: {
+        timezone: user.timezone,
+        daily_summary: user.daily_summary_enabled,
+        weekly_digest: user.weekly_digest_enabled,
+        summary_hour: user.summary_hour,
+        weekly_digest_day: user.weekly_digest_day
+      }
+    });
+    
+  } catch (error) {
+    console.error('Summary settings error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to update summary settings'
+    });
+  }
+});
+
 /**
  * Get metrics summary
  * GET /metrics/summary
@@ -179,7 +434,7 @@ app.get('/metrics/summary', auth.authenticate, auth.rateLimit, async (req, res)
     
     // Get follower count
     const followersResult = await db.query(
-      'SELECT COUNT(*) as count FROM followers WHERE user_id = $1',
+      'SELECT COUNT(*) as count FROM followers WHERE user_id = $1 AND unfollowed_at IS NULL',
       [userId]
     );
     
@@ -253,28 +508,50 @@ app.get('/metrics/followers', auth.authenticate, auth.rateLimit, async (req, res
     }
     
     const result = await db.query(
-      `SELECT 
-         DATE(followed_at) as date,
-         COUNT(*) as new_followers
-       FROM followers
-       WHERE user_id = $1 AND followed_at > NOW() - INTERVAL '${interval}'
-       GROUP BY DATE(followed_at)
+      `WITH gains AS (
+         SELECT DATE(followed_at) as date, COUNT(*) as count
+         FROM followers
+         WHERE user_id = $1 AND followed_at > NOW() - INTERVAL '${interval}'
+         GROUP BY DATE(followed_at)
+       ),
+       losses AS (
+         SELECT DATE(unfollowed_at) as date, COUNT(*) as count
+         FROM followers
+         WHERE user_id = $1 AND unfollowed_at > NOW() - INTERVAL '${interval}'
+         GROUP BY DATE(unfollowed_at)
+       )
+       SELECT 
+         COALESCE(g.date, l.date) as date,
+         COALESCE(g.count, 0) as new_followers,
+         COALESCE(l.count, 0) as lost_followers
+       FROM gains g
+       FULL OUTER JOIN losses l ON l.date = g.date
        ORDER BY date ASC`,
       [userId]
     );
     
     const totalResult = await db.query(
-      'SELECT COUNT(*) as total FROM followers WHERE user_id = $1',
+      'SELECT COUNT(*) as total FROM followers WHERE user_id = $1 AND unfollowed_at IS NULL',
       [userId]
     );
     
+    const dailyBreakdown = result.rows.map(row => ({
+      date: row.date,
+      new_followers: parseInt(row.new_followers),
+      lost_followers: parseInt(row.lost_followers),
+      net_growth: parseInt(row.new_followers) - parseInt(row.lost_followers)
+    }));
+    
+    const gained = dailyBreakdown.reduce((sum, d) => sum + d.new_followers, 0);
+    const lost = dailyBreakdown.reduce((sum, d) => sum + d.lost_followers, 0);
+    
     res.json({
       period,
       total_followers: parseInt(totalResult.rows[0].total),
-      daily_breakdown: result.rows.map(row => ({
-        date: row.date,
-        new_followers: parseInt(row.new_followers)
-      }))
+      gained,
+      lost,
+      net_growth: gained - lost,
+      daily_breakdown: dailyBreakdown
     });
     
   } catch (error) {
@@ -362,13 +639,17 @@ app.get('/network/top-engagers', auth.authenticate, auth.rateLimit, async (req,
     
     const result = await db.query(
       `SELECT 
-         engager_npub,
-         engager_name,
-         interactions,
-         last_interaction
-       FROM engagers
-       WHERE user_id = $1
-       ORDER BY interactions DESC
+         e.engager_npub,
+         COALESCE(p.display_name, p.name, e.engager_name) as engager_name,
+         p.picture,
+         p.about,
+         p.nip05,
+         e.interactions,
+         e.last_interaction
+       FROM engagers e
+       LEFT JOIN profiles p ON p.pubkey = e.engager_npub
+       WHERE e.user_id = $1
+       ORDER BY e.interactions DESC
        LIMIT $2`,
       [userId, limit]
     );
@@ -377,6 +658,9 @@ app.get('/network/top-engagers', auth.authenticate, auth.rateLimit, async (req,
       top_engagers: result.rows.map(e => ({
         npub: e.engager_npub,
         name: e.engager_name,
+        picture: e.picture,
+        about: e.about,
+        nip05: e.nip05,
         interactions: e.interactions,
         last_interaction: e.last_interaction
       }))
@@ -585,6 +869,116 @@ app.post('/admin/scan-network', auth.authenticate, async (req, res) => {
   }
 });
 
+/**
+ * Backfill the user's own notes and their engagement into the posts table
+ * POST /admin/backfill-posts
+ */
+app.post('/admin/backfill-posts', auth.authenticate, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const days = parseInt(req.body.days) || 30;
+    
+    if (days < 1 || days > 365) {
+      return res.status(400).json({
+        error: 'Invalid days',
+        message: 'days must be between 1 and 365'
+      });
+    }
+    
+    console.log(`[API] Starting post backfill for user ${userId} (${days} days)`);
+    
+    const result = await postTracker.backfillUserPosts(
+      userId,
+      networkScanner.npubToPubkey(req.user.npub),
+      days
+    );
+    
+    res.json({
+      message: 'Post backfill complete',
+      ...result
+    });
+    
+  } catch (error) {
+    console.error('Post backfill error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to backfill posts: ' + error.message
+    });
+  }
+});
+
+/**
+ * Relay health: latency, EOSE time, error rate, yield and duplicate ratio
+ * GET /relays/health?hours=24
+ */
+app.get('/relays/health', auth.authenticate, async (req, res) => {
+  try {
+    const hours = parseInt(req.query.hours) || 24;
+    
+    if (hours < 1 || hours > 168) {
+      return res.status(400).json({
+        error: 'Invalid hours',
+        message: 'hours must be between 1 and 168'
+      });
+    }
+    
+    const [relays, rejections] = await Promise.all([
+      relayHealth.getHealth(hours),
+      eventValidation.getRejectionStats()
+    ]);
+    
+    const rejectedByRelay = new Map(rejections.map(relay => [relay.relay, relay.total]));
+    const connections = new Map(relayClient.getConnectionStats().map(stats => [stats.relay, stats]));
+    
+    res.json({
+      period_hours: hours,
+      relays: relays.map(relay => ({
+        ...relay,
+        rejected_events: rejectedByRelay.get(relay.relay) || 0,
+        connection: connections.get(relay.relay) || null
+      })),
+      summary: {
+        healthy: relays.filter(relay => relay.status === 'healthy').length,
+        degraded: relays.filter(relay => relay.status === 'degraded').length,
+        failing: relays.filter(relay => relay.status === 'failing').length,
+        unknown: relays.filter(relay => relay.status === 'unknown').length
+      }
+    });
+    
+  } catch (error) {
+    console.error('Relay health error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to fetch relay health'
+    });
+  }
+});
+
+/**
+ * Events rejected per relay for failing id/signature validation
+ * GET /relays/rejections
+ */
+app.get('/relays/rejections', auth.authenticate, async (req, res) => {
+  try {
+    // Include anything this process hasn't written yet
+    await eventValidation.flushRejections();
+    
+    const relays = await eventValidation.getRejectionStats();
+    
+    res.json({
+      relays,
+      total_rejected: relays.reduce((sum, relay) => sum + relay.total, 0)
+    });
+    
+  } catch (error) {
+    console.error('Relay rejections error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to fetch relay rejections'
+    });
+  }
+});
+
 /**
  * Quick scan - get activity distribution without storing (faster)
  * GET /metrics/timing/quick-scan?npub=...&period=30d&mode=both
@@ -720,6 +1114,80 @@ app.post('/events/acknowledge', auth.authenticate, growthMetrics.acknowledgeEven
  */
 app.get('/metrics/growth', auth.authenticate, growthMetrics.getGrowthMetrics);
 
+// ========================================
+// WEBHOOK SUBSCRIPTION & DELIVERY ENDPOINTS
+// ========================================
+
+/**
+ * GET /webhooks/subscriptions
+ * List webhook endpoints and the event types they receive
+ */
+app.get('/webhooks/subscriptions', auth.authenticate, webhookApi.listSubscriptions);
+
+/**
+ * POST /webhooks/subscriptions
+ * Add a webhook endpoint
+ */
+app.post('/webhooks/subscriptions', auth.authenticate, webhookApi.createSubscription);
+
+/**
+ * GET /webhooks/subscriptions/:id
+ */
+app.get('/webhooks/subscriptions/:id', auth.authenticate, webhookApi.getSubscription);
+
+/**
+ * PUT /webhooks/subscriptions/:id
+ * Change URL, secret, event types, enabled flag or description
+ */
+app.put('/webhooks/subscriptions/:id', auth.authenticate, webhookApi.updateSubscription);
+
+/**
+ * DELETE /webhooks/subscriptions/:id
+ */
+app.delete('/webhooks/subscriptions/:id', auth.authenticate, webhookApi.deleteSubscription);
+
+/**
+ * POST /webhooks/subscriptions/:id/enable
+ * Close a tripped circuit and flush the endpoint's held deliveries
+ */
+app.post('/webhooks/subscriptions/:id/enable', auth.authenticate, webhookApi.enableSubscription);
+
+/**
+ * GET /webhooks/dead-letter
+ * Deliveries that ran out of retries
+ */
+app.get('/webhooks/dead-letter', auth.authenticate, webhookApi.listDeadLetters);
+
+/**
+ * POST /webhooks/dead-letter/redeliver
+ * Requeue every dead-lettered delivery to the current webhook URL
+ */
+app.post('/webhooks/dead-letter/redeliver', auth.authenticate, webhookApi.redeliverAll);
+
+/**
+ * POST /webhooks/dead-letter/:deliveryId/redeliver
+ * Redeliver one dead-lettered delivery now
+ */
+app.post('/webhooks/dead-letter/:deliveryId/redeliver', auth.authenticate, webhookApi.redeliverOne);
+
+/**
+ * POST /webhooks/test
+ * Send a signed sample of each event type and report response code, latency and signature
+ */
+app.post('/webhooks/test', auth.authenticate, auth.rateLimit, webhookApi.testSubscription);
+
+/**
+ * GET /webhooks/deliveries
+ * Delivery log filtered by status, event type, subscription and date
+ */
+app.get('/webhooks/deliveries', auth.authenticate, webhookApi.listDeliveries);
+
+/**
+ * GET /webhooks/deliveries/:deliveryId
+ * Inspect a delivery's payload and last response
+ */
+app.get('/webhooks/deliveries/:deliveryId', auth.authenticate, webhookApi.getDelivery);
+
 // ========================================
 // Error handler
 // ========================================
@@ -737,6 +1205,9 @@ const PORT = config.server.port;
 app.listen(PORT, () => {
   console.log(`🦞 Deep Claw Analytics API running on port ${PORT}`);
   console.log(`Environment: ${config.server.env}`);
+
+  // Retries, batch flushes and requeued dead letters also go out where only the API runs
+  webhookQueue.startWorker();
 });
 
 module.exports = app;
@@ -0,0 +1,281 @@
+#!/usr/bin/env node
+
+/**
+ * Test Webhook
+ * Sends a signed sample of each event type to an endpoint and reports how it answered.
+ * Samples are sent directly: they aren't queued, retried or logged in webhook_logs.
+ *
+ * Usage: npm run webhook:test -- <url> <secret> [--format native|cloudevents|slack|discord] [event_type ...]
+ */
+
+const crypto = require('crypto');
+const config = require('./config');
+const webhookSignature = require('./webhook-signature');
+const webhookSubscriptions = require('./webhook-subscriptions');
+const webhookFormats = require('./webhook-formats');
+
+const RESPONSE_BODY_LIMIT = 500;
+
+// Made-up accounts and notes used in the samples
+const SAMPLE_PUBKEY = '3bf0c63fcb93463407af97a5e5ee64fa883d107ef9e558472c4eb9aaaefa459d';
+const SAMPLE_NOTE_ID = 'b1a649ebe8b435ec71d3784793f3bbf4b93e64e17568a741aecd4c7ddeafce30';
+const SAMPLE_REPLY_ID = '6b2c5e5b4b25e9e4ab6a0f3b1a0c1d6e9f7c2a1b3d4e5f60718293a4b5c6d7e8';
+
+function sampleAccount(name) {
+  return {
+    npub: SAMPLE_PUBKEY,
+    display_name: name,
+    picture: null,
+    nip05: null
+  };
+}
+
+/**
+ * A payload shaped like the real one for each event type (see webhook-sender)
+ * 'batch' is the envelope batched/digest subscriptions receive (see webhook-queue)
+ */
+function samplePayload(eventType) {
+  const now = Math.floor(Date.now() / 1000);
+  const today = new Date().toISOString().split('T')[0];
+
+  if (eventType === 'batch') {
+    const events = ['reaction', 'reply'].map(type => ({
+      event_type: type,
+      timestamp: now,
+      ...samplePayload(type),
+      delivery_id: crypto.randomUUID()
+    }));
+
+    return { mode: 'batched', count: events.length, events };
+  }
+
+  const samples = {
+    mention: {
+      author: sampleAccount('Sample Mentioner'),
+      content: 'Testing Deep Claw webhooks, hello nostr:npub1...',
+      note_id: SAMPLE_REPLY_ID,
+      created_at: now
+    },
+    reply: {
+      author: sampleAccount('Sample Replier'),
+      content: 'This is a sample reply',
+      note_id: SAMPLE_REPLY_ID,
+      reply_to: { note_id: SAMPLE_NOTE_ID, root_id: SAMPLE_NOTE_ID, content: 'Your original note' },
+      created_at: now
+    },
+    new_follower: {
+      follower: sampleAccount('Sample Follower'),
+      total_followers: 42
+    },
+    unfollow: {
+      follower: sampleAccount('Sample Unfollower'),
+      unfollowed_at: now,
+      total_followers: 41
+    },
+    zap: {
+      from: sampleAccount('Sample Zapper'),
+      amount_sats: 21,
+      message: 'Sample zap',
+      note_id: SAMPLE_NOTE_ID,
+      receipt_id: SAMPLE_REPLY_ID
+    },
+    reaction: {
+      from: sampleAccount('Sample Reactor'),
+      emoji: '🤙',
+      note_id: SAMPLE_NOTE_ID,
+      reaction_id: SAMPLE_REPLY_ID,
+      created_at: now
+    },
+    repost: {
+      from: sampleAccount('Sample Reposter'),
+      note_id: SAMPLE_NOTE_ID,
+      repost_id: SAMPLE_REPLY_ID,
+      created_at: now
+    },
+    deleted: {
+      from: sampleAccount('Sample Replier'),
+      deletion_id: SAMPLE_REPLY_ID,
+      reason: 'Sample deletion',
+      deleted_events: [{ event_id: SAMPLE_REPLY_ID, event_type: 'reply', note_id: SAMPLE_NOTE_ID }],
+      deleted_posts: [],
+      created_at: now
+    },
+    daily_summary: {
+      date: today,
+      stats: {
+        new_followers: 3, lost_followers: 1, total_followers: 42, posts: 2,
+        likes: 17, reposts: 4, replies: 6, zaps_sats: 2100
+      }
+    },
+    weekly_digest: {
+      week_ending: today,
+      stats: {
+        total_followers: 42,
+        new_followers: { current: 9, previous: 6, change: 3, change_pct: 50 },
+        lost_followers: { current: 2, previous: 2, change: 0, change_pct: 0 },
+        posts: { current: 12, previous: 10, change: 2, change_pct: 20 },
+        likes: { current: 140, previous: 112, change: 28, change_pct: 25 },
+        reposts: { current: 21, previous: 25, change: -4, change_pct: -16 },
+        replies: { current: 33, previous: 30, change: 3, change_pct: 10 },
+        zaps_sats: { current: 12000, previous: 8000, change: 4000, change_pct: 50 }
+      },
+      best_post: {
+        note_id: SAMPLE_NOTE_ID, content: 'Your best note this week', posted_at: new Date().toISOString(),
+        likes: 48, reposts: 9, replies: 12, zaps_count: 5, zaps_sats: 5000
+      },
+      top_engagers: [
+        { ...sampleAccount('Sample Engager'), interactions: 14, zaps: 3, replies: 5, reactions: 5, reposts: 1, zaps_sats: 3000 }
+      ],
+      new_followers: [
+        { ...sampleAccount('Sample Follower'), followed_at: new Date().toISOString() }
+      ]
+    },
+    endpoint_disabled: {
+      subscription: {
+        id: 0, channel: 'webhook', url: 'https://example.com/webhooks/deep-claw', dm_pubkey: null, description: 'Sample endpoint'
+      },
+      consecutive_failures: 57,
+      failing_since: new Date(Date.now() - 25 * 60 * 60 * 1000).toISOString(),
+      last_error: 'HTTP 502',
+      held_deliveries: 12,
+      reenable: 'POST /webhooks/subscriptions/0/enable'
+    }
+  };
+
+  return samples[eventType];
+}
+
+/**
+ * Send one signed sample and report the response, latency and what was signed
+ * @param {string} format - Payload format (see webhook-formats)
+ * @returns {Promise<object>}
+ */
+async function sendTestWebhook(url, secret, eventType, format = 'native') {
+  const deliveryId = crypto.randomUUID();
+  const payload = {
+    event_type: eventType,
+    timestamp: Math.floor(Date.now() / 1000),
+    test: true,
+    ...samplePayload(eventType)
+  };
+  const { body, contentType } = webhookFormats.render(format, { delivery_id: deliveryId, user_id: 0, payload });
+  const headers = webhookSignature.signatureHeaders(body, secret, deliveryId);
+  const timestamp = headers[webhookSignature.HEADERS.timestamp];
+
+  const result = {
+    event_type: eventType,
+    format,
+    delivery_id: deliveryId,
+    ok: false,
+    response_code: null,
+    response_body: null,
+    latency_ms: null,
+    error: null,
+    signature: {
+      algorithm: 'HMAC-SHA256',
+      headers,
+      signed_content: `${timestamp}.${deliveryId}.<raw body>`,
+      body_sha256: crypto.createHash('sha256').update(body).digest('hex')
+    },
+    body
+  };
+
+  const started = Date.now();
+
+  try {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': contentType,
+        ...headers,
+        'User-Agent': 'DeepClaw-Analytics/1.0'
+      },
+      body,
+      signal: AbortSignal.timeout(config.webhooks.timeout)
+    });
+
+    result.latency_ms = Date.now() - started;
+    result.ok = response.ok;
+    result.response_code = response.status;
+    result.error = response.ok ? null : `HTTP ${response.status}`;
+
+    try {
+      result.response_body = (await response.text()).slice(0, RESPONSE_BODY_LIMIT);
+    } catch (error) {
+      // Body is informational only
+    }
+  } catch (error) {
+    result.latency_ms = Date.now() - started;
+    result.error = error.message;
+  }
+
+  return result;
+}
+
+/**
+ * Send a sample of each event type, one at a time
+ * @param {Array} eventTypes - Defaults to every event type
+ */
+async function sendTestWebhooks(url, secret, eventTypes = webhookSubscriptions.EVENT_TYPES, format = 'native') {
+  const results = [];
+
+  for (const eventType of eventTypes) {
+    results.push(await sendTestWebhook(url, secret, eventType, format));
+  }
+
+  return results;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const formatIndex = args.indexOf('--format');
+  const format = formatIndex === -1 ? 'native' : args.splice(formatIndex, 2)[1];
+  const [url, secret, ...eventTypes] = args;
+
+  if (!url || !secret || !webhookFormats.FORMATS.includes(format)) {
+    console.log(`Usage: npm run webhook:test -- <url> <secret> [--format ${webhookFormats.FORMATS.join('|')}] [event_type ...]`);
+    console.log(`Event types: ${webhookSubscriptions.EVENT_TYPES.join(', ')}`);
+    process.exit(1);
+  }
+
+  const normalized = webhookSubscriptions.normalizeEventTypes(eventTypes);
+  if (normalized.error) {
+    console.error(normalized.error);
+    process.exit(1);
+  }
+
+  console.log(`🦞 Sending ${format} test webhooks to ${url}\n`);
+
+  const results = await sendTestWebhooks(url, secret, normalized.eventTypes.length > 0 ? normalized.eventTypes : undefined, format);
+
+  for (const result of results) {
+    const status = result.ok ? '✅' : '❌';
+    const detail = result.error || `HTTP ${result.response_code}`;
+    console.log(`${status} ${result.event_type.padEnd(18)} ${detail.padEnd(24)} ${result.latency_ms}ms`);
+  }
+
+  const failed = results.filter(result => !result.ok).length;
+  console.log(`\n${results.length - failed}/${results.length} accepted`);
+
+  if (failed > 0) {
+    const { headers, signed_content } = results[0].signature;
+    console.log(`\nEach request is signed as ${webhookSignature.HEADERS.signature}: v1=HMAC-SHA256(secret, "${signed_content}")`);
+    console.log('Example headers:', headers);
+  }
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+// Run if called directly
+if (require.main === module) {
+  main().catch(error => {
+    console.error(error);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  samplePayload,
+  sendTestWebhook,
+  sendTestWebhooks
+};
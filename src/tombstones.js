@@ -0,0 +1,53 @@
+/**
+ * Tombstones
+ * Event ids deleted by their authors (NIP-09), checked before anything is stored
+ */
+
+const db = require('./db');
+
+/**
+ * Record that the author of a kind 5 deleted these event ids
+ */
+async function recordTombstones(deletion, eventIds) {
+  await db.query(
+    `INSERT INTO event_tombstones (event_id, pubkey, deletion_event_id, reason, deleted_at)
+     SELECT id, $2, $3, $4, to_timestamp($5) FROM UNNEST($1::text[]) AS id
+     ON CONFLICT (event_id, pubkey) DO NOTHING`,
+    [eventIds, deletion.pubkey, deletion.id, deletion.content || null, deletion.created_at]
+  );
+}
+
+/**
+ * Whether an event has been deleted by its author
+ */
+async function isDeleted(event) {
+  const result = await db.query(
+    'SELECT 1 FROM event_tombstones WHERE event_id = $1 AND pubkey = $2',
+    [event.id, event.pubkey]
+  );
+  return result.rows.length > 0;
+}
+
+/**
+ * Drop events whose author has deleted them
+ */
+async function filterDeleted(events) {
+  if (events.length === 0) return events;
+
+  const result = await db.query(
+    `SELECT event_id, pubkey FROM event_tombstones
+     WHERE event_id = ANY($1)`,
+    [events.map(event => event.id)]
+  );
+
+  if (result.rows.length === 0) return events;
+
+  const deleted = new Set(result.rows.map(row => `${row.event_id}:${row.pubkey}`));
+  return events.filter(event => !deleted.has(`${event.id}:${event.pubkey}`));
+}
+
+module.exports = {
+  recordTombstones,
+  isDeleted,
+  filterDeleted
+};
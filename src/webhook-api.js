@@ -0,0 +1,692 @@
+/**
+ * Webhook API - Endpoints for managing a user's webhook subscriptions and deliveries
+ */
+
+const db = require('./db');
+const auth = require('./auth');
+const webhookQueue = require('./webhook-queue');
+const webhookSubscriptions = require('./webhook-subscriptions');
+const webhookCircuit = require('./webhook-circuit');
+const testWebhook = require('./test-webhook');
+const nostrDm = require('./nostr-dm');
+const webhookFormats = require('./webhook-formats');
+const { npubToPubkey } = require('./network-scanner');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const DELIVERY_STATUSES = ['queued', 'batched', 'pending', 'paused', 'sent', 'dead'];
+
+/**
+ * Summary fields shared by delivery listings
+ */
+function formatDelivery(row) {
+  return {
+    delivery_id: row.delivery_id,
+    subscription_id: row.subscription_id,
+    event_type: row.event_type,
+    status: row.status,
+    batch_delivery_id: row.batch_delivery_id || null,
+    attempts: row.attempts,
+    redeliveries: row.redeliveries,
+    response_code: row.response_code,
+    error_message: row.error_message,
+    created_at: row.created_at,
+    last_attempt_at: row.last_attempt_at,
+    next_attempt_at: row.next_attempt_at,
+    dead_at: row.dead_at
+  };
+}
+
+/**
+ * Parse a date filter: unix seconds or anything Date understands (e.g. 2026-10-01)
+ * @returns {Date|null} - null if it can't be parsed
+ */
+function parseDateFilter(value) {
+  const date = /^\d+$/.test(value) ? new Date(parseInt(value) * 1000) : new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * GET /webhooks/deliveries?status=dead&event_type=zap&subscription_id=2&since=2026-10-01&until=2026-10-08&limit=50&offset=0
+ * Delivery log, newest first; every filter is optional
+ */
+async function listDeliveries(req, res) {
+  try {
+    const { status, event_type, subscription_id, since, until } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+    const conditions = ['l.user_id = $1'];
+    const values = [req.user.id];
+
+    if (status !== undefined) {
+      if (!DELIVERY_STATUSES.includes(status)) {
+        return res.status(400).json({ error: 'Invalid status', message: `Valid: ${DELIVERY_STATUSES.join(', ')}` });
+      }
+      values.push(status);
+      conditions.push(`l.status = $${values.length}`);
+    }
+
+    if (event_type !== undefined) {
+      const eventTypes = [...webhookSubscriptions.EVENT_TYPES, 'batch'];
+      if (!eventTypes.includes(event_type)) {
+        return res.status(400).json({ error: 'Invalid event_type', message: `Valid: ${eventTypes.join(', ')}` });
+      }
+      values.push(event_type);
+      conditions.push(`l.event_type = $${values.length}`);
+    }
+
+    if (subscription_id !== undefined) {
+      values.push(parseInt(subscription_id) || 0);
+      conditions.push(`l.subscription_id = $${values.length}`);
+    }
+
+    for (const [name, value, operator] of [['since', since, '>='], ['until', until, '<']]) {
+      if (value === undefined) continue;
+
+      const date = parseDateFilter(value);
+      if (!date) {
+        return res.status(400).json({ error: `Invalid ${name}`, message: 'Use unix seconds or an ISO 8601 date' });
+      }
+      values.push(date);
+      conditions.push(`l.created_at ${operator} $${values.length}`);
+    }
+
+    values.push(limit, offset);
+
+    const result = await db.query(
+      `SELECT l.*, b.delivery_id AS batch_delivery_id, COUNT(*) OVER() AS total
+       FROM webhook_logs l
+       LEFT JOIN webhook_logs b ON b.id = l.batch_id
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY l.id DESC
+       LIMIT $${values.length - 1} OFFSET $${values.length}`,
+      values
+    );
+
+    res.json({
+      deliveries: result.rows.map(formatDelivery),
+      total: result.rows.length > 0 ? parseInt(result.rows[0].total) : 0,
+      limit,
+      offset
+    });
+
+  } catch (error) {
+    console.error('List deliveries error:', error);
+    res.status(500).json({
+      error: 'Failed to list deliveries',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * GET /webhooks/dead-letter?limit=50&offset=0
+ * Deliveries that ran out of retries, newest first
+ */
+async function listDeadLetters(req, res) {
+  try {
+    const userId = req.user.id;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+    const result = await db.query(
+      `SELECT *, COUNT(*) OVER() AS total
+       FROM webhook_logs
+       WHERE user_id = $1 AND status = 'dead'
+       ORDER BY id DESC
+       LIMIT $2 OFFSET $3`,
+      [userId, limit, offset]
+    );
+
+    res.json({
+      deliveries: result.rows.map(formatDelivery),
+      total: result.rows.length > 0 ? parseInt(result.rows[0].total) : 0,
+      limit,
+      offset
+    });
+
+  } catch (error) {
+    console.error('List dead letters error:', error);
+    res.status(500).json({
+      error: 'Failed to list dead-lettered deliveries',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * GET /webhooks/deliveries/:deliveryId
+ * One delivery with its payload and the last response
+ * A batch lists the deliveries it carried; a grouped event links to its batch.
+ */
+async function getDelivery(req, res) {
+  try {
+    const { deliveryId } = req.params;
+
+    if (!UUID_PATTERN.test(deliveryId)) {
+      return res.status(404).json({ error: 'Delivery not found' });
+    }
+
+    const result = await db.query(
+      `SELECT l.*, b.delivery_id AS batch_delivery_id
+       FROM webhook_logs l
+       LEFT JOIN webhook_logs b ON b.id = l.batch_id
+       WHERE l.user_id = $1 AND l.delivery_id = $2`,
+      [req.user.id, deliveryId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Delivery not found' });
+    }
+
+    const row = result.rows[0];
+    const delivery = {
+      ...formatDelivery(row),
+      payload: row.payload,
+      response: {
+        code: row.response_code,
+        body: row.response_body,
+        error: row.error_message
+      }
+    };
+
+    if (row.event_type === 'batch') {
+      const members = await db.query(
+        'SELECT delivery_id, event_type FROM webhook_logs WHERE batch_id = $1 ORDER BY id',
+        [row.id]
+      );
+      delivery.batched_deliveries = members.rows;
+    }
+
+    res.json(delivery);
+
+  } catch (error) {
+    console.error('Get delivery error:', error);
+    res.status(500).json({
+      error: 'Failed to get delivery',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * POST /webhooks/dead-letter/:deliveryId/redeliver
+ * Send one dead-lettered delivery to its subscription's current URL now
+ */
+async function redeliverOne(req, res) {
+  try {
+    const { deliveryId } = req.params;
+
+    const result = UUID_PATTERN.test(deliveryId)
+      ? await webhookQueue.redeliver(req.user.id, deliveryId)
+      : null;
+
+    if (!result) {
+      return res.status(404).json({ error: 'No dead-lettered delivery with that id' });
+    }
+
+    res.json({
+      delivery_id: result.delivery_id,
+      delivered: result.delivered,
+      message: result.delivered
+        ? 'Delivered'
+        : 'Delivery failed again; it will be retried and dead-lettered if it keeps failing'
+    });
+
+  } catch (error) {
+    console.error('Redeliver error:', error);
+    res.status(500).json({
+      error: 'Failed to redeliver',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * POST /webhooks/dead-letter/redeliver
+ * Requeue every dead-lettered delivery; they are sent oldest first
+ */
+async function redeliverAll(req, res) {
+  try {
+    const requeued = await webhookQueue.redeliverAll(req.user.id);
+
+    res.json({
+      requeued,
+      message: requeued > 0
+        ? `${requeued} deliveries queued for redelivery`
+        : 'No dead-lettered deliveries'
+    });
+
+  } catch (error) {
+    console.error('Redeliver all error:', error);
+    res.status(500).json({
+      error: 'Failed to redeliver',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Subscription as returned by the API; the secret is only shown when it's created
+ */
+function formatSubscription(row) {
+  return {
+    id: row.id,
+    url: row.url,
+    event_types: row.event_types.length > 0 ? row.event_types : ['*'],
+    enabled: row.enabled,
+    primary: row.is_primary,
+    circuit_state: row.circuit_state,
+    delivery_mode: row.delivery_mode,
+    batch_window_seconds: row.batch_window_seconds,
+    batch_max_events: row.batch_max_events,
+    channel: row.channel,
+    dm_pubkey: row.dm_pubkey,
+    dm_protocol: row.dm_protocol,
+    payload_format: row.payload_format,
+    description: row.description,
+    created_at: row.created_at,
+    updated_at: row.updated_at
+  };
+}
+
+/**
+ * Hex pubkey from an npub or hex string, or null if it isn't one
+ */
+function parsePubkey(value) {
+  if (typeof value !== 'string') return null;
+
+  try {
+    const pubkey = npubToPubkey(value.trim()).toLowerCase();
+    return /^[0-9a-f]{64}$/.test(pubkey) ? pubkey : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Validate subscription fields from a request body
+ * @param {boolean} partial - true for updates, where every field is optional
+ * @returns {object} - { fields } or { error }
+ */
+function parseSubscriptionBody(body, partial) {
+  const {
+    url, secret, event_types, enabled, description, delivery_mode, batch_window_seconds, batch_max_events,
+    channel, dm_pubkey, dm_protocol, payload_format
+  } = body || {};
+  const fields = {};
+
+  if (channel !== undefined) {
+    if (!webhookSubscriptions.CHANNELS.includes(channel)) {
+      return { error: `channel must be one of ${webhookSubscriptions.CHANNELS.join(', ')}` };
+    }
+    fields.channel = channel;
+  }
+
+  // DM subscriptions don't need a URL; null clears it (checked against the channel by channelError)
+  if (url !== undefined || (!partial && channel !== 'nostr_dm')) {
+    if (!(url === null && (partial || channel === 'nostr_dm')) && !webhookSubscriptions.isValidUrl(url)) {
+      return { error: 'url must be an http(s) URL' };
+    }
+    fields.url = url;
+  }
+
+  if (dm_pubkey !== undefined) {
+    const pubkey = parsePubkey(dm_pubkey);
+    if (!pubkey) return { error: 'dm_pubkey must be an npub or 64-character hex pubkey' };
+    fields.dmPubkey = pubkey;
+  }
+
+  if (dm_protocol !== undefined) {
+    if (!nostrDm.PROTOCOLS.includes(dm_protocol)) {
+      return { error: `dm_protocol must be one of ${nostrDm.PROTOCOLS.join(', ')}` };
+    }
+    fields.dmProtocol = dm_protocol;
+  }
+
+  if (payload_format !== undefined) {
+    if (!webhookFormats.FORMATS.includes(payload_format)) {
+      return { error: `payload_format must be one of ${webhookFormats.FORMATS.join(', ')}` };
+    }
+    fields.payloadFormat = payload_format;
+  }
+
+  if (secret !== undefined) {
+    if (typeof secret !== 'string' || secret.length < 16) return { error: 'secret must be at least 16 characters' };
+    fields.secret = secret;
+  }
+
+  if (event_types !== undefined || !partial) {
+    const normalized = webhookSubscriptions.normalizeEventTypes(event_types);
+    if (normalized.error) return { error: normalized.error };
+    fields.eventTypes = normalized.eventTypes;
+  }
+
+  if (enabled !== undefined) {
+    if (typeof enabled !== 'boolean') return { error: 'enabled must be a boolean' };
+    fields.enabled = enabled;
+  }
+
+  if (description !== undefined) {
+    fields.description = description === null ? null : String(description).slice(0, 200);
+  }
+
+  if (delivery_mode !== undefined) {
+    if (!webhookSubscriptions.DELIVERY_MODES.includes(delivery_mode)) {
+      return { error: `delivery_mode must be one of ${webhookSubscriptions.DELIVERY_MODES.join(', ')}` };
+    }
+    fields.deliveryMode = delivery_mode;
+  }
+
+  if (batch_window_seconds !== undefined) {
+    if (!Number.isInteger(batch_window_seconds) || batch_window_seconds < 10 || batch_window_seconds > 3600) {
+      return { error: 'batch_window_seconds must be between 10 and 3600' };
+    }
+    fields.batchWindowSeconds = batch_window_seconds;
+  }
+
+  if (batch_max_events !== undefined) {
+    if (!Number.isInteger(batch_max_events) || batch_max_events < 2 || batch_max_events > 500) {
+      return { error: 'batch_max_events must be between 2 and 500' };
+    }
+    fields.batchMaxEvents = batch_max_events;
+  }
+
+  return { fields };
+}
+
+/**
+ * Check a subscription (existing row merged with the changes) has somewhere to deliver to
+ * @returns {string|null} - Error message
+ */
+function channelError(subscription) {
+  if (subscription.channel === 'nostr_dm') {
+    if (!subscription.dm_pubkey) return 'nostr_dm subscriptions need a dm_pubkey';
+    if (!nostrDm.isConfigured()) return 'Nostr DM delivery is not available on this server';
+    return null;
+  }
+
+  return subscription.url ? null : 'webhook subscriptions need a url';
+}
+
+/**
+ * GET /webhooks/subscriptions
+ */
+async function listSubscriptions(req, res) {
+  try {
+    const subscriptions = await webhookSubscriptions.listSubscriptions(req.user.id);
+
+    res.json({
+      subscriptions: subscriptions.map(formatSubscription),
+      event_types: webhookSubscriptions.EVENT_TYPES,
+      delivery_modes: webhookSubscriptions.DELIVERY_MODES,
+      channels: webhookSubscriptions.CHANNELS,
+      payload_formats: webhookFormats.FORMATS,
+      // DMs are signed by this key
+      service_pubkey: nostrDm.servicePubkey()
+    });
+
+  } catch (error) {
+    console.error('List subscriptions error:', error);
+    res.status(500).json({
+      error: 'Failed to list webhook subscriptions',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * GET /webhooks/subscriptions/:id
+ */
+async function getSubscription(req, res) {
+  try {
+    const subscription = await webhookSubscriptions.getSubscription(req.user.id, parseInt(req.params.id) || 0);
+
+    if (!subscription) {
+      return res.status(404).json({ error: 'Subscription not found' });
+    }
+
+    res.json(formatSubscription(subscription));
+
+  } catch (error) {
+    console.error('Get subscription error:', error);
+    res.status(500).json({
+      error: 'Failed to get webhook subscription',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * POST /webhooks/subscriptions
+ * Body: { url, secret?, event_types?, enabled?, description?, delivery_mode?, batch_window_seconds?, batch_max_events?,
+ *        payload_format? }
+ *    or { channel: 'nostr_dm', dm_pubkey?, dm_protocol?, ... } - dm_pubkey defaults to the user's own pubkey
+ */
+async function createSubscription(req, res) {
+  try {
+    const { fields, error } = parseSubscriptionBody(req.body, false);
+
+    if (error) {
+      return res.status(400).json({ error: 'Invalid subscription', message: error });
+    }
+
+    if (fields.channel === 'nostr_dm' && !fields.dmPubkey) {
+      fields.dmPubkey = parsePubkey(req.user.npub);
+    }
+
+    const invalid = channelError({ channel: fields.channel, url: fields.url, dm_pubkey: fields.dmPubkey });
+    if (invalid) {
+      return res.status(400).json({ error: 'Invalid subscription', message: invalid });
+    }
+
+    fields.secret = fields.secret || auth.generateWebhookSecret();
+    const subscription = await webhookSubscriptions.createSubscription(req.user.id, fields);
+
+    res.status(201).json({
+      ...formatSubscription(subscription),
+      secret: subscription.secret,
+      message: 'Subscription created. Save the secret securely!'
+    });
+
+  } catch (error) {
+    console.error('Create subscription error:', error);
+    res.status(500).json({
+      error: 'Failed to create webhook subscription',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * PUT /webhooks/subscriptions/:id
+ * Body: any of { url, secret, event_types, enabled, description, delivery_mode, batch_window_seconds, batch_max_events,
+ *                 channel, dm_pubkey, dm_protocol, payload_format }
+ */
+async function updateSubscription(req, res) {
+  try {
+    const { fields, error } = parseSubscriptionBody(req.body, true);
+
+    if (error) {
+      return res.status(400).json({ error: 'Invalid subscription', message: error });
+    }
+
+    if (Object.keys(fields).length === 0) {
+      return res.status(400).json({
+        error: 'No updates provided',
+        message: 'Provide url, secret, event_types, enabled, description, delivery_mode, batch_window_seconds, ' +
+          'batch_max_events, channel, dm_pubkey, dm_protocol and/or payload_format'
+      });
+    }
+
+    const subscriptionId = parseInt(req.params.id) || 0;
+    const existing = await webhookSubscriptions.getSubscription(req.user.id, subscriptionId);
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Subscription not found' });
+    }
+
+    if (fields.channel === 'nostr_dm' && !fields.dmPubkey && !existing.dm_pubkey) {
+      fields.dmPubkey = parsePubkey(req.user.npub);
+    }
+
+    const invalid = channelError({
+      channel: fields.channel ?? existing.channel,
+      url: fields.url !== undefined ? fields.url : existing.url,
+      dm_pubkey: fields.dmPubkey ?? existing.dm_pubkey
+    });
+    if (invalid) {
+      return res.status(400).json({ error: 'Invalid subscription', message: invalid });
+    }
+
+    const subscription = await webhookSubscriptions.updateSubscription(req.user.id, subscriptionId, fields);
+
+    if (!subscription) {
+      return res.status(404).json({ error: 'Subscription not found' });
+    }
+
+    res.json(formatSubscription(subscription));
+
+  } catch (error) {
+    console.error('Update subscription error:', error);
+    res.status(500).json({
+      error: 'Failed to update webhook subscription',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * DELETE /webhooks/subscriptions/:id
+ * The primary subscription can be disabled but not deleted
+ */
+async function deleteSubscription(req, res) {
+  try {
+    const subscriptionId = parseInt(req.params.id) || 0;
+    const subscription = await webhookSubscriptions.getSubscription(req.user.id, subscriptionId);
+
+    if (!subscription) {
+      return res.status(404).json({ error: 'Subscription not found' });
+    }
+
+    if (subscription.is_primary) {
+      return res.status(400).json({
+        error: 'Cannot delete primary subscription',
+        message: 'Disable it with PUT /webhooks/subscriptions/:id { "enabled": false } instead'
+      });
+    }
+
+    await webhookSubscriptions.deleteSubscription(req.user.id, subscriptionId);
+    res.json({ success: true });
+
+  } catch (error) {
+    console.error('Delete subscription error:', error);
+    res.status(500).json({
+      error: 'Failed to delete webhook subscription',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * POST /webhooks/subscriptions/:id/enable
+ * Re-enable an endpoint the circuit breaker paused or disabled and flush its held deliveries in order
+ */
+async function enableSubscription(req, res) {
+  try {
+    const result = await webhookCircuit.reset(req.user.id, parseInt(req.params.id) || 0);
+
+    if (!result) {
+      return res.status(404).json({ error: 'Subscription not found' });
+    }
+
+    res.json({
+      success: true,
+      flushed: result.flushed,
+      message: result.flushed > 0
+        ? `Endpoint re-enabled, ${result.flushed} held deliveries will be sent oldest first`
+        : 'Endpoint re-enabled'
+    });
+
+  } catch (error) {
+    console.error('Enable subscription error:', error);
+    res.status(500).json({
+      error: 'Failed to enable webhook subscription',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * POST /webhooks/test
+ * Body: { subscription_id?, event_types? } - defaults to the primary subscription and every event type it receives
+ * Sends a signed sample of each event type right away and reports how the endpoint answered
+ */
+async function testSubscription(req, res) {
+  try {
+    const { subscription_id, event_types } = req.body || {};
+    const subscriptions = await webhookSubscriptions.listSubscriptions(req.user.id);
+
+    const subscription = subscription_id !== undefined
+      ? subscriptions.find(s => s.id === parseInt(subscription_id))
+      : subscriptions.find(s => s.is_primary);
+
+    if (!subscription) {
+      return res.status(404).json({ error: 'Subscription not found' });
+    }
+
+    if (subscription.channel !== 'webhook') {
+      return res.status(400).json({
+        error: 'Not a webhook subscription',
+        message: 'Test deliveries are only sent to HTTP endpoints'
+      });
+    }
+
+    const normalized = webhookSubscriptions.normalizeEventTypes(event_types);
+    if (normalized.error) {
+      return res.status(400).json({ error: 'Invalid event_types', message: normalized.error });
+    }
+
+    const eventTypes = [...[normalized.eventTypes, subscription.event_types, webhookSubscriptions.EVENT_TYPES]
+      .find(types => types.length > 0)];
+
+    // Batched/digest endpoints also get a sample envelope
+    if (subscription.delivery_mode !== 'immediate') {
+      eventTypes.push('batch');
+    }
+
+    const results = await testWebhook.sendTestWebhooks(subscription.url, subscription.secret, eventTypes, subscription.payload_format);
+    const accepted = results.filter(result => result.ok).length;
+
+    res.json({
+      subscription_id: subscription.id,
+      url: subscription.url,
+      payload_format: subscription.payload_format,
+      accepted,
+      failed: results.length - accepted,
+      results
+    });
+
+  } catch (error) {
+    console.error('Test webhook error:', error);
+    res.status(500).json({
+      error: 'Failed to send test webhooks',
+      message: error.message
+    });
+  }
+}
+
+module.exports = {
+  listSubscriptions,
+  getSubscription,
+  createSubscription,
+  updateSubscription,
+  deleteSubscription,
+  enableSubscription,
+  testSubscription,
+  listDeliveries,
+  listDeadLetters,
+  getDelivery,
+  redeliverOne,
+  redeliverAll
+};
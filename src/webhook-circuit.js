@@ -0,0 +1,310 @@
+/**
+ * Webhook Circuit Breaker
+ * Per-subscription circuit: stops hammering endpoints that keep failing, holds their
+ * deliveries as 'paused', probes periodically and disables endpoints that stay broken
+ */
+
+const db = require('./db');
+const config = require('./config');
+
+const MAX_COOLDOWN_SECONDS = 60 * 60;
+const RATE_WINDOW_SECONDS = 60 * 60;
+// A probe that hasn't reported back in this long (its worker died) stops blocking the next one
+const PROBE_CLAIM_SECONDS = 2 * 60;
+
+// Called with the subscription row when an endpoint gets disabled
+const disabledHandlers = [];
+
+/**
+ * Register a handler for endpoints the breaker disables (used to alert the user)
+ */
+function onDisabled(handler) {
+  disabledHandlers.push(handler);
+}
+
+/**
+ * Seconds until the next probe; doubles for every failed probe
+ */
+function cooldownSeconds(consecutiveFailures) {
+  const { cooldownSeconds: base, consecutiveFailures: threshold } = config.webhooks.circuit;
+  const failedProbes = Math.max(0, consecutiveFailures - threshold);
+  return Math.min(base * 2 ** failedProbes, MAX_COOLDOWN_SECONDS);
+}
+
+/**
+ * Should a closed circuit open after this failure
+ */
+function shouldOpen(consecutiveFailures, windowAttempts, windowFailures) {
+  const { consecutiveFailures: threshold, failureRate, minAttempts } = config.webhooks.circuit;
+
+  if (consecutiveFailures >= threshold) return true;
+  return windowAttempts >= minAttempts && windowFailures / windowAttempts >= failureRate;
+}
+
+/**
+ * Hold every pending delivery for a subscription
+ */
+async function pausePending(subscriptionId) {
+  await db.query(
+    `UPDATE webhook_logs SET status = 'paused', next_attempt_at = NULL
+     WHERE subscription_id = $1 AND status = 'pending'`,
+    [subscriptionId]
+  );
+}
+
+/**
+ * Release every paused delivery for a subscription; the retry worker sends them oldest first
+ * @returns {Promise<number>} - Deliveries released
+ */
+async function flushBacklog(subscriptionId) {
+  const result = await db.query(
+    `UPDATE webhook_logs SET status = 'pending', next_attempt_at = NOW()
+     WHERE subscription_id = $1 AND status = 'paused'`,
+    [subscriptionId]
+  );
+
+  if (result.rowCount > 0) {
+    console.log(`🔌 Flushing ${result.rowCount} held webhook deliveries for subscription ${subscriptionId}`);
+  }
+
+  return result.rowCount;
+}
+
+/**
+ * Whether a subscription has deliveries held back, which new deliveries must queue behind
+ */
+async function hasBacklog(subscriptionId) {
+  const result = await db.query(
+    `SELECT EXISTS (SELECT 1 FROM webhook_logs WHERE subscription_id = $1 AND status = 'paused') AS backlog`,
+    [subscriptionId]
+  );
+
+  return result.rows[0].backlog;
+}
+
+/**
+ * Claim the probe of a half-open circuit; only one delivery may test the endpoint at a time
+ * @returns {Promise<boolean>} - true if this caller holds the probe
+ */
+async function claimProbe(subscriptionId) {
+  const result = await db.query(
+    `UPDATE webhook_subscriptions SET probe_started_at = NOW()
+     WHERE id = $1 AND circuit_state = 'half_open'
+       AND (probe_started_at IS NULL OR probe_started_at < NOW() - make_interval(secs => $2))
+     RETURNING id`,
+    [subscriptionId, PROBE_CLAIM_SECONDS]
+  );
+
+  return result.rows.length > 0;
+}
+
+/**
+ * Record a successful attempt; closes the circuit and flushes anything held back
+ */
+async function recordSuccess(subscriptionId) {
+  const previous = await db.query(
+    'SELECT circuit_state FROM webhook_subscriptions WHERE id = $1',
+    [subscriptionId]
+  );
+
+  await db.query(
+    `UPDATE webhook_subscriptions
+     SET circuit_state = 'closed', consecutive_failures = 0, probe_started_at = NULL,
+         circuit_opened_at = NULL, circuit_retry_at = NULL, last_success_at = NOW(),
+         window_started_at = CASE WHEN window_started_at > NOW() - make_interval(secs => $2)
+                                  THEN window_started_at ELSE NOW() END,
+         window_attempts = CASE WHEN window_started_at > NOW() - make_interval(secs => $2)
+                                THEN window_attempts + 1 ELSE 1 END,
+         window_failures = CASE WHEN window_started_at > NOW() - make_interval(secs => $2)
+                                THEN window_failures ELSE 0 END
+     WHERE id = $1`,
+    [subscriptionId, RATE_WINDOW_SECONDS]
+  );
+
+  const state = previous.rows[0]?.circuit_state;
+  if (state && state !== 'closed') {
+    console.log(`🔌 Webhook subscription ${subscriptionId} recovered, circuit closed`);
+    await flushBacklog(subscriptionId);
+  }
+
+  return 'closed';
+}
+
+/**
+ * Record a failed attempt and move the circuit on if needed
+ * The subscription row is locked while the counters and state move, so failures reported at
+ * the same time by several processes all count and only one of them can disable the endpoint.
+ * @returns {Promise<string>} - Circuit state after this failure
+ */
+async function recordFailure(subscriptionId, error) {
+  const transition = await db.transaction(async (client) => {
+    const result = await client.query(
+      `SELECT *, window_started_at > NOW() - make_interval(secs => $2) AS window_current,
+              circuit_opened_at < NOW() - make_interval(hours => $3) AS open_too_long
+       FROM webhook_subscriptions WHERE id = $1
+       FOR UPDATE`,
+      [subscriptionId, RATE_WINDOW_SECONDS, config.webhooks.circuit.disableAfterHours]
+    );
+
+    const subscription = result.rows[0];
+    if (!subscription) return null;
+
+    const consecutiveFailures = subscription.consecutive_failures + 1;
+    const windowAttempts = subscription.window_current ? subscription.window_attempts + 1 : 1;
+    const windowFailures = subscription.window_current ? subscription.window_failures + 1 : 1;
+
+    let state = subscription.circuit_state;
+
+    if (state === 'closed' && shouldOpen(consecutiveFailures, windowAttempts, windowFailures)) {
+      state = 'open';
+    } else if (state === 'half_open' || state === 'open') {
+      // A failed probe
+      state = subscription.open_too_long ? 'disabled' : 'open';
+    }
+
+    await client.query(
+      `UPDATE webhook_subscriptions
+       SET circuit_state = $2, consecutive_failures = $3, last_error = $4, last_failure_at = NOW(),
+           probe_started_at = NULL,
+           window_started_at = CASE WHEN $5 THEN window_started_at ELSE NOW() END,
+           window_attempts = $6, window_failures = $7,
+           circuit_opened_at = CASE WHEN $2 = 'closed' THEN NULL ELSE COALESCE(circuit_opened_at, NOW()) END,
+           circuit_retry_at = CASE WHEN $2 = 'open' THEN NOW() + make_interval(secs => $8) ELSE NULL END,
+           disabled_at = CASE WHEN $2 = 'disabled' THEN COALESCE(disabled_at, NOW()) ELSE disabled_at END
+       WHERE id = $1`,
+      [
+        subscriptionId,
+        state,
+        consecutiveFailures,
+        error,
+        subscription.window_current === true,
+        windowAttempts,
+        windowFailures,
+        cooldownSeconds(consecutiveFailures)
+      ]
+    );
+
+    return { subscription, state, consecutiveFailures };
+  });
+
+  if (!transition) return 'closed';
+
+  const { subscription, state, consecutiveFailures } = transition;
+
+  if (state !== 'closed') {
+    await pausePending(subscriptionId);
+  }
+
+  if (state === 'open' && subscription.circuit_state === 'closed') {
+    console.error(`🔌 Webhook subscription ${subscriptionId} circuit opened after ${consecutiveFailures} consecutive failures`);
+  }
+
+  // Only the failure that made the transition alerts the user
+  if (state === 'disabled' && subscription.circuit_state !== 'disabled') {
+    console.error(`⛔ Webhook subscription ${subscriptionId} disabled: failing for over ${config.webhooks.circuit.disableAfterHours}h`);
+
+    for (const handler of disabledHandlers) {
+      try {
+        await handler({ ...subscription, consecutive_failures: consecutiveFailures, last_error: error });
+      } catch (handlerError) {
+        console.error('Endpoint disabled handler failed:', handlerError.message);
+      }
+    }
+  }
+
+  return state;
+}
+
+/**
+ * Move open circuits whose cooldown has passed to half-open and release one held delivery as the probe
+ * If nothing is held, the next new delivery is the probe (see claimProbe).
+ */
+async function releaseProbes() {
+  const result = await db.query(
+    `UPDATE webhook_subscriptions
+     SET circuit_state = 'half_open', circuit_retry_at = NULL, probe_started_at = NULL
+     WHERE circuit_state = 'open' AND circuit_retry_at <= NOW()
+     RETURNING id`
+  );
+
+  for (const { id } of result.rows) {
+    await db.query(
+      `UPDATE webhook_logs SET status = 'pending', next_attempt_at = NOW()
+       WHERE id = (SELECT id FROM webhook_logs
+                   WHERE subscription_id = $1 AND status = 'paused'
+                   ORDER BY id LIMIT 1)`,
+      [id]
+    );
+  }
+
+  if (result.rows.length > 0) {
+    console.log(`🔌 Probing ${result.rows.length} failing webhook endpoints`);
+  }
+}
+
+/**
+ * Close the circuit by hand and flush the backlog in order
+ * @returns {Promise<object|null>} - { flushed } or null if the subscription doesn't exist
+ */
+async function reset(userId, subscriptionId) {
+  const result = await db.query(
+    `UPDATE webhook_subscriptions
+     SET circuit_state = 'closed', consecutive_failures = 0, enabled = TRUE, probe_started_at = NULL,
+         window_started_at = NULL, window_attempts = 0, window_failures = 0,
+         circuit_opened_at = NULL, circuit_retry_at = NULL, disabled_at = NULL, updated_at = NOW()
+     WHERE user_id = $1 AND id = $2
+     RETURNING id`,
+    [userId, subscriptionId]
+  );
+
+  if (result.rows.length === 0) return null;
+
+  return { flushed: await flushBacklog(subscriptionId) };
+}
+
+/**
+ * Circuit summary per subscription for a user
+ */
+async function getEndpointStates(userId) {
+  const result = await db.query(
+    `SELECT s.id, s.channel, s.url, s.dm_pubkey, s.enabled, s.is_primary, s.circuit_state, s.consecutive_failures,
+            s.circuit_opened_at, s.circuit_retry_at, s.disabled_at, s.last_error,
+            s.last_success_at, s.last_failure_at,
+            (SELECT COUNT(*) FROM webhook_logs l WHERE l.subscription_id = s.id AND l.status = 'paused') AS held
+     FROM webhook_subscriptions s
+     WHERE s.user_id = $1
+     ORDER BY s.id`,
+    [userId]
+  );
+
+  return result.rows.map(row => ({
+    subscription_id: row.id,
+    channel: row.channel,
+    url: row.url,
+    dm_pubkey: row.dm_pubkey,
+    primary: row.is_primary,
+    enabled: row.enabled,
+    state: row.circuit_state,
+    consecutive_failures: row.consecutive_failures,
+    held_deliveries: parseInt(row.held),
+    open_since: row.circuit_opened_at,
+    next_probe_at: row.circuit_retry_at,
+    disabled_at: row.disabled_at,
+    last_error: row.last_error,
+    last_success_at: row.last_success_at,
+    last_failure_at: row.last_failure_at
+  }));
+}
+
+module.exports = {
+  onDisabled,
+  cooldownSeconds,
+  shouldOpen,
+  hasBacklog,
+  claimProbe,
+  recordSuccess,
+  recordFailure,
+  releaseProbes,
+  reset,
+  getEndpointStates
+};
@@ -0,0 +1,350 @@
+/**
+ * Webhook Formats
+ * Renders a delivery's native payload (as assembled by webhook-sender) in the format its
+ * subscription asked for: native JSON, CloudEvents 1.0 structured JSON, Slack incoming-webhook
+ * blocks or Discord embeds. Payloads are stored natively; rendering happens per attempt.
+ */
+
+const config = require('./config');
+const nip19 = require('./nip19');
+
+const FORMATS = ['native', 'cloudevents', 'slack', 'discord'];
+
+// Slack allows 50 blocks per message, Discord 10 embeds
+const SLACK_MAX_BATCH_EVENTS = 40;
+const DISCORD_MAX_EMBEDS = 10;
+
+const DISCORD_COLORS = {
+  mention: 0x5865f2,
+  reply: 0x5865f2,
+  new_follower: 0x57f287,
+  unfollow: 0xed4245,
+  zap: 0xfee75c,
+  reaction: 0xeb459e,
+  repost: 0x57f287,
+  deleted: 0x99aab5,
+  daily_summary: 0x3498db,
+  weekly_digest: 0x3498db,
+  endpoint_disabled: 0xed4245
+};
+
+const STAT_LABELS = {
+  total_followers: 'Total followers',
+  new_followers: 'New followers',
+  lost_followers: 'Lost followers',
+  posts: 'Posts',
+  likes: 'Likes',
+  reposts: 'Reposts',
+  replies: 'Replies',
+  zaps_sats: 'Zaps (sats)'
+};
+
+function truncate(text, max) {
+  if (!text) return text;
+  return text.length > max ? text.slice(0, max - 1) + '…' : text;
+}
+
+function isHexKey(value) {
+  return typeof value === 'string' && /^[0-9a-f]{64}$/i.test(value);
+}
+
+function noteLink(noteId) {
+  return isHexKey(noteId) ? config.webhooks.linkBaseUrl + nip19.noteEncode(noteId) : null;
+}
+
+/**
+ * Accounts in payloads carry the hex pubkey in their npub field (see describePubkey)
+ */
+function profileLink(account) {
+  if (!account?.npub) return null;
+  return config.webhooks.linkBaseUrl + (isHexKey(account.npub) ? nip19.npubEncode(account.npub) : account.npub);
+}
+
+function accountName(account) {
+  if (!account) return 'Someone';
+  if (account.display_name) return account.display_name;
+  return isHexKey(account.npub) ? nip19.npubEncode(account.npub).slice(0, 16) + '…' : 'Someone';
+}
+
+function formatChange(metric) {
+  if (!metric || typeof metric !== 'object') return String(metric ?? 0);
+  const sign = metric.change > 0 ? '+' : '';
+  const pct = metric.change_pct === null ? '' : `, ${sign}${metric.change_pct}%`;
+  return `${metric.current} (${sign}${metric.change}${pct})`;
+}
+
+function statFields(stats, format = value => String(value)) {
+  return Object.entries(STAT_LABELS)
+    .filter(([key]) => stats?.[key] !== undefined)
+    .map(([key, label]) => ({ name: label, value: format(stats[key]) }));
+}
+
+/**
+ * What a chat message says about one event: the shared input of the Slack and Discord renderers
+ * @returns {object} - { title, text, url, account, fields }
+ */
+function describe(payload) {
+  const p = payload;
+  const summary = { title: p.event_type, text: null, url: null, account: null, fields: [] };
+
+  switch (p.event_type) {
+    case 'mention':
+      Object.assign(summary, {
+        title: `${accountName(p.author)} mentioned you`, text: p.content, url: noteLink(p.note_id), account: p.author
+      });
+      break;
+    case 'reply':
+      Object.assign(summary, {
+        title: `${accountName(p.author)} replied to your note`, text: p.content, url: noteLink(p.note_id), account: p.author,
+        fields: p.reply_to?.content ? [{ name: 'In reply to', value: truncate(p.reply_to.content, 200) }] : []
+      });
+      break;
+    case 'new_follower':
+      Object.assign(summary, {
+        title: `${accountName(p.follower)} followed you`, url: profileLink(p.follower), account: p.follower,
+        fields: [{ name: 'Total followers', value: String(p.total_followers) }]
+      });
+      break;
+    case 'unfollow':
+      Object.assign(summary, {
+        title: `${accountName(p.follower)} unfollowed you`, url: profileLink(p.follower), account: p.follower,
+        fields: [{ name: 'Total followers', value: String(p.total_followers) }]
+      });
+      break;
+    case 'zap':
+      Object.assign(summary, {
+        title: `⚡ ${accountName(p.from)} zapped you ${p.amount_sats} sats`, text: p.message || null,
+        url: noteLink(p.note_id) || profileLink(p.from), account: p.from
+      });
+      break;
+    case 'reaction':
+      Object.assign(summary, {
+        title: `${accountName(p.from)} reacted ${p.emoji} to your note`, url: noteLink(p.note_id), account: p.from
+      });
+      break;
+    case 'repost':
+      Object.assign(summary, {
+        title: `${accountName(p.from)} reposted your note`, url: noteLink(p.note_id), account: p.from
+      });
+      break;
+    case 'deleted': {
+      const count = (p.deleted_events?.length || 0) + (p.deleted_posts?.length || 0);
+      Object.assign(summary, {
+        title: `${accountName(p.from)} deleted ${count} ${count === 1 ? 'event' : 'events'}`, text: p.reason,
+        url: profileLink(p.from), account: p.from
+      });
+      break;
+    }
+    case 'daily_summary':
+      Object.assign(summary, { title: `Daily summary for ${p.date}`, fields: statFields(p.stats) });
+      break;
+    case 'weekly_digest':
+      Object.assign(summary, {
+        title: `Weekly digest, week ending ${p.week_ending}`,
+        text: p.best_post ? `Best post: ${truncate(p.best_post.content, 280)}` : null,
+        url: noteLink(p.best_post?.note_id),
+        fields: [
+          ...statFields(p.stats, formatChange),
+          ...(p.top_engagers?.length > 0
+            ? [{ name: 'Top engagers', value: p.top_engagers.map(e => `${accountName(e)} (${e.interactions})`).join(', ') }]
+            : [])
+        ]
+      });
+      break;
+    case 'endpoint_disabled':
+      Object.assign(summary, {
+        title: 'A notification endpoint was disabled',
+        text: `${p.subscription?.url || p.subscription?.dm_pubkey || `Subscription ${p.subscription?.id}`} kept failing: ${p.last_error}`,
+        fields: [
+          { name: 'Held deliveries', value: String(p.held_deliveries) },
+          { name: 'Re-enable', value: p.reenable }
+        ]
+      });
+      break;
+  }
+
+  if (p.test) summary.title = `🧪 Test: ${summary.title}`;
+  return summary;
+}
+
+// ========================================
+// CloudEvents 1.0
+// ========================================
+
+function toCloudEvent(payload, deliveryId, userId) {
+  const { event_type, timestamp, delivery_id, ...data } = payload;
+
+  return {
+    specversion: '1.0',
+    id: delivery_id || deliveryId,
+    source: `${config.webhooks.cloudEventsSource}/users/${userId}`,
+    type: `io.deepclaw.analytics.${event_type}`,
+    time: new Date((timestamp || Math.floor(Date.now() / 1000)) * 1000).toISOString(),
+    ...(data.note_id && { subject: data.note_id }),
+    datacontenttype: 'application/json',
+    data
+  };
+}
+
+/**
+ * Structured-mode CloudEvent; a batch becomes a JSON batch of one CloudEvent per event
+ */
+function renderCloudEvents(delivery) {
+  const { payload } = delivery;
+
+  if (payload.event_type === 'batch') {
+    return {
+      contentType: 'application/cloudevents-batch+json; charset=utf-8',
+      body: payload.events.map(event => toCloudEvent(event, null, delivery.user_id))
+    };
+  }
+
+  return {
+    contentType: 'application/cloudevents+json; charset=utf-8',
+    body: toCloudEvent(payload, delivery.delivery_id, delivery.user_id)
+  };
+}
+
+// ========================================
+// Slack
+// ========================================
+
+function slackEscape(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function slackLink(url, text) {
+  return url ? `<${url}|${slackEscape(text)}>` : slackEscape(text);
+}
+
+function slackSection(summary) {
+  const lines = [`*${slackLink(summary.url, summary.title)}*`];
+  if (summary.text) lines.push('>' + slackEscape(truncate(summary.text, 2500)).replace(/\n/g, '\n>'));
+
+  const section = { type: 'section', text: { type: 'mrkdwn', text: lines.join('\n') } };
+  if (summary.account?.picture) {
+    section.accessory = { type: 'image', image_url: summary.account.picture, alt_text: accountName(summary.account) };
+  }
+  return section;
+}
+
+/**
+ * Incoming-webhook message: the event as a section, its numbers as fields, the account as context
+ */
+function renderSlack(delivery) {
+  const { payload } = delivery;
+
+  if (payload.event_type === 'batch') {
+    const summaries = payload.events.map(describe);
+    const shown = summaries.slice(0, SLACK_MAX_BATCH_EVENTS);
+    const blocks = [
+      { type: 'header', text: { type: 'plain_text', text: `${payload.count} new events` } },
+      ...shown.map(slackSection)
+    ];
+
+    if (summaries.length > shown.length) {
+      blocks.push({ type: 'context', elements: [{ type: 'mrkdwn', text: `…and ${summaries.length - shown.length} more` }] });
+    }
+
+    return { body: { text: `${payload.count} new events`, blocks } };
+  }
+
+  const summary = describe(payload);
+  const blocks = [slackSection(summary)];
+
+  if (summary.fields.length > 0) {
+    blocks.push({
+      type: 'section',
+      fields: summary.fields.slice(0, 10).map(field => ({
+        type: 'mrkdwn',
+        text: `*${slackEscape(field.name)}*\n${slackEscape(truncate(field.value, 1900))}`
+      }))
+    });
+  }
+
+  blocks.push({
+    type: 'context',
+    elements: [{
+      type: 'mrkdwn',
+      text: summary.account ? `${slackLink(profileLink(summary.account), accountName(summary.account))} · Deep Claw` : 'Deep Claw'
+    }]
+  });
+
+  return { body: { text: summary.title, blocks } };
+}
+
+// ========================================
+// Discord
+// ========================================
+
+function discordEmbed(summary, eventType, timestamp) {
+  const embed = {
+    title: truncate(summary.title, 256),
+    color: DISCORD_COLORS[eventType],
+    fields: summary.fields.slice(0, 25).map(field => ({
+      name: truncate(field.name, 256),
+      value: truncate(field.value, 1024),
+      inline: field.value.length <= 40
+    })),
+    timestamp: new Date((timestamp || Math.floor(Date.now() / 1000)) * 1000).toISOString(),
+    footer: { text: 'Deep Claw' }
+  };
+
+  if (summary.url) embed.url = summary.url;
+  if (summary.text) embed.description = truncate(summary.text, 4096);
+  if (summary.account) {
+    embed.author = { name: truncate(accountName(summary.account), 256) };
+    if (profileLink(summary.account)) embed.author.url = profileLink(summary.account);
+    if (summary.account.picture) embed.author.icon_url = summary.account.picture;
+  }
+
+  return embed;
+}
+
+/**
+ * Webhook message with one embed per event (a batch shows the first ten)
+ */
+function renderDiscord(delivery) {
+  const { payload } = delivery;
+
+  if (payload.event_type === 'batch') {
+    const shown = payload.events.slice(0, DISCORD_MAX_EMBEDS);
+    const more = payload.events.length - shown.length;
+
+    return {
+      body: {
+        username: 'Deep Claw',
+        content: more > 0 ? `${payload.count} new events (showing the first ${shown.length})` : `${payload.count} new events`,
+        embeds: shown.map(event => discordEmbed(describe(event), event.event_type, event.timestamp))
+      }
+    };
+  }
+
+  return {
+    body: {
+      username: 'Deep Claw',
+      embeds: [discordEmbed(describe(payload), payload.event_type, payload.timestamp)]
+    }
+  };
+}
+
+/**
+ * Render a delivery for its subscription's format
+ * @param {object} delivery - { delivery_id, user_id, payload }
+ * @returns {object} - { body: string, contentType }
+ */
+function render(format, delivery) {
+  const renderers = { cloudevents: renderCloudEvents, slack: renderSlack, discord: renderDiscord };
+  const rendered = renderers[format] ? renderers[format](delivery) : { body: delivery.payload };
+
+  return {
+    body: JSON.stringify(rendered.body),
+    contentType: rendered.contentType || 'application/json'
+  };
+}
+
+module.exports = {
+  FORMATS,
+  describe,
+  render
+};
@@ -0,0 +1,525 @@
+/**
+ * Webhook Queue
+ * Durable webhook deliveries stored in webhook_logs and retried with exponential backoff
+ * Deliveries that run out of attempts move to the dead-letter state ('dead') until redelivered
+ * Deliveries to endpoints whose circuit is open are held as 'paused' (see webhook-circuit)
+ * Subscriptions in batched/digest mode queue events ('queued') and send them grouped in one
+ * 'batch' delivery; each grouped event keeps its row, marked 'batched' with batch_id set
+ * Subscriptions on the nostr_dm channel get the same payloads as encrypted DMs (see nostr-dm)
+ */
+
+const db = require('./db');
+const config = require('./config');
+const webhookSignature = require('./webhook-signature');
+const webhookCircuit = require('./webhook-circuit');
+const nostrDm = require('./nostr-dm');
+const webhookFormats = require('./webhook-formats');
+
+// A claimed delivery isn't picked up by another worker for this long
+const CLAIM_SECONDS = 5 * 60;
+const BATCH_SIZE = 50;
+// How often each process's worker looks for due deliveries and batches
+const WORKER_INTERVAL_MS = 15 * 1000;
+// Most events in one digest envelope; a bigger backlog goes out as several
+const DIGEST_MAX_EVENTS = 500;
+// Keep this much of each response body for inspection
+const RESPONSE_BODY_LIMIT = 2000;
+
+const DELIVERY_COLUMNS = 'id, delivery_id, user_id, subscription_id, event_type, payload, attempts';
+
+let processing = false;
+let workerTimer = null;
+
+/**
+ * First attempt plus WEBHOOK_RETRY_COUNT retries
+ */
+function maxAttempts() {
+  return config.webhooks.retryCount + 1;
+}
+
+/**
+ * Seconds to wait before the next attempt
+ * Exponential backoff with equal jitter, never sooner than the endpoint's Retry-After
+ * @param {number} attempts - Attempts made so far (>= 1)
+ * @param {number|null} retryAfterSeconds - Parsed Retry-After header, if any
+ */
+function retryDelaySeconds(attempts, retryAfterSeconds = null) {
+  const { retryBaseSeconds, retryMaxDelaySeconds } = config.webhooks;
+  const backoff = Math.min(retryBaseSeconds * 2 ** (attempts - 1), retryMaxDelaySeconds);
+
+  // Half fixed, half random, so a burst of failures doesn't retry in lockstep
+  const delay = backoff / 2 + Math.random() * (backoff / 2);
+
+  return Math.ceil(Math.max(delay, Math.min(retryAfterSeconds || 0, retryMaxDelaySeconds)));
+}
+
+/**
+ * Parse a Retry-After header (delay in seconds or an HTTP date)
+ * @returns {number|null} - Seconds from now
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+  if (/^\d+$/.test(value.trim())) return parseInt(value);
+
+  const date = Date.parse(value);
+  if (isNaN(date)) return null;
+  return Math.max(0, Math.ceil((date - Date.now()) / 1000));
+}
+
+/**
+ * Timeouts, rate limits and server errors are worth retrying; other 4xx won't fix themselves
+ */
+function isRetryable(status) {
+  return status === 408 || status === 429 || status >= 500;
+}
+
+/**
+ * Hold a delivery until its endpoint's circuit closes
+ */
+async function holdDelivery(deliveryId) {
+  await db.query(
+    `UPDATE webhook_logs SET status = 'paused', next_attempt_at = NULL WHERE id = $1`,
+    [deliveryId]
+  );
+}
+
+/**
+ * Record the outcome of an attempt and schedule the next one if there is one
+ * @param {string} circuitState - The endpoint's circuit after this attempt
+ */
+async function recordAttempt(delivery, outcome, circuitState = 'closed') {
+  const attempts = delivery.attempts + 1;
+
+  if (outcome.ok) {
+    await db.query(
+      `UPDATE webhook_logs
+       SET status = 'sent', attempts = $2, response_code = $3, response_body = $4, error_message = NULL,
+           last_attempt_at = NOW(), sent_at = NOW(), next_attempt_at = NULL
+       WHERE id = $1`,
+      [delivery.id, attempts, outcome.responseCode, outcome.responseBody]
+    );
+    const what = delivery.event_type === 'batch'
+      ? `batch of ${delivery.payload.count} events (${delivery.delivery_id})`
+      : delivery.event_type;
+    console.log(`✅ Webhook sent to user ${delivery.user_id}: ${what}`);
+    return;
+  }
+
+  // The endpoint is down as a whole; hold this one with the rest instead of burning its attempts
+  if (circuitState !== 'closed') {
+    await db.query(
+      `UPDATE webhook_logs
+       SET status = 'paused', attempts = $2, response_code = $3, response_body = $4, error_message = $5,
+           last_attempt_at = NOW(), next_attempt_at = NULL
+       WHERE id = $1`,
+      [delivery.id, attempts, outcome.responseCode, outcome.responseBody, outcome.error]
+    );
+    console.error(`⏸️  Webhook failed for user ${delivery.user_id} (${outcome.error}), held while endpoint ${delivery.subscription_id} is ${circuitState}`);
+    return;
+  }
+
+  if (outcome.retryable && attempts < maxAttempts()) {
+    const delay = retryDelaySeconds(attempts, outcome.retryAfter);
+
+    await db.query(
+      `UPDATE webhook_logs
+       SET status = 'pending', attempts = $2, response_code = $3, response_body = $4, error_message = $5,
+           last_attempt_at = NOW(), next_attempt_at = NOW() + make_interval(secs => $6)
+       WHERE id = $1`,
+      [delivery.id, attempts, outcome.responseCode, outcome.responseBody, outcome.error, delay]
+    );
+    console.error(`🔁 Webhook failed for user ${delivery.user_id} (${outcome.error}), attempt ${attempts}/${maxAttempts()}, retrying in ${delay}s`);
+    return;
+  }
+
+  await db.query(
+    `UPDATE webhook_logs
+     SET status = 'dead', attempts = $2, response_code = $3, response_body = $4, error_message = $5,
+         last_attempt_at = NOW(), dead_at = NOW(), next_attempt_at = NULL
+     WHERE id = $1`,
+    [delivery.id, attempts, outcome.responseCode, outcome.responseBody, outcome.error]
+  );
+  console.error(`❌ Webhook failed for user ${delivery.user_id}: ${outcome.error} (dead-lettered after ${attempts} attempts)`);
+}
+
+/**
+ * POST the payload, rendered in the subscription's format, to a webhook endpoint
+ * @returns {Promise<object>} - Attempt outcome
+ */
+async function postWebhook(delivery, url, secret, format) {
+  const { body, contentType } = webhookFormats.render(format, delivery);
+
+  try {
+    // Signed per attempt: fresh timestamp, same delivery id
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': contentType,
+        ...webhookSignature.signatureHeaders(body, secret, delivery.delivery_id),
+        'User-Agent': 'DeepClaw-Analytics/1.0'
+      },
+      body,
+      signal: AbortSignal.timeout(config.webhooks.timeout)
+    });
+
+    let responseBody = null;
+    try {
+      responseBody = (await response.text()).slice(0, RESPONSE_BODY_LIMIT);
+    } catch (error) {
+      // Body is informational only
+    }
+
+    return {
+      ok: response.ok,
+      responseCode: response.status,
+      responseBody,
+      retryable: isRetryable(response.status),
+      retryAfter: parseRetryAfter(response.headers.get('retry-after')),
+      error: response.ok ? null : `HTTP ${response.status}`
+    };
+  } catch (error) {
+    // Network errors and timeouts
+    return { ok: false, responseCode: null, responseBody: null, retryable: true, retryAfter: null, error: error.message };
+  }
+}
+
+/**
+ * Send the payload as an encrypted DM; delivered once any relay accepts it
+ * The relays' answers are kept as the response body.
+ * @returns {Promise<object>} - Attempt outcome
+ */
+async function sendDm(delivery, pubkey, protocol) {
+  try {
+    const sent = await nostrDm.sendDirectMessage(pubkey, JSON.stringify(delivery.payload), protocol);
+    const ok = sent.accepted.length > 0;
+
+    return {
+      ok,
+      responseCode: null,
+      responseBody: JSON.stringify(sent).slice(0, RESPONSE_BODY_LIMIT),
+      retryable: true,
+      retryAfter: null,
+      error: ok ? null : `No relay accepted the DM (${sent.failed.map(f => `${f.relay}: ${f.reason}`).join('; ') || 'no relays'})`
+    };
+  } catch (error) {
+    // A payload too large to encrypt will be just as large next time
+    const retryable = error.code !== nostrDm.PAYLOAD_SIZE_ERROR;
+    return { ok: false, responseCode: null, responseBody: null, retryable, retryAfter: null, error: error.message };
+  }
+}
+
+/**
+ * Make one delivery attempt through the subscription's current channel
+ * @returns {Promise<boolean>} - true if the endpoint accepted it
+ */
+async function attemptDelivery(delivery) {
+  const subscription = await db.query(
+    `SELECT url, secret, enabled, circuit_state, channel, dm_pubkey, dm_protocol, payload_format
+     FROM webhook_subscriptions WHERE id = $1`,
+    [delivery.subscription_id]
+  );
+
+  if (subscription.rows.length === 0) {
+    console.error(`Webhook subscription ${delivery.subscription_id} not found`);
+    return false;
+  }
+
+  const { url, secret, enabled, circuit_state, channel, dm_pubkey, dm_protocol, payload_format } = subscription.rows[0];
+
+  if (!enabled) {
+    await recordAttempt(delivery, {
+      ok: false, responseCode: null, responseBody: null, retryable: false, retryAfter: null,
+      error: 'Subscription disabled'
+    });
+    return false;
+  }
+
+  // A server misconfiguration, not the recipient's fault: don't count it against the circuit
+  if (channel === 'nostr_dm' && !nostrDm.isConfigured()) {
+    await recordAttempt(delivery, {
+      ok: false, responseCode: null, responseBody: null, retryable: false, retryAfter: null,
+      error: 'NOSTR_SERVICE_KEY is not set'
+    });
+    return false;
+  }
+
+  // A half-open endpoint gets one probe at a time; the rest wait for its outcome
+  if (circuit_state === 'open' || circuit_state === 'disabled' ||
+      (circuit_state === 'half_open' && !(await webhookCircuit.claimProbe(delivery.subscription_id)))) {
+    await holdDelivery(delivery.id);
+    return false;
+  }
+
+  const outcome = channel === 'nostr_dm'
+    ? await sendDm(delivery, dm_pubkey, dm_protocol)
+    : await postWebhook(delivery, url, secret, payload_format);
+
+  const circuitState = outcome.ok
+    ? await webhookCircuit.recordSuccess(delivery.subscription_id)
+    : await webhookCircuit.recordFailure(delivery.subscription_id, outcome.error);
+
+  await recordAttempt(delivery, outcome, circuitState);
+  return outcome.ok;
+}
+
+/**
+ * Whether new deliveries to a subscription must wait behind its held backlog
+ */
+async function isHeld(subscription) {
+  const state = subscription.circuit_state;
+  return state === 'open' || state === 'disabled' ||
+    (state === 'half_open' && await webhookCircuit.hasBacklog(subscription.id));
+}
+
+/**
+ * Group a subscription's queued events, oldest first, into 'batch' deliveries and send them
+ * The envelope lists each event with its own delivery_id; the events' rows point back at the batch.
+ */
+async function flushBatch(subscription) {
+  const limit = subscription.delivery_mode === 'batched' ? subscription.batch_max_events : DIGEST_MAX_EVENTS;
+  const mode = subscription.delivery_mode === 'digest' ? 'digest' : 'batched';
+
+  while (true) {
+    const held = await isHeld(subscription);
+    const next = await db.query(`SELECT nextval(pg_get_serial_sequence('webhook_logs', 'id')) AS id`);
+    const batchId = parseInt(next.rows[0].id);
+
+    // Claim the events and create the batch in one statement, so a crash can't orphan either
+    const result = await db.query(
+      `WITH members AS (
+         UPDATE webhook_logs SET status = 'batched', batch_id = $1
+         WHERE id IN (
+           SELECT id FROM webhook_logs
+           WHERE subscription_id = $3 AND status = 'queued'
+           ORDER BY id
+           LIMIT $5
+           FOR UPDATE SKIP LOCKED
+         )
+         RETURNING id, delivery_id, payload
+       )
+       INSERT INTO webhook_logs (id, user_id, subscription_id, event_type, payload, status, attempts, next_attempt_at)
+       SELECT $1, $2, $3, 'batch',
+              jsonb_build_object(
+                'event_type', 'batch',
+                'timestamp', floor(extract(epoch FROM NOW()))::bigint,
+                'mode', $4::text,
+                'count', COUNT(*),
+                'events', jsonb_agg(payload || jsonb_build_object('delivery_id', delivery_id) ORDER BY id)
+              ),
+              CASE WHEN $6 THEN 'paused' ELSE 'pending' END,
+              0,
+              CASE WHEN $6 THEN NULL ELSE NOW() + make_interval(secs => $7) END
+       FROM members
+       HAVING COUNT(*) > 0
+       RETURNING ${DELIVERY_COLUMNS}`,
+      [batchId, subscription.user_id, subscription.id, mode, limit, held, CLAIM_SECONDS]
+    );
+
+    if (result.rows.length === 0) return;
+
+    const batch = result.rows[0];
+    console.log(`📦 Batched ${batch.payload.count} webhook events for subscription ${subscription.id} into delivery ${batch.delivery_id}`);
+
+    if (!held) await attemptDelivery(batch);
+    if (batch.payload.count < limit) return;
+  }
+}
+
+/**
+ * Hold an event for the subscription's next batch or digest
+ * A batched subscription flushes right away once batch_max_events are waiting.
+ */
+async function enqueue(subscription, eventType, payload) {
+  const result = await db.query(
+    `INSERT INTO webhook_logs (user_id, subscription_id, event_type, payload, status, attempts)
+     VALUES ($1, $2, $3, $4, 'queued', 0)
+     RETURNING delivery_id`,
+    [subscription.user_id, subscription.id, eventType, JSON.stringify(payload)]
+  );
+
+  console.log(`📥 Webhook ${eventType} for user ${subscription.user_id} queued for subscription ${subscription.id}'s next ${subscription.delivery_mode} (${result.rows[0].delivery_id})`);
+
+  if (subscription.delivery_mode === 'batched') {
+    const waiting = await db.query(
+      `SELECT COUNT(*) AS count FROM webhook_logs WHERE subscription_id = $1 AND status = 'queued'`,
+      [subscription.id]
+    );
+
+    if (parseInt(waiting.rows[0].count) >= subscription.batch_max_events) {
+      await flushBatch(subscription);
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Flush every subscription whose batch window or digest hour is up
+ * Leftovers from a subscription switched back to immediate go out as one last batch.
+ */
+async function processDueBatches() {
+  const result = await db.query(
+    `SELECT s.id, s.user_id, s.delivery_mode, s.batch_max_events, s.circuit_state
+     FROM webhook_subscriptions s
+     JOIN (
+       SELECT subscription_id, MIN(created_at) AS oldest, COUNT(*) AS waiting
+       FROM webhook_logs
+       WHERE status = 'queued'
+       GROUP BY subscription_id
+     ) q ON q.subscription_id = s.id
+     WHERE s.delivery_mode = 'immediate'
+        OR (s.delivery_mode = 'batched'
+            AND (q.oldest <= NOW() - make_interval(secs => s.batch_window_seconds) OR q.waiting >= s.batch_max_events))
+        OR (s.delivery_mode = 'digest' AND q.oldest < date_trunc('hour', NOW()))`
+  );
+
+  for (const subscription of result.rows) {
+    try {
+      await flushBatch(subscription);
+    } catch (error) {
+      console.error(`Webhook batch error for subscription ${subscription.id}:`, error.message);
+    }
+  }
+}
+
+/**
+ * Queue a delivery to one subscription and attempt it right away
+ * The row is claimed while the first attempt runs so the retry worker leaves it alone.
+ * If the endpoint's circuit isn't closed it is held behind the endpoint's backlog instead,
+ * and subscriptions in batched/digest mode queue it for their next batch.
+ * @param {object} subscription - Row from webhook_subscriptions
+ * @returns {Promise<boolean>} - true if the first attempt succeeded
+ */
+async function deliver(subscription, eventType, payload) {
+  if (subscription.delivery_mode && subscription.delivery_mode !== 'immediate') {
+    return enqueue(subscription, eventType, payload);
+  }
+
+  if (await isHeld(subscription)) {
+    await db.query(
+      `INSERT INTO webhook_logs (user_id, subscription_id, event_type, payload, status, attempts)
+       VALUES ($1, $2, $3, $4, 'paused', 0)`,
+      [subscription.user_id, subscription.id, eventType, JSON.stringify(payload)]
+    );
+    return false;
+  }
+
+  const result = await db.query(
+    `INSERT INTO webhook_logs (user_id, subscription_id, event_type, payload, status, attempts, next_attempt_at)
+     VALUES ($1, $2, $3, $4, 'pending', 0, NOW() + make_interval(secs => $5))
+     RETURNING ${DELIVERY_COLUMNS}`,
+    [subscription.user_id, subscription.id, eventType, JSON.stringify(payload), CLAIM_SECONDS]
+  );
+
+  return attemptDelivery(result.rows[0]);
+}
+
+/**
+ * Flush due batches, then claim due deliveries and retry them, oldest first
+ * Safe to run from several processes: claimed rows are skipped by the others
+ */
+async function processDueDeliveries() {
+  if (processing) return;
+  processing = true;
+
+  try {
+    await webhookCircuit.releaseProbes();
+    await processDueBatches();
+
+    const result = await db.query(
+      `UPDATE webhook_logs
+       SET next_attempt_at = NOW() + make_interval(secs => $1)
+       WHERE id IN (
+         SELECT id FROM webhook_logs
+         WHERE status = 'pending' AND next_attempt_at <= NOW()
+         ORDER BY next_attempt_at, id
+         LIMIT $2
+         FOR UPDATE SKIP LOCKED
+       )
+       RETURNING ${DELIVERY_COLUMNS}`,
+      [CLAIM_SECONDS, BATCH_SIZE]
+    );
+
+    const deliveries = result.rows.sort((a, b) => a.id - b.id);
+
+    for (const delivery of deliveries) {
+      try {
+        await attemptDelivery(delivery);
+      } catch (error) {
+        console.error(`Webhook retry error for delivery ${delivery.id}:`, error.message);
+      }
+    }
+
+    if (deliveries.length > 0) {
+      console.log(`🔁 Retried ${deliveries.length} webhook deliveries`);
+    }
+  } catch (error) {
+    console.error('Failed to process webhook retries:', error.message);
+  } finally {
+    processing = false;
+  }
+}
+
+/**
+ * Run the retry/batch worker in this process until stopWorker()
+ * The API, relay listener and scheduler each start one, so retries, batch and digest flushes
+ * and requeued dead letters go out whichever of them a deployment runs.
+ */
+function startWorker() {
+  if (workerTimer) return;
+  workerTimer = setInterval(processDueDeliveries, WORKER_INTERVAL_MS);
+}
+
+function stopWorker() {
+  clearInterval(workerTimer);
+  workerTimer = null;
+}
+
+/**
+ * Redeliver one dead-lettered delivery to its subscription's current URL right away
+ * Starts a fresh set of attempts; if this one fails it is retried like a new delivery.
+ * @returns {Promise<object|null>} - { delivery_id, delivered } or null if there is no such dead delivery
+ */
+async function redeliver(userId, deliveryId) {
+  const result = await db.query(
+    `UPDATE webhook_logs
+     SET status = 'pending', attempts = 0, redeliveries = redeliveries + 1, dead_at = NULL,
+         next_attempt_at = NOW() + make_interval(secs => $3)
+     WHERE user_id = $1 AND delivery_id = $2 AND status = 'dead'
+     RETURNING ${DELIVERY_COLUMNS}`,
+    [userId, deliveryId, CLAIM_SECONDS]
+  );
+
+  if (result.rows.length === 0) return null;
+
+  const delivery = result.rows[0];
+  return { delivery_id: delivery.delivery_id, delivered: await attemptDelivery(delivery) };
+}
+
+/**
+ * Put every dead-lettered delivery for a user back on the queue
+ * The retry worker sends them oldest first.
+ * @returns {Promise<number>} - Deliveries requeued
+ */
+async function redeliverAll(userId) {
+  const result = await db.query(
+    `UPDATE webhook_logs
+     SET status = 'pending', attempts = 0, redeliveries = redeliveries + 1, dead_at = NULL,
+         next_attempt_at = NOW()
+     WHERE user_id = $1 AND status = 'dead'`,
+    [userId]
+  );
+
+  return result.rowCount;
+}
+
+module.exports = {
+  retryDelaySeconds,
+  parseRetryAfter,
+  deliver,
+  processDueDeliveries,
+  startWorker,
+  stopWorker,
+  redeliver,
+  redeliverAll
+};
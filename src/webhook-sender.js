@@ -3,35 +3,22 @@
  * Sends events to user OpenClaw instances
  */
 
-const crypto = require('crypto');
 const db = require('./db');
-const config = require('./config');
+const profileCache = require('./profile-cache');
+const webhookQueue = require('./webhook-queue');
+const webhookSubscriptions = require('./webhook-subscriptions');
+const webhookCircuit = require('./webhook-circuit');
 
 /**
- * Sign webhook payload
+ * Send webhook to every subscription of the user that wants this event type
+ * Failed attempts are retried in the background by webhook-queue
+ * @param {object} options - { excludeSubscriptionId }
+ * @returns {Promise<boolean>} - true if at least one endpoint accepted it
  */
-function signPayload(payload, secret) {
-  const hmac = crypto.createHmac('sha256', secret);
-  return hmac.update(JSON.stringify(payload)).digest('hex');
-}
-
-/**
- * Send webhook to user's OpenClaw instance
- */
-async function sendWebhook(userId, eventType, payload) {
+async function sendWebhook(userId, eventType, payload, options = {}) {
   try {
-    // Get user webhook config
-    const result = await db.query(
-      'SELECT webhook_url, webhook_secret FROM users WHERE id = $1',
-      [userId]
-    );
-    
-    if (result.rows.length === 0) {
-      console.error(`User ${userId} not found`);
-      return false;
-    }
-    
-    const { webhook_url, webhook_secret } = result.rows[0];
+    const subscriptions = (await webhookSubscriptions.matchingSubscriptions(userId, eventType))
+      .filter(subscription => subscription.id !== options.excludeSubscriptionId);
     
     // Add event metadata
     const fullPayload = {
@@ -40,71 +27,43 @@ async function sendWebhook(userId, eventType, payload) {
       ...payload
     };
     
-    // Sign payload
-    const signature = signPayload(fullPayload, webhook_secret);
-    
-    // Send webhook
-    const response = await fetch(webhook_url, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'X-Deep-Claw-Signature': signature,
-        'User-Agent': 'DeepClaw-Analytics/1.0'
-      },
-      body: JSON.stringify(fullPayload),
-      signal: AbortSignal.timeout(config.webhooks.timeout)
-    });
-    
-    // Log webhook
-    await db.query(
-      `INSERT INTO webhook_logs (user_id, event_type, payload, status, response_code, sent_at)
-       VALUES ($1, $2, $3, $4, $5, NOW())`,
-      [
-        userId,
-        eventType,
-        JSON.stringify(fullPayload),
-        response.ok ? 'sent' : 'failed',
-        response.status
-      ]
-    );
-    
-    if (response.ok) {
-      console.log(`✅ Webhook sent to user ${userId}: ${eventType}`);
-      return true;
-    } else {
-      console.error(`❌ Webhook failed for user ${userId}: ${response.status}`);
-      return false;
+    let delivered = false;
+    for (const subscription of subscriptions) {
+      try {
+        if (await webhookQueue.deliver(subscription, eventType, fullPayload)) delivered = true;
+      } catch (error) {
+        console.error(`Webhook error for user ${userId}, subscription ${subscription.id}:`, error.message);
+      }
     }
     
+    return delivered;
+    
   } catch (error) {
     console.error(`Webhook error for user ${userId}:`, error.message);
-    
-    // Log failed webhook
-    await db.query(
-      `INSERT INTO webhook_logs (user_id, event_type, payload, status, error_message, sent_at)
-       VALUES ($1, $2, $3, $4, $5, NOW())`,
-      [
-        userId,
-        eventType,
-        JSON.stringify(payload),
-        'failed',
-        error.message
-      ]
-    );
-    
     return false;
   }
 }
 
+/**
+ * Describe a pubkey for webhook payloads using its cached profile
+ */
+async function describePubkey(pubkey) {
+  const profile = await profileCache.getProfile(pubkey);
+  
+  return {
+    npub: pubkey,
+    display_name: profileCache.displayName(profile, pubkey),
+    picture: profile?.picture || null,
+    nip05: profile?.nip05 || null
+  };
+}
+
 /**
  * Send mention webhook
  */
 async function sendMentionWebhook(userId, event) {
   const payload = {
-    author: {
-      npub: event.pubkey,
-      display_name: event.pubkey.substring(0, 8) + '...' // TODO: fetch profile
-    },
+    author: await describePubkey(event.pubkey),
     content: event.content,
     note_id: event.id,
     created_at: event.created_at
@@ -113,59 +72,191 @@ async function sendMentionWebhook(userId, event) {
   return sendWebhook(userId, 'mention', payload);
 }
 
+/**
+ * Send reply webhook
+ */
+async function sendReplyWebhook(userId, event, replyId, rootId, parentContent) {
+  const payload = {
+    author: await describePubkey(event.pubkey),
+    content: event.content,
+    note_id: event.id,
+    reply_to: {
+      note_id: replyId,
+      root_id: rootId,
+      content: parentContent
+    },
+    created_at: event.created_at
+  };
+  
+  return sendWebhook(userId, 'reply', payload);
+}
+
 /**
  * Send new follower webhook
  */
 async function sendFollowerWebhook(userId, event) {
   // Get total follower count
   const result = await db.query(
-    'SELECT COUNT(*) as total FROM followers WHERE user_id = $1',
+    'SELECT COUNT(*) as total FROM followers WHERE user_id = $1 AND unfollowed_at IS NULL',
     [userId]
   );
   
   const payload = {
-    follower: {
-      npub: event.pubkey,
-      display_name: event.pubkey.substring(0, 8) + '...' // TODO: fetch profile
-    },
+    follower: await describePubkey(event.pubkey),
     total_followers: parseInt(result.rows[0].total)
   };
   
   return sendWebhook(userId, 'new_follower', payload);
 }
 
+/**
+ * Send unfollow webhook
+ */
+async function sendUnfollowWebhook(userId, event, unfollowedAt) {
+  const result = await db.query(
+    'SELECT COUNT(*) as total FROM followers WHERE user_id = $1 AND unfollowed_at IS NULL',
+    [userId]
+  );
+  
+  const payload = {
+    follower: await describePubkey(event.pubkey),
+    unfollowed_at: unfollowedAt,
+    total_followers: parseInt(result.rows[0].total)
+  };
+  
+  return sendWebhook(userId, 'unfollow', payload);
+}
+
 /**
  * Send zap webhook
+ * @param {object} zap - Validated receipt details from zaps.parseZapReceipt
  */
-async function sendZapWebhook(userId, event, amountSats) {
+async function sendZapWebhook(userId, event, zap) {
   const payload = {
-    from: {
-      npub: event.pubkey,
-      display_name: event.pubkey.substring(0, 8) + '...'
-    },
-    amount_sats: amountSats,
-    message: event.content || '',
-    note_id: event.id
+    from: await describePubkey(zap.senderPubkey),
+    amount_sats: zap.amountSats,
+    message: zap.comment,
+    note_id: zap.noteId,
+    receipt_id: event.id
   };
   
   return sendWebhook(userId, 'zap', payload);
 }
 
+/**
+ * Send reaction webhook
+ */
+async function sendReactionWebhook(userId, event, emoji, noteId) {
+  const payload = {
+    from: await describePubkey(event.pubkey),
+    emoji,
+    note_id: noteId,
+    reaction_id: event.id,
+    created_at: event.created_at
+  };
+  
+  return sendWebhook(userId, 'reaction', payload);
+}
+
+/**
+ * Send repost webhook
+ */
+async function sendRepostWebhook(userId, event, noteId) {
+  const payload = {
+    from: await describePubkey(event.pubkey),
+    note_id: noteId,
+    repost_id: event.id,
+    created_at: event.created_at
+  };
+  
+  return sendWebhook(userId, 'repost', payload);
+}
+
+/**
+ * Send deleted webhook (NIP-09) - opt-in via the notify_deletions setting
+ * @param {object} deletion - The kind 5 event
+ * @param {object} removed - { events: [{ event_id, event_type, note_id }], posts: [{ note_id }] }
+ */
+async function sendDeletedWebhook(userId, deletion, removed) {
+  const result = await db.query(
+    `SELECT COALESCE((settings->>'notify_deletions')::boolean, false) as enabled
+     FROM users WHERE id = $1`,
+    [userId]
+  );
+  
+  if (!result.rows[0]?.enabled) return false;
+  
+  const payload = {
+    from: await describePubkey(deletion.pubkey),
+    deletion_id: deletion.id,
+    reason: deletion.content || null,
+    deleted_events: removed.events.map(row => ({
+      event_id: row.event_id,
+      event_type: row.event_type,
+      note_id: row.note_id
+    })),
+    deleted_posts: removed.posts.map(row => row.note_id),
+    created_at: deletion.created_at
+  };
+  
+  return sendWebhook(userId, 'deleted', payload);
+}
+
+/**
+ * Alert the user's other endpoints that the circuit breaker disabled one of theirs
+ */
+async function sendEndpointDisabledWebhook(subscription) {
+  const held = await db.query(
+    `SELECT COUNT(*) AS count FROM webhook_logs WHERE subscription_id = $1 AND status = 'paused'`,
+    [subscription.id]
+  );
+
+  const payload = {
+    subscription: {
+      id: subscription.id,
+      channel: subscription.channel,
+      url: subscription.url,
+      dm_pubkey: subscription.dm_pubkey,
+      description: subscription.description
+    },
+    consecutive_failures: subscription.consecutive_failures,
+    failing_since: subscription.circuit_opened_at,
+    last_error: subscription.last_error,
+    held_deliveries: parseInt(held.rows[0].count),
+    reenable: `POST /webhooks/subscriptions/${subscription.id}/enable`
+  };
+
+  const alerted = await sendWebhook(subscription.user_id, 'endpoint_disabled', payload, {
+    excludeSubscriptionId: subscription.id
+  });
+
+  if (!alerted) {
+    console.error(`⛔ No other endpoint accepted the disabled alert for user ${subscription.user_id}`);
+  }
+
+  return alerted;
+}
+
+webhookCircuit.onDisabled(sendEndpointDisabledWebhook);
+
 /**
  * Send daily summary webhook
+ * @param {string} date - The user's local date (YYYY-MM-DD), defaults to today in UTC
  */
-async function sendDailySummary(userId) {
+async function sendDailySummary(userId, date = new Date().toISOString().split('T')[0]) {
   try {
     // Calculate stats for last 24h
     const followersResult = await db.query(
-      `SELECT COUNT(*) as new_followers 
+      `SELECT 
+         COUNT(*) FILTER (WHERE followed_at > NOW() - INTERVAL '24 hours') as new_followers,
+         COUNT(*) FILTER (WHERE unfollowed_at > NOW() - INTERVAL '24 hours') as lost_followers
        FROM followers 
-       WHERE user_id = $1 AND followed_at > NOW() - INTERVAL '24 hours'`,
+       WHERE user_id = $1`,
       [userId]
     );
     
     const totalFollowersResult = await db.query(
-      'SELECT COUNT(*) as total FROM followers WHERE user_id = $1',
+      'SELECT COUNT(*) as total FROM followers WHERE user_id = $1 AND unfollowed_at IS NULL',
       [userId]
     );
     
@@ -188,9 +279,10 @@ async function sendDailySummary(userId) {
     );
     
     const payload = {
-      date: new Date().toISOString().split('T')[0],
+      date,
       stats: {
         new_followers: parseInt(followersResult.rows[0].new_followers),
+        lost_followers: parseInt(followersResult.rows[0].lost_followers),
         total_followers: parseInt(totalFollowersResult.rows[0].total),
         posts: parseInt(postsResult.rows[0].posts),
         likes: parseInt(engagementResult.rows[0].likes),
@@ -209,29 +301,158 @@ async function sendDailySummary(userId) {
 }
 
 /**
- * Send daily summaries to all users
+ * A metric this week compared with the week before
+ */
+function weekOverWeek(current, previous) {
+  current = parseInt(current) || 0;
+  previous = parseInt(previous) || 0;
+
+  return {
+    current,
+    previous,
+    change: current - previous,
+    change_pct: previous > 0 ? Math.round((current - previous) / previous * 1000) / 10 : null
+  };
+}
+
+/**
+ * Send weekly digest webhook
+ * Covers the last 7 days, compared with the 7 days before
+ * @param {string} weekEnding - The user's local date the digest is sent on (YYYY-MM-DD)
  */
-async function sendAllDailySummaries() {
+async function sendWeeklyDigest(userId, weekEnding = new Date().toISOString().split('T')[0]) {
   try {
-    const result = await db.query('SELECT id FROM users');
-    
-    for (const user of result.rows) {
-      await sendDailySummary(user.id);
-      // Small delay to avoid hammering
-      await new Promise(resolve => setTimeout(resolve, 1000));
-    }
-    
-    console.log(`📊 Sent daily summaries to ${result.rows.length} users`);
+    const followersResult = await db.query(
+      `SELECT
+         COUNT(*) FILTER (WHERE followed_at > NOW() - INTERVAL '7 days') as new_followers,
+         COUNT(*) FILTER (WHERE followed_at > NOW() - INTERVAL '14 days'
+                            AND followed_at <= NOW() - INTERVAL '7 days') as prev_new_followers,
+         COUNT(*) FILTER (WHERE unfollowed_at > NOW() - INTERVAL '7 days') as lost_followers,
+         COUNT(*) FILTER (WHERE unfollowed_at > NOW() - INTERVAL '14 days'
+                            AND unfollowed_at <= NOW() - INTERVAL '7 days') as prev_lost_followers,
+         COUNT(*) FILTER (WHERE unfollowed_at IS NULL) as total
+       FROM followers
+       WHERE user_id = $1`,
+      [userId]
+    );
+
+    const postsResult = await db.query(
+      `SELECT
+         COUNT(*) FILTER (WHERE this_week) as posts,
+         COUNT(*) FILTER (WHERE NOT this_week) as prev_posts,
+         COALESCE(SUM(likes) FILTER (WHERE this_week), 0) as likes,
+         COALESCE(SUM(likes) FILTER (WHERE NOT this_week), 0) as prev_likes,
+         COALESCE(SUM(reposts) FILTER (WHERE this_week), 0) as reposts,
+         COALESCE(SUM(reposts) FILTER (WHERE NOT this_week), 0) as prev_reposts,
+         COALESCE(SUM(replies) FILTER (WHERE this_week), 0) as replies,
+         COALESCE(SUM(replies) FILTER (WHERE NOT this_week), 0) as prev_replies,
+         COALESCE(SUM(zaps_sats) FILTER (WHERE this_week), 0) as sats,
+         COALESCE(SUM(zaps_sats) FILTER (WHERE NOT this_week), 0) as prev_sats
+       FROM (
+         SELECT *, posted_at > NOW() - INTERVAL '7 days' as this_week
+         FROM posts
+         WHERE user_id = $1 AND posted_at > NOW() - INTERVAL '14 days'
+       ) recent`,
+      [userId]
+    );
+
+    const bestPostResult = await db.query(
+      `SELECT note_id, content, posted_at, likes, reposts, replies, zaps_count, zaps_sats
+       FROM posts
+       WHERE user_id = $1 AND posted_at > NOW() - INTERVAL '7 days'
+       ORDER BY (likes + reposts + replies + zaps_count) DESC, zaps_sats DESC, posted_at DESC
+       LIMIT 1`,
+      [userId]
+    );
+
+    const engagersResult = await db.query(
+      `SELECT
+         author_npub,
+         COUNT(*) as interactions,
+         COUNT(*) FILTER (WHERE event_type = 'zap') as zaps,
+         COUNT(*) FILTER (WHERE event_type = 'reply') as replies,
+         COUNT(*) FILTER (WHERE event_type = 'like') as reactions,
+         COUNT(*) FILTER (WHERE event_type = 'repost') as reposts,
+         COALESCE(SUM((metadata->>'amount_sats')::int) FILTER (WHERE event_type = 'zap'), 0) as sats
+       FROM events
+       WHERE user_id = $1
+         AND created_at > NOW() - INTERVAL '7 days'
+         AND event_type IN ('zap', 'reply', 'like', 'repost')
+       GROUP BY author_npub
+       ORDER BY interactions DESC, sats DESC
+       LIMIT 5`,
+      [userId]
+    );
+
+    const newFollowersResult = await db.query(
+      `SELECT follower_npub, followed_at
+       FROM followers
+       WHERE user_id = $1 AND followed_at > NOW() - INTERVAL '7 days' AND unfollowed_at IS NULL
+       ORDER BY followed_at DESC
+       LIMIT 10`,
+      [userId]
+    );
+
+    const followers = followersResult.rows[0];
+    const posts = postsResult.rows[0];
+    const bestPost = bestPostResult.rows[0];
+
+    const payload = {
+      week_ending: weekEnding,
+      stats: {
+        total_followers: parseInt(followers.total),
+        new_followers: weekOverWeek(followers.new_followers, followers.prev_new_followers),
+        lost_followers: weekOverWeek(followers.lost_followers, followers.prev_lost_followers),
+        posts: weekOverWeek(posts.posts, posts.prev_posts),
+        likes: weekOverWeek(posts.likes, posts.prev_likes),
+        reposts: weekOverWeek(posts.reposts, posts.prev_reposts),
+        replies: weekOverWeek(posts.replies, posts.prev_replies),
+        zaps_sats: weekOverWeek(posts.sats, posts.prev_sats)
+      },
+      best_post: bestPost ? {
+        note_id: bestPost.note_id,
+        content: bestPost.content,
+        posted_at: bestPost.posted_at,
+        likes: bestPost.likes,
+        reposts: bestPost.reposts,
+        replies: bestPost.replies,
+        zaps_count: bestPost.zaps_count,
+        zaps_sats: parseInt(bestPost.zaps_sats)
+      } : null,
+      top_engagers: await Promise.all(engagersResult.rows.map(async row => ({
+        ...(await describePubkey(row.author_npub)),
+        interactions: parseInt(row.interactions),
+        zaps: parseInt(row.zaps),
+        replies: parseInt(row.replies),
+        reactions: parseInt(row.reactions),
+        reposts: parseInt(row.reposts),
+        zaps_sats: parseInt(row.sats)
+      }))),
+      new_followers: await Promise.all(newFollowersResult.rows.map(async row => ({
+        ...(await describePubkey(row.follower_npub)),
+        followed_at: row.followed_at
+      })))
+    };
+
+    return sendWebhook(userId, 'weekly_digest', payload);
+
   } catch (error) {
-    console.error('Failed to send daily summaries:', error);
+    console.error('Failed to send weekly digest:', error);
+    return false;
   }
 }
 
 module.exports = {
   sendWebhook,
   sendMentionWebhook,
+  sendReplyWebhook,
   sendFollowerWebhook,
+  sendUnfollowWebhook,
   sendZapWebhook,
+  sendReactionWebhook,
+  sendRepostWebhook,
+  sendDeletedWebhook,
+  sendEndpointDisabledWebhook,
   sendDailySummary,
-  sendAllDailySummaries
+  sendWeeklyDigest
 };
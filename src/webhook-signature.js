@@ -0,0 +1,145 @@
+/**
+ * Webhook Signatures
+ * Signs and verifies Deep Claw webhook requests. Depends only on Node's crypto,
+ * so OpenClaw agents can import this file on their side to check incoming webhooks.
+ *
+ * Each request carries:
+ *   X-Deep-Claw-Timestamp - unix seconds when this attempt was sent
+ *   X-Deep-Claw-Delivery  - delivery id, the same on every retry of a delivery
+ *   X-Deep-Claw-Signature - v1=<hex HMAC-SHA256 of "<timestamp>.<delivery id>.<raw body>">
+ *
+ * Receiver example (express):
+ *   app.post('/webhooks/deep-claw', express.raw({ type: 'application/json' }), (req, res) => {
+ *     const check = verifyRequest(req.headers, req.body, process.env.DEEP_CLAW_WEBHOOK_SECRET);
+ *     if (!check.valid || !replayGuard.check(check.deliveryId, check.timestamp)) return res.sendStatus(401);
+ *     handle(JSON.parse(req.body));
+ *     res.sendStatus(200);
+ *   });
+ */
+
+const crypto = require('crypto');
+
+const SIGNATURE_VERSION = 'v1';
+const DEFAULT_TOLERANCE_SECONDS = 5 * 60;
+
+const HEADERS = {
+  signature: 'X-Deep-Claw-Signature',
+  timestamp: 'X-Deep-Claw-Timestamp',
+  delivery: 'X-Deep-Claw-Delivery'
+};
+
+function computeSignature(rawBody, secret, timestamp, deliveryId) {
+  return crypto.createHmac('sha256', secret)
+    .update(`${timestamp}.${deliveryId}.`)
+    .update(Buffer.isBuffer(rawBody) ? rawBody : Buffer.from(rawBody, 'utf8'))
+    .digest('hex');
+}
+
+/**
+ * Headers for one delivery attempt
+ * @param {string|Buffer} rawBody - The exact bytes being sent
+ * @param {string} secret - The endpoint's webhook secret
+ * @param {string} deliveryId - Stable delivery id
+ * @param {number} timestamp - Unix seconds, defaults to now
+ */
+function signatureHeaders(rawBody, secret, deliveryId, timestamp = Math.floor(Date.now() / 1000)) {
+  return {
+    [HEADERS.signature]: `${SIGNATURE_VERSION}=${computeSignature(rawBody, secret, timestamp, deliveryId)}`,
+    [HEADERS.timestamp]: String(timestamp),
+    [HEADERS.delivery]: deliveryId
+  };
+}
+
+/**
+ * Verify a webhook signature over the raw request body
+ * Accepts a comma-separated list of signatures, any of which may match.
+ * @param {object} options - { rawBody, secret, signature, timestamp, deliveryId, toleranceSeconds, now }
+ * @returns {object} - { valid: true, timestamp, deliveryId } or { valid: false, reason }
+ */
+function verify(options) {
+  const { rawBody, secret, signature, deliveryId } = options;
+  const toleranceSeconds = options.toleranceSeconds ?? DEFAULT_TOLERANCE_SECONDS;
+  const now = options.now ?? Math.floor(Date.now() / 1000);
+  const timestamp = parseInt(options.timestamp);
+
+  if (rawBody === undefined || rawBody === null) return { valid: false, reason: 'missing body' };
+  if (!signature) return { valid: false, reason: 'missing signature' };
+  if (!deliveryId) return { valid: false, reason: 'missing delivery id' };
+  if (!Number.isInteger(timestamp)) return { valid: false, reason: 'missing timestamp' };
+
+  if (Math.abs(now - timestamp) > toleranceSeconds) {
+    return { valid: false, reason: 'timestamp outside tolerance' };
+  }
+
+  const expected = Buffer.from(computeSignature(rawBody, secret, timestamp, deliveryId), 'hex');
+
+  const matched = String(signature).split(',').some(part => {
+    const [version, value] = part.trim().split('=');
+    if (version !== SIGNATURE_VERSION || !value) return false;
+
+    const candidate = Buffer.from(value, 'hex');
+    return candidate.length === expected.length && crypto.timingSafeEqual(candidate, expected);
+  });
+
+  return matched
+    ? { valid: true, timestamp, deliveryId }
+    : { valid: false, reason: 'signature mismatch' };
+}
+
+/**
+ * Verify an incoming request from its headers
+ * @param {object} headers - Request headers (Node lowercases names; any case works)
+ * @param {string|Buffer} rawBody - Body exactly as received, before JSON parsing
+ * @param {string} secret - Your webhook secret
+ * @param {object} options - { toleranceSeconds, now }
+ */
+function verifyRequest(headers, rawBody, secret, options = {}) {
+  const header = (name) => {
+    const key = Object.keys(headers || {}).find(k => k.toLowerCase() === name.toLowerCase());
+    return key ? headers[key] : undefined;
+  };
+
+  return verify({
+    ...options,
+    rawBody,
+    secret,
+    signature: header(HEADERS.signature),
+    timestamp: header(HEADERS.timestamp),
+    deliveryId: header(HEADERS.delivery)
+  });
+}
+
+/**
+ * Remembers delivery attempts seen within the tolerance window, so a captured
+ * request can't be replayed while its timestamp is still accepted.
+ * Retries of a delivery carry a new timestamp, so they still get through.
+ */
+function createReplayGuard(toleranceSeconds = DEFAULT_TOLERANCE_SECONDS) {
+  const seen = new Map(); // "<delivery id>:<timestamp>" -> timestamp
+
+  /**
+   * @returns {boolean} - true the first time an attempt is seen, false for a replay
+   */
+  function check(deliveryId, timestamp, now = Math.floor(Date.now() / 1000)) {
+    for (const [key, seenAt] of seen) {
+      if (now - seenAt > toleranceSeconds) seen.delete(key);
+    }
+
+    const key = `${deliveryId}:${timestamp}`;
+    if (seen.has(key)) return false;
+
+    seen.set(key, timestamp);
+    return true;
+  }
+
+  return { check };
+}
+
+module.exports = {
+  HEADERS,
+  DEFAULT_TOLERANCE_SECONDS,
+  signatureHeaders,
+  verify,
+  verifyRequest,
+  createReplayGuard
+};
@@ -0,0 +1,214 @@
+/**
+ * Webhook Subscriptions
+ * A user's webhook endpoints and the event types each one receives
+ */
+
+const db = require('./db');
+
+// Every event type sendWebhook can produce
+const EVENT_TYPES = [
+  'mention',
+  'reply',
+  'new_follower',
+  'unfollow',
+  'zap',
+  'reaction',
+  'repost',
+  'deleted',
+  'daily_summary',
+  'weekly_digest',
+  'endpoint_disabled'
+];
+
+// immediate: one request per event; batched: grouped every N seconds or M events; digest: grouped hourly
+const DELIVERY_MODES = ['immediate', 'batched', 'digest'];
+
+// webhook: signed HTTP POST to url; nostr_dm: encrypted DM to dm_pubkey (see nostr-dm)
+const CHANNELS = ['webhook', 'nostr_dm'];
+
+const COLUMNS = 'id, user_id, url, secret, event_types, enabled, is_primary, description, circuit_state, ' +
+  'delivery_mode, batch_window_seconds, batch_max_events, channel, dm_pubkey, dm_protocol, payload_format, ' +
+  'created_at, updated_at';
+
+/**
+ * Check a webhook URL is an absolute http(s) URL
+ */
+function isValidUrl(url) {
+  try {
+    const parsed = new URL(url);
+    return parsed.protocol === 'http:' || parsed.protocol === 'https:';
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Normalize requested event types
+ * Missing, empty or ['*'] means every event type (stored as an empty array)
+ * @returns {object} - { eventTypes } or { error }
+ */
+function normalizeEventTypes(eventTypes) {
+  if (eventTypes === undefined || eventTypes === null) return { eventTypes: [] };
+  if (!Array.isArray(eventTypes)) return { error: 'event_types must be an array' };
+  if (eventTypes.includes('*')) return { eventTypes: [] };
+
+  const unknown = eventTypes.filter(type => !EVENT_TYPES.includes(type));
+  if (unknown.length > 0) {
+    return { error: `Unknown event types: ${unknown.join(', ')}. Valid: ${EVENT_TYPES.join(', ')}` };
+  }
+
+  return { eventTypes: [...new Set(eventTypes)] };
+}
+
+/**
+ * Enabled subscriptions that want an event type
+ */
+async function matchingSubscriptions(userId, eventType) {
+  const result = await db.query(
+    `SELECT ${COLUMNS} FROM webhook_subscriptions
+     WHERE user_id = $1
+       AND enabled = TRUE
+       AND (cardinality(event_types) = 0 OR $2 = ANY(event_types))
+     ORDER BY id`,
+    [userId, eventType]
+  );
+
+  return result.rows;
+}
+
+async function listSubscriptions(userId) {
+  const result = await db.query(
+    `SELECT ${COLUMNS} FROM webhook_subscriptions WHERE user_id = $1 ORDER BY id`,
+    [userId]
+  );
+
+  return result.rows;
+}
+
+async function getSubscription(userId, subscriptionId) {
+  const result = await db.query(
+    `SELECT ${COLUMNS} FROM webhook_subscriptions WHERE user_id = $1 AND id = $2`,
+    [userId, subscriptionId]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Create or update the primary subscription from the user's webhook_url / webhook_secret
+ * @param {object|null} dm - { pubkey, protocol } to deliver as Nostr DMs instead of to url
+ */
+async function upsertPrimary(userId, url, secret, dm = null) {
+  const result = await db.query(
+    `INSERT INTO webhook_subscriptions (user_id, url, secret, is_primary, channel, dm_pubkey, dm_protocol)
+     VALUES ($1, $2, $3, TRUE, $4, $5, COALESCE($6, 'auto'))
+     ON CONFLICT (user_id) WHERE is_primary
+     DO UPDATE SET url = EXCLUDED.url, secret = EXCLUDED.secret, channel = EXCLUDED.channel,
+                   dm_pubkey = EXCLUDED.dm_pubkey, dm_protocol = EXCLUDED.dm_protocol, updated_at = NOW()
+     RETURNING ${COLUMNS}`,
+    [userId, url, secret, dm ? 'nostr_dm' : 'webhook', dm?.pubkey ?? null, dm?.protocol ?? null]
+  );
+
+  return result.rows[0];
+}
+
+/**
+ * @param {object} fields - { url, secret, eventTypes, enabled, description, deliveryMode, batchWindowSeconds, batchMaxEvents,
+ *                            channel, dmPubkey, dmProtocol, payloadFormat }
+ */
+async function createSubscription(userId, fields) {
+  const result = await db.query(
+    `INSERT INTO webhook_subscriptions
+       (user_id, url, secret, event_types, enabled, description, delivery_mode, batch_window_seconds, batch_max_events,
+        channel, dm_pubkey, dm_protocol, payload_format)
+     VALUES ($1, $2, $3, $4, $5, $6, COALESCE($7, 'immediate'), COALESCE($8, 60), COALESCE($9, 50),
+             COALESCE($10, 'webhook'), $11, COALESCE($12, 'auto'), COALESCE($13, 'native'))
+     RETURNING ${COLUMNS}`,
+    [
+      userId, fields.url ?? null, fields.secret, fields.eventTypes, fields.enabled !== false, fields.description || null,
+      fields.deliveryMode ?? null, fields.batchWindowSeconds ?? null, fields.batchMaxEvents ?? null,
+      fields.channel ?? null, fields.dmPubkey ?? null, fields.dmProtocol ?? null, fields.payloadFormat ?? null
+    ]
+  );
+
+  return result.rows[0];
+}
+
+/**
+ * Update the given fields; changing the primary subscription's url or secret also updates the user
+ * @param {object} fields - Any of { url, secret, eventTypes, enabled, description, deliveryMode, batchWindowSeconds, batchMaxEvents,
+ *                            channel, dmPubkey, dmProtocol, payloadFormat }
+ * @returns {Promise<object|null>} - Updated subscription, or null if not found
+ */
+async function updateSubscription(userId, subscriptionId, fields) {
+  const columns = {
+    url: fields.url,
+    secret: fields.secret,
+    event_types: fields.eventTypes,
+    enabled: fields.enabled,
+    description: fields.description,
+    delivery_mode: fields.deliveryMode,
+    batch_window_seconds: fields.batchWindowSeconds,
+    batch_max_events: fields.batchMaxEvents,
+    channel: fields.channel,
+    dm_pubkey: fields.dmPubkey,
+    dm_protocol: fields.dmProtocol,
+    payload_format: fields.payloadFormat
+  };
+
+  const updates = [];
+  const values = [userId, subscriptionId];
+
+  for (const [column, value] of Object.entries(columns)) {
+    if (value === undefined) continue;
+    values.push(value);
+    updates.push(`${column} = $${values.length}`);
+  }
+
+  const result = await db.query(
+    `UPDATE webhook_subscriptions
+     SET ${[...updates, 'updated_at = NOW()'].join(', ')}
+     WHERE user_id = $1 AND id = $2
+     RETURNING ${COLUMNS}`,
+    values
+  );
+
+  const subscription = result.rows[0] || null;
+
+  if (subscription?.is_primary && (fields.url !== undefined || fields.secret !== undefined)) {
+    await db.query(
+      'UPDATE users SET webhook_url = $2, webhook_secret = $3 WHERE id = $1',
+      [userId, subscription.url, subscription.secret]
+    );
+  }
+
+  return subscription;
+}
+
+/**
+ * Delete a non-primary subscription (and its delivery log)
+ * @returns {Promise<boolean>} - false if not found or primary
+ */
+async function deleteSubscription(userId, subscriptionId) {
+  const result = await db.query(
+    'DELETE FROM webhook_subscriptions WHERE user_id = $1 AND id = $2 AND is_primary = FALSE',
+    [userId, subscriptionId]
+  );
+
+  return result.rowCount > 0;
+}
+
+module.exports = {
+  EVENT_TYPES,
+  DELIVERY_MODES,
+  CHANNELS,
+  isValidUrl,
+  normalizeEventTypes,
+  matchingSubscriptions,
+  listSubscriptions,
+  getSubscription,
+  upsertPrimary,
+  createSubscription,
+  updateSubscription,
+  deleteSubscription
+};
@@ -0,0 +1,100 @@
+/**
+ * Zap Receipt Validation (NIP-57)
+ * Extracts the real sender, amount, zapped note and comment from a kind 9735
+ * receipt and rejects receipts that don't match their embedded zap request
+ */
+
+const crypto = require('crypto');
+const { decodeBolt11 } = require('./bolt11');
+const { validateEvent } = require('./event-validation');
+
+/**
+ * Get the first value of a tag by name
+ */
+function tagValue(event, name) {
+  const tag = (event.tags || []).find(t => t[0] === name);
+  return tag ? tag[1] : null;
+}
+
+/**
+ * Validate a zap receipt and extract the zap details
+ * @param {object} receipt - kind 9735 event published by the recipient's LNURL server
+ * @returns {object} - { valid: true, amountSats, senderPubkey, recipientPubkey, noteId, comment, zapRequest }
+ *                     or { valid: false, reason }
+ */
+function parseZapReceipt(receipt) {
+  if (!receipt || receipt.kind !== 9735) {
+    return { valid: false, reason: 'Not a zap receipt' };
+  }
+
+  const bolt11 = tagValue(receipt, 'bolt11');
+  if (!bolt11) {
+    return { valid: false, reason: 'Missing bolt11 tag' };
+  }
+
+  const description = tagValue(receipt, 'description');
+  if (!description) {
+    return { valid: false, reason: 'Missing description tag' };
+  }
+
+  let invoice;
+  try {
+    invoice = decodeBolt11(bolt11);
+  } catch (error) {
+    return { valid: false, reason: `Invalid bolt11 invoice: ${error.message}` };
+  }
+
+  if (invoice.amountMsats === null) {
+    return { valid: false, reason: 'Invoice has no amount' };
+  }
+
+  // The invoice must commit to the exact zap request we were given
+  const hash = crypto.createHash('sha256').update(description, 'utf8').digest('hex');
+  if (invoice.descriptionHash !== hash) {
+    return { valid: false, reason: 'Description hash does not match invoice' };
+  }
+
+  let zapRequest;
+  try {
+    zapRequest = JSON.parse(description);
+  } catch (error) {
+    return { valid: false, reason: 'Description is not valid JSON' };
+  }
+
+  if (!zapRequest || zapRequest.kind !== 9734 || typeof zapRequest.pubkey !== 'string') {
+    return { valid: false, reason: 'Description is not a zap request' };
+  }
+
+  // The sender is only who the zap request's signature says it is
+  const requestCheck = validateEvent(zapRequest);
+  if (!requestCheck.valid) {
+    return { valid: false, reason: `Zap request failed validation: ${requestCheck.reason}` };
+  }
+
+  // If the sender asked for a specific amount, the invoice has to honor it
+  const requestedMsats = tagValue(zapRequest, 'amount');
+  if (requestedMsats !== null && parseInt(requestedMsats) !== invoice.amountMsats) {
+    return { valid: false, reason: 'Invoice amount does not match zap request' };
+  }
+
+  // Recipient in the receipt must be the recipient in the request
+  const recipientPubkey = tagValue(receipt, 'p');
+  if (recipientPubkey !== tagValue(zapRequest, 'p')) {
+    return { valid: false, reason: 'Recipient does not match zap request' };
+  }
+
+  return {
+    valid: true,
+    amountMsats: invoice.amountMsats,
+    amountSats: Math.floor(invoice.amountMsats / 1000),
+    senderPubkey: zapRequest.pubkey,
+    recipientPubkey,
+    noteId: tagValue(zapRequest, 'e') || tagValue(receipt, 'e'),
+    comment: zapRequest.content || '',
+    zapRequest
+  };
+}
+
+module.exports = {
+  parseZapReceipt
+};